@@ -2,14 +2,22 @@
 import React, { useState, createContext, useEffect, useCallback, useRef } from 'react';
 import { CssVarsProvider, useColorScheme, extendTheme } from '@mui/joy/styles';
 import CssBaseline from '@mui/joy/CssBaseline';
+import { DndProvider } from 'react-dnd';
+import { HTML5Backend } from 'react-dnd-html5-backend';
 import SiteImporter from './components/SiteImporter';
 import GarageSelector from './components/GarageSelector';
 import LevelSelector from './components/LevelSelector';
 import EditorView from './components/EditorView';
+import { loadGarages, saveGarages, isQuotaExceededError } from './services/StorageService';
+import { convertGaragesToDrawingSpace } from './services/LayoutService';
+import useUndoableState from './hooks/useUndoableState';
 import './App.css';
 
 export const AppContext = createContext();
 
+// Delay before writing the portfolio to local storage after an edit
+const SAVE_DEBOUNCE_MS = 400;
+
 // Professional enterprise theme
 const enterpriseTheme = extendTheme({
   fontFamily: {
@@ -117,8 +125,8 @@ const enterpriseTheme = extendTheme({
 function AppContent() {
   const { mode, setMode } = useColorScheme();
 
-  // App state
-  const [garages, setGarages] = useState([
+  // App state - garages carry an undo/redo history
+  const garageHistory = useUndoableState([
     {
       id: 1,
       name: 'Main Parking Garage',
@@ -139,14 +147,132 @@ function AppContent() {
       ]
     }
   ]);
+  const {
+    state: garages,
+    set: setGarages,
+    reset: resetGarages,
+    undo,
+    redo,
+    jumpTo: jumpToHistory,
+    canUndo,
+    canRedo,
+    entries: historyEntries,
+    index: historyIndex
+  } = garageHistory;
 
   // Navigation state
   const [currentView, setCurrentView] = useState('siteImporter'); // 'siteImporter', 'garages', 'levels', 'editor'
   const [selectedGarage, setSelectedGarage] = useState(null);
   const [selectedLevel, setSelectedLevel] = useState(null);
   const [selectedDevice, setSelectedDevice] = useState(null);
+  // Canvas multi-selection; selectedDevice remains the single device shown in the inspector
+  const [selectedDeviceIds, setSelectedDeviceIds] = useState([]);
   const initialLoadRef = useRef(true);
 
+  // Local persistence state
+  const [hydrated, setHydrated] = useState(false);
+  const [storageError, setStorageError] = useState(null);
+  const saveTimerRef = useRef(null);
+  // Garages waiting for the debounced save
+  const pendingSaveRef = useRef(null);
+  // Set when the restore failed; the garages shown then are not the stored portfolio
+  const restoreFailedRef = useRef(false);
+  const unrestoredGaragesRef = useRef(null);
+
+  // Restore the saved portfolio before anything else reads `garages`
+  useEffect(() => {
+    let cancelled = false;
+    loadGarages()
+      // Levels saved before drawing-space coordinates are converted here, not as an edit
+      .then(convertGaragesToDrawingSpace)
+      .then((saved) => {
+        if (cancelled) return;
+        if (saved && saved.length > 0) {
+          // Restored data is the starting point, not an undoable edit
+          resetGarages(saved, 'Restored');
+          setCurrentView('garages');
+        }
+      })
+      .catch((err) => {
+        console.warn('Could not restore saved garages:', err);
+        restoreFailedRef.current = true;
+        if (!cancelled) setStorageError('Local storage is unavailable. Changes will not be kept after a reload.');
+      })
+      .finally(() => {
+        if (!cancelled) setHydrated(true);
+      });
+    return () => { cancelled = true; };
+  }, [resetGarages]);
+
+  // Write the pending save now (the debounce timer, or the page being hidden/closed)
+  const flushSave = useCallback(() => {
+    if (saveTimerRef.current) clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = null;
+    const pending = pendingSaveRef.current;
+    if (!pending) return;
+    pendingSaveRef.current = null;
+    saveGarages(pending)
+      .then(() => setStorageError(null))
+      .catch((err) => {
+        console.error('Failed to save garages:', err);
+        setStorageError(isQuotaExceededError(err)
+          ? 'Browser storage is full. Recent changes are not being saved. Remove unused background images to free space.'
+          : 'Failed to save changes to local storage.');
+      });
+  }, []);
+
+  // Save the portfolio after every change (debounced so drags don't thrash IndexedDB)
+  useEffect(() => {
+    if (!hydrated) return;
+    if (restoreFailedRef.current) {
+      // Don't overwrite the stored portfolio with the starting garages; save once the user edits
+      if (!unrestoredGaragesRef.current) unrestoredGaragesRef.current = garages;
+      if (garages === unrestoredGaragesRef.current) return;
+      restoreFailedRef.current = false;
+    }
+    pendingSaveRef.current = garages;
+    if (saveTimerRef.current) clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(flushSave, SAVE_DEBOUNCE_MS);
+  }, [garages, hydrated, flushSave]);
+
+  // Don't lose the last edit to the debounce when the tab is hidden, reloaded or closed
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flushSave();
+    };
+    window.addEventListener('pagehide', flushSave);
+    window.addEventListener('beforeunload', flushSave);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      window.removeEventListener('pagehide', flushSave);
+      window.removeEventListener('beforeunload', flushSave);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      flushSave();
+    };
+  }, [flushSave]);
+
+  // Global undo/redo shortcuts (Ctrl+Z, Ctrl+Shift+Z, Ctrl+Y)
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      // Leave native text undo alone while typing in a field
+      const target = e.target;
+      const tag = target?.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target?.isContentEditable) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
   // Helper to create URL-friendly slug
   const toSlug = (str) => str?.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '') || '';
 
@@ -166,10 +292,10 @@ function AppContent() {
     }
   }, [garages]);
 
-  // Parse URL and restore state on mount only
+  // Parse URL and restore state once the saved portfolio is loaded
   useEffect(() => {
     // Only parse URL on initial load, not on every garages change
-    if (!initialLoadRef.current) return;
+    if (!hydrated || !initialLoadRef.current) return;
 
     const parseUrl = () => {
       const path = window.location.pathname;
@@ -235,7 +361,7 @@ function AppContent() {
 
     window.addEventListener('popstate', handlePopState);
     return () => window.removeEventListener('popstate', handlePopState);
-  }, [garages]);
+  }, [garages, hydrated]);
 
   // Get current data
   const currentGarage = garages.find(g => g.id === selectedGarage);
@@ -243,10 +369,10 @@ function AppContent() {
   const currentLevel = levels.find(l => l.id === selectedLevel);
 
   // Update levels for current garage
-  const setLevels = (newLevels) => {
+  const setLevels = (newLevels, label = 'Edit levels') => {
     setGarages(garages.map(g =>
       g.id === selectedGarage ? { ...g, levels: newLevels } : g
-    ));
+    ), label);
   };
 
   // Navigation handlers
@@ -271,10 +397,16 @@ function AppContent() {
     updateUrl(selectedGarage, numericLevelId);
   };
 
+  // Selecting one device (or none) replaces any multi-selection
+  const selectDevice = useCallback((device) => {
+    setSelectedDevice(device);
+    setSelectedDeviceIds(device ? [device.id] : []);
+  }, []);
+
   const goBack = () => {
     if (currentView === 'editor') {
       setSelectedLevel(null);
-      setSelectedDevice(null);
+      selectDevice(null);
       setCurrentView('levels');
       updateUrl(selectedGarage, null);
     } else if (currentView === 'levels') {
@@ -290,6 +422,8 @@ function AppContent() {
   return (
     <AppContext.Provider value={{
       garages, setGarages,
+      undo, redo, canUndo, canRedo,
+      historyEntries, historyIndex, jumpToHistory,
       selectedGarageId: selectedGarage,
       setSelectedGarageId: setSelectedGarage,
       selectGarage,
@@ -298,16 +432,43 @@ function AppContent() {
       setSelectedLevelId: setSelectedLevelWithUrl,
       selectLevel,
       currentLevel,
-      selectedDevice, setSelectedDevice,
+      selectedDevice, setSelectedDevice: selectDevice,
+      selectedDeviceIds, setSelectedDeviceIds,
       currentView, setCurrentView,
       goBack,
       mode, setMode
     }}>
       <div className="app-container">
-        {currentView === 'siteImporter' && <SiteImporter />}
-        {currentView === 'garages' && <GarageSelector />}
-        {currentView === 'levels' && <LevelSelector />}
-        {currentView === 'editor' && <EditorView />}
+        {hydrated && currentView === 'siteImporter' && <SiteImporter />}
+        {hydrated && currentView === 'garages' && <GarageSelector />}
+        {hydrated && currentView === 'levels' && <LevelSelector />}
+        {hydrated && currentView === 'editor' && <EditorView />}
+
+        {/* Local storage warning */}
+        {storageError && (
+          <div
+            role="alert"
+            onClick={() => setStorageError(null)}
+            title="Dismiss"
+            style={{
+              position: 'fixed',
+              bottom: 20,
+              left: '50%',
+              transform: 'translateX(-50%)',
+              padding: '10px 18px',
+              background: '#f59e0b',
+              color: 'white',
+              borderRadius: 8,
+              fontSize: 13,
+              fontWeight: 500,
+              zIndex: 2000,
+              boxShadow: '0 4px 12px rgba(0,0,0,0.3)',
+              cursor: 'pointer'
+            }}
+          >
+            {storageError}
+          </div>
+        )}
       </div>
     </AppContext.Provider>
   );
@@ -317,7 +478,9 @@ function App() {
   return (
     <CssVarsProvider theme={enterpriseTheme} defaultMode="dark">
       <CssBaseline />
-      <AppContent />
+      <DndProvider backend={HTML5Backend}>
+        <AppContent />
+      </DndProvider>
     </CssVarsProvider>
   );
 }
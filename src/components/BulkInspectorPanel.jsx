@@ -0,0 +1,275 @@
+import React, { useContext } from 'react';
+import { AppContext } from '../App';
+import { getConeSizeControl } from '../services/LayoutService';
+import { getLensOptions, getLensUpdates } from '../services/LensService';
+import { PARKING_KINDS, getParkingKind, withSensorSpotCounts } from '../services/SensorService';
+
+const safeArray = (arr) => (Array.isArray(arr) ? arr : []);
+
+const isCameraType = (type) => type?.startsWith('cam-');
+const isSignType = (type) => type?.startsWith('sign-');
+// Sensor groups set parking types per member sensor in their own inspector
+const isSpotSensor = (device) => device.type?.startsWith('sensor-') && !Array.isArray(device.sensors);
+
+/**
+ * Inspector shown when several devices are selected on the canvas.
+ * Every action applies to the whole selection as a single undoable edit.
+ */
+const BulkInspectorPanel = () => {
+  const {
+    garages,
+    setGarages,
+    selectedGarageId,
+    selectedLevelId,
+    selectedDeviceIds,
+    setSelectedDevice
+  } = useContext(AppContext);
+
+  const garage = garages.find(g => g.id === selectedGarageId);
+  const currentLevel = garage?.levels.find(l => l.id === selectedLevelId);
+  const selected = safeArray(currentLevel?.devices).filter(d => safeArray(selectedDeviceIds).includes(d.id));
+
+  if (!currentLevel || selected.length === 0) {
+    return null;
+  }
+
+  const cameras = selected.filter(d => isCameraType(d.type));
+  const serverAssignable = selected.filter(d => isCameraType(d.type) || isSignType(d.type));
+  const counts = {
+    Cameras: cameras.length,
+    Signs: selected.filter(d => isSignType(d.type)).length,
+    'Space Monitors': selected.filter(d => d.type?.startsWith('sensor-')).length,
+    Servers: selected.filter(d => d.type === 'server').length
+  };
+
+  const sharedValue = (devices, read) => {
+    const values = new Set(devices.map(read));
+    return values.size === 1 ? [...values][0] : null;
+  };
+  const serverValue = sharedValue(serverAssignable, d => d.serverId || '');
+  const sharedColor = sharedValue(selected, d => d.color || '');
+  const colorValue = sharedColor || '#3b82f6';
+  const coneSizeValue = sharedValue(cameras, d => d.coneSize ?? 40);
+  const coneControl = getConeSizeControl(coneSizeValue ?? 40, currentLevel);
+  const lensValue = sharedValue(cameras, d => (d.hardwareType === 'dual-lens' ? d.stream1?.lens : d.lens) || '');
+  // Dual-lens modules are offered when every selected camera is dual-lens
+  const lensOptions = getLensOptions(cameras.length > 0 && cameras.every(d => d.hardwareType === 'dual-lens') ? cameras[0] : null);
+  const spotSensors = selected.filter(isSpotSensor);
+  const parkingKindValue = sharedValue(spotSensors, d => getParkingKind(d.parkingType));
+
+  // Apply `getUpdates(device)` to every selected device that passes `filter`
+  const updateSelected = (getUpdates, label, filter = () => true) => {
+    const ids = new Set(selected.filter(filter).map(d => d.id));
+    if (ids.size === 0) return;
+    const updatedGarages = garages.map(g => {
+      if (g.id !== selectedGarageId) return g;
+      return {
+        ...g,
+        levels: g.levels.map(l => {
+          if (l.id !== selectedLevelId) return l;
+          return withSensorSpotCounts({
+            ...l,
+            devices: l.devices.map(d => (ids.has(d.id) ? { ...d, ...getUpdates(d) } : d))
+          });
+        })
+      };
+    });
+    setGarages(updatedGarages, label, { coalesceKey: `devices:${[...ids].join(',')}:${label}` });
+  };
+
+  const setServer = (serverId) => {
+    updateSelected(() => ({ serverId }), 'Assign server', d => isCameraType(d.type) || isSignType(d.type));
+  };
+
+  // Dual-lens cameras draw each cone in its stream color/size, so update the streams too
+  const withStreams = (device, field, value) => {
+    const updates = { [field]: value };
+    if (device.hardwareType === 'dual-lens') {
+      updates.stream1 = { ...device.stream1, [field]: value };
+      updates.stream2 = { ...device.stream2, [field]: value };
+    }
+    return updates;
+  };
+
+  const setColor = (color) => {
+    updateSelected(d => withStreams(d, 'color', color), 'Change color');
+  };
+
+  const setConeSize = (coneSize) => {
+    updateSelected(d => withStreams(d, 'coneSize', coneSize), 'Change cone size', d => isCameraType(d.type));
+  };
+
+  // Dual-lens cameras get the lens on both streams
+  const setLens = (lensId) => {
+    updateSelected(d => getLensUpdates(d, lensId, null, currentLevel), 'Change lens', d => isCameraType(d.type));
+  };
+
+  const setParkingType = (parkingType) => {
+    updateSelected(() => ({ parkingType }), 'Change parking type', isSpotSensor);
+  };
+
+  const removeFromMap = () => {
+    updateSelected(() => ({ pendingPlacement: true, x: undefined, y: undefined }), 'Remove devices from map');
+    setSelectedDevice(null);
+  };
+
+  const deleteSelected = () => {
+    const ids = new Set(selected.map(d => d.id));
+    const updatedGarages = garages.map(g => {
+      if (g.id !== selectedGarageId) return g;
+      return {
+        ...g,
+        levels: g.levels.map(l => (
+          l.id === selectedLevelId ? withSensorSpotCounts({ ...l, devices: l.devices.filter(d => !ids.has(d.id)) }) : l
+        ))
+      };
+    });
+    setGarages(updatedGarages, 'Delete devices');
+    setSelectedDevice(null);
+  };
+
+  return (
+    <div className="inspector-panel-compact" onClick={(e) => e.stopPropagation()}>
+      {/* Header */}
+      <div className="inspector-header-compact">
+        <button className="back-btn-small" onClick={() => setSelectedDevice(null)} title="Clear selection">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M15 18l-6-6 6-6"/>
+          </svg>
+        </button>
+        <div className="inspector-title-area">
+          <span className="inspector-device-name">{selected.length} devices selected</span>
+          <span className="inspector-device-type">
+            {Object.entries(counts).filter(([, n]) => n > 0).map(([name, n]) => `${n} ${name}`).join(' · ')}
+          </span>
+        </div>
+      </div>
+
+      {/* Scrollable content */}
+      <div className="inspector-scroll">
+        {serverAssignable.length > 0 && (
+          <div className="inspector-section-compact">
+            <label className="section-title-small">Server ({serverAssignable.length} cameras/signs)</label>
+            <select
+              className="sign-type-select"
+              value={serverValue ?? '__mixed'}
+              onChange={(e) => setServer(e.target.value ? Number(e.target.value) : '')}
+            >
+              {serverValue === null && <option value="__mixed" disabled>Mixed</option>}
+              <option value="">No server assigned</option>
+              {safeArray(garage?.servers).map(s => (
+                <option key={s.id} value={s.id}>{s.name} ({s.serverType})</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {spotSensors.length > 0 && (
+          <div className="inspector-section-compact">
+            <label className="section-title-small">Parking Type ({spotSensors.length} spots)</label>
+            <div className="parking-type-buttons">
+              {[
+                { kind: PARKING_KINDS.NORMAL, label: 'Normal', className: '' },
+                { kind: PARKING_KINDS.EV, label: 'EV', className: 'ev' },
+                { kind: PARKING_KINDS.ADA, label: 'ADA', className: 'ada' }
+              ].map(option => (
+                <button
+                  key={option.kind}
+                  className={`parking-type-btn ${option.className} ${parkingKindValue === option.kind ? 'active' : ''}`}
+                  onClick={() => setParkingType(option.kind)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="inspector-section-compact">
+          <label className="section-title-small">Appearance</label>
+          <div className="compact-row">
+            <label>Color</label>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+              <input
+                type="color"
+                value={colorValue}
+                onChange={(e) => setColor(e.target.value)}
+                style={{ width: 32, height: 28, padding: 0, border: '1px solid #3f3f46', borderRadius: 4, background: 'transparent', cursor: 'pointer' }}
+              />
+              <span style={{ fontSize: 11, color: '#a1a1aa' }}>
+                {sharedColor === null ? 'Mixed' : colorValue}
+              </span>
+            </div>
+          </div>
+          {cameras.length > 0 && (
+            <div className="compact-row">
+              <label>Direction Size</label>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <input
+                  type="range"
+                  min={coneControl.min}
+                  max={coneControl.max}
+                  value={coneControl.value}
+                  onChange={(e) => setConeSize(coneControl.toConeSize(parseInt(e.target.value, 10)))}
+                  style={{ flex: 1, accentColor: '#3b82f6' }}
+                />
+                <span style={{ fontSize: 11, color: '#a1a1aa', minWidth: 30 }}>
+                  {coneSizeValue === null ? 'Mixed' : coneControl.label}
+                </span>
+              </div>
+            </div>
+          )}
+          {cameras.length > 0 && (
+            <div className="compact-row">
+              <label>Lens</label>
+              <select
+                className="sign-type-select"
+                value={lensValue ?? '__mixed'}
+                onChange={(e) => setLens(e.target.value)}
+              >
+                {lensValue === null && <option value="__mixed" disabled>Mixed</option>}
+                <option value="">Custom</option>
+                {lensOptions.map(lens => (
+                  <option key={lens.id} value={lens.id}>{lens.label} · {lens.fov}°</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Action buttons - fixed at bottom */}
+      <div className="inspector-footer-compact" style={{ display: 'flex', gap: 8 }}>
+        <button
+          className="btn-delete-compact"
+          onClick={removeFromMap}
+          style={{
+            flex: 1,
+            background: 'rgba(245, 158, 11, 0.1)',
+            border: '1px solid rgba(245, 158, 11, 0.3)',
+            color: '#f59e0b'
+          }}
+          title="Remove the selected devices from the map but keep them in the device list"
+        >
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M18 6L6 18M6 6l12 12"/>
+          </svg>
+          Remove from Map
+        </button>
+        <button
+          className="btn-delete-compact"
+          onClick={deleteSelected}
+          style={{ flex: 1 }}
+          title="Permanently delete the selected devices"
+        >
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6M8 6V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+          </svg>
+          Delete {selected.length}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BulkInspectorPanel;
@@ -0,0 +1,314 @@
+import React, { useContext, useState } from 'react';
+import { Modal, ModalDialog, Input, Button } from '@mui/joy';
+import { AppContext } from '../App';
+import {
+  RTSP_PATH_TEMPLATES,
+  DEFAULT_RTSP_TEMPLATE_ID,
+  getRtspTemplates,
+  buildCameraRtspUrl,
+  maskCredentials
+} from '../services/CredentialService';
+
+// ========================= CONSTANTS =========================
+
+const INPUT_SX = Object.freeze({
+  fontSize: 13,
+  color: '#fafafa',
+  bgcolor: '#27272a',
+  borderColor: '#3f3f46',
+  '&:hover': { borderColor: '#52525b' },
+  '&:focus-within': { borderColor: '#3b82f6' },
+  '&::placeholder': { color: '#71717a' }
+});
+
+const LABEL_STYLE = Object.freeze({
+  display: 'block',
+  fontSize: 12,
+  fontWeight: 600,
+  marginBottom: 6,
+  color: '#a1a1aa',
+  textTransform: 'uppercase',
+  letterSpacing: '0.5px'
+});
+
+const MODAL_SX = Object.freeze({
+  borderRadius: '12px',
+  p: 0,
+  width: '100%',
+  maxWidth: 560,
+  bgcolor: '#18181b',
+  border: '1px solid #3f3f46',
+  overflow: 'hidden'
+});
+
+const SELECT_STYLE = Object.freeze({
+  width: '100%',
+  padding: '8px 10px',
+  borderRadius: 6,
+  border: '1px solid #3f3f46',
+  background: '#27272a',
+  color: '#fafafa',
+  fontSize: 13
+});
+
+const EMPTY_PROFILE = Object.freeze({ name: '', username: '', password: '' });
+const EMPTY_TEMPLATE = Object.freeze({ name: '', path: '' });
+
+const safeArray = (arr) => (Array.isArray(arr) ? arr : []);
+
+const createId = () => Date.now();
+
+// ========================= COMPONENT =========================
+
+/**
+ * Garage-wide camera credential profiles and RTSP path templates used when
+ * generating camerahub-config.xml. Passwords are masked unless revealed.
+ */
+const CredentialProfilesModal = ({ open, onClose, theme }) => {
+  const { garages, setGarages, selectedGarageId } = useContext(AppContext);
+  const garage = garages.find(g => g.id === selectedGarageId);
+
+  const [profileForm, setProfileForm] = useState(EMPTY_PROFILE);
+  const [editingProfileId, setEditingProfileId] = useState(null);
+  const [templateForm, setTemplateForm] = useState(EMPTY_TEMPLATE);
+  const [revealed, setRevealed] = useState({});
+
+  if (!garage) return null;
+
+  const profiles = safeArray(garage.credentialProfiles);
+  const customTemplates = safeArray(garage.rtspTemplates);
+  const templates = getRtspTemplates(garage);
+
+  const updateGarage = (updates, label) => {
+    setGarages(garages.map(g => (g.id === selectedGarageId ? { ...g, ...updates } : g)), label);
+  };
+
+  const saveProfile = () => {
+    const name = profileForm.name.trim();
+    if (!name) return;
+    const profile = { name, username: profileForm.username.trim(), password: profileForm.password };
+
+    if (editingProfileId !== null) {
+      updateGarage({
+        credentialProfiles: profiles.map(p => (p.id === editingProfileId ? { ...p, ...profile } : p))
+      }, 'Edit credential profile');
+    } else {
+      const id = createId();
+      updateGarage({
+        credentialProfiles: [...profiles, { id, ...profile }],
+        // The first profile becomes the default so exports pick it up straight away
+        ...(profiles.length === 0 && { defaultCredentialProfileId: id })
+      }, 'Add credential profile');
+    }
+    setProfileForm(EMPTY_PROFILE);
+    setEditingProfileId(null);
+  };
+
+  const editProfile = (profile) => {
+    setEditingProfileId(profile.id);
+    setProfileForm({ name: profile.name || '', username: profile.username || '', password: profile.password || '' });
+  };
+
+  const deleteProfile = (profileId) => {
+    updateGarage({
+      credentialProfiles: profiles.filter(p => p.id !== profileId),
+      ...(garage.defaultCredentialProfileId === profileId && { defaultCredentialProfileId: null })
+    }, 'Delete credential profile');
+    if (editingProfileId === profileId) {
+      setEditingProfileId(null);
+      setProfileForm(EMPTY_PROFILE);
+    }
+  };
+
+  const addTemplate = () => {
+    const name = templateForm.name.trim();
+    const path = templateForm.path.trim();
+    if (!name || !path) return;
+    updateGarage({
+      rtspTemplates: [...customTemplates, { id: `custom-${createId()}`, name, path }]
+    }, 'Add RTSP template');
+    setTemplateForm(EMPTY_TEMPLATE);
+  };
+
+  const deleteTemplate = (templateId) => {
+    updateGarage({
+      rtspTemplates: customTemplates.filter(t => t.id !== templateId),
+      ...(garage.defaultRtspTemplateId === templateId && { defaultRtspTemplateId: DEFAULT_RTSP_TEMPLATE_ID })
+    }, 'Delete RTSP template');
+  };
+
+  const previewUrl = buildCameraRtspUrl({}, { ipAddress: '192.168.1.100', port: '554' }, 1, garage);
+
+  return (
+    <Modal open={open} onClose={onClose}>
+      <ModalDialog sx={{
+        ...MODAL_SX,
+        bgcolor: theme.bgSurface,
+        border: `1px solid ${theme.borderSubtle}`
+      }}>
+        <div style={{ padding: '16px 20px', borderBottom: `1px solid ${theme.borderSubtle}`, background: theme.bgHover }}>
+          <h3 style={{ margin: 0, fontSize: 16, fontWeight: 600, color: theme.text }}>Camera Credentials</h3>
+          <p style={{ margin: '4px 0 0', fontSize: 12, color: theme.textMuted }}>
+            Logins and stream paths used to build RTSP URLs in camerahub-config.xml for {garage.name}
+          </p>
+        </div>
+
+        <div style={{ padding: '20px', display: 'flex', flexDirection: 'column', gap: 20, maxHeight: '70vh', overflowY: 'auto' }}>
+          {/* Profiles */}
+          <div>
+            <label style={{ ...LABEL_STYLE, color: theme.textSecondary }}>Credential Profiles</label>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 6, marginBottom: 10 }}>
+              {profiles.length === 0 && (
+                <div style={{ fontSize: 12, color: theme.textMuted }}>
+                  No profiles yet. Cameras are exported without a login until one is added.
+                </div>
+              )}
+              {profiles.map(profile => (
+                <div
+                  key={profile.id}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: 8,
+                    padding: '8px 10px',
+                    borderRadius: 6,
+                    border: `1px solid ${theme.borderSubtle}`,
+                    background: theme.bgButton,
+                    fontSize: 13,
+                    color: theme.text
+                  }}
+                >
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontWeight: 500 }}>
+                      {profile.name}
+                      {garage.defaultCredentialProfileId === profile.id && (
+                        <span style={{ marginLeft: 6, fontSize: 10, color: '#3b82f6' }}>DEFAULT</span>
+                      )}
+                    </div>
+                    <div style={{ fontSize: 11, color: theme.textMuted, fontFamily: 'monospace' }}>
+                      {profile.username || '(no username)'} / {revealed[profile.id] ? (profile.password || '(none)') : '••••••••'}
+                    </div>
+                  </div>
+                  <Button size="sm" variant="plain" color="neutral" onClick={() => setRevealed(prev => ({ ...prev, [profile.id]: !prev[profile.id] }))}>
+                    {revealed[profile.id] ? 'Hide' : 'Show'}
+                  </Button>
+                  <Button size="sm" variant="plain" color="neutral" onClick={() => editProfile(profile)}>Edit</Button>
+                  <Button size="sm" variant="soft" color="danger" onClick={() => deleteProfile(profile.id)}>Delete</Button>
+                </div>
+              ))}
+            </div>
+
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr auto', gap: 6 }}>
+              <Input
+                size="sm"
+                placeholder="Profile name"
+                value={profileForm.name}
+                onChange={(e) => setProfileForm({ ...profileForm, name: e.target.value })}
+                sx={INPUT_SX}
+              />
+              <Input
+                size="sm"
+                placeholder="Username"
+                autoComplete="off"
+                value={profileForm.username}
+                onChange={(e) => setProfileForm({ ...profileForm, username: e.target.value })}
+                sx={INPUT_SX}
+              />
+              <Input
+                size="sm"
+                type="password"
+                placeholder="Password"
+                autoComplete="new-password"
+                value={profileForm.password}
+                onChange={(e) => setProfileForm({ ...profileForm, password: e.target.value })}
+                sx={INPUT_SX}
+              />
+              <Button size="sm" onClick={saveProfile} disabled={!profileForm.name.trim()}>
+                {editingProfileId !== null ? 'Save' : 'Add'}
+              </Button>
+            </div>
+          </div>
+
+          <div>
+            <label style={{ ...LABEL_STYLE, color: theme.textSecondary }}>Default Profile</label>
+            <select
+              value={garage.defaultCredentialProfileId ?? ''}
+              onChange={(e) => updateGarage({ defaultCredentialProfileId: e.target.value ? Number(e.target.value) : null }, 'Set default credential profile')}
+              style={SELECT_STYLE}
+            >
+              <option value="">No credentials</option>
+              {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+          </div>
+
+          <div style={{ borderTop: `1px solid ${theme.borderSubtle}` }} />
+
+          {/* RTSP templates */}
+          <div>
+            <label style={{ ...LABEL_STYLE, color: theme.textSecondary }}>Default RTSP Path (camera vendor/model)</label>
+            <select
+              value={garage.defaultRtspTemplateId || DEFAULT_RTSP_TEMPLATE_ID}
+              onChange={(e) => updateGarage({ defaultRtspTemplateId: e.target.value }, 'Set default RTSP template')}
+              style={SELECT_STYLE}
+            >
+              {templates.map(t => <option key={t.id} value={t.id}>{t.name} — {t.path}</option>)}
+            </select>
+          </div>
+
+          <div>
+            <label style={{ ...LABEL_STYLE, color: theme.textSecondary }}>Custom RTSP Paths</label>
+            {customTemplates.map(t => (
+              <div key={t.id} style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6, fontSize: 13, color: theme.text }}>
+                <span style={{ flex: 1 }}>{t.name}</span>
+                <code style={{ fontSize: 11, color: theme.textMuted }}>{t.path}</code>
+                <Button size="sm" variant="soft" color="danger" onClick={() => deleteTemplate(t.id)}>Delete</Button>
+              </div>
+            ))}
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1.5fr auto', gap: 6 }}>
+              <Input
+                size="sm"
+                placeholder="Vendor / model"
+                value={templateForm.name}
+                onChange={(e) => setTemplateForm({ ...templateForm, name: e.target.value })}
+                sx={INPUT_SX}
+              />
+              <Input
+                size="sm"
+                placeholder="/stream{stream}"
+                value={templateForm.path}
+                onChange={(e) => setTemplateForm({ ...templateForm, path: e.target.value })}
+                sx={INPUT_SX}
+              />
+              <Button size="sm" onClick={addTemplate} disabled={!templateForm.name.trim() || !templateForm.path.trim()}>
+                Add
+              </Button>
+            </div>
+            <div style={{ marginTop: 6, fontSize: 11, color: theme.textMuted }}>
+              Use {'{channel}'} for the 0-based lens channel and {'{stream}'} for the 1-based one.
+              Built-in: {RTSP_PATH_TEMPLATES.map(t => t.name).join(', ')}.
+            </div>
+          </div>
+
+          <div>
+            <label style={{ ...LABEL_STYLE, color: theme.textSecondary }}>Example URL</label>
+            <code style={{ fontSize: 12, color: theme.text, wordBreak: 'break-all' }}>{maskCredentials(previewUrl)}</code>
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', gap: 10, justifyContent: 'flex-end', padding: '14px 20px', borderTop: '1px solid #3f3f46', background: '#27272a' }}>
+          <Button
+            size="sm"
+            variant="outlined"
+            color="neutral"
+            onClick={onClose}
+            sx={{ color: '#fafafa', borderColor: '#3f3f46', '&:hover': { bgcolor: '#3f3f46' } }}
+          >
+            Close
+          </Button>
+        </div>
+      </ModalDialog>
+    </Modal>
+  );
+};
+
+export default CredentialProfilesModal;
@@ -0,0 +1,236 @@
+import React from 'react';
+import {
+  DAY_NAMES,
+  DAY_SHORT_NAMES,
+  SCHEDULE_STATES,
+  formatScheduleTime,
+  getWeeklyBlocks,
+  parseScheduleTime
+} from '../services/ScheduleService';
+
+// ========================= CONSTANTS =========================
+
+const STATE_COLORS = Object.freeze({
+  OPEN: '#22c55e',
+  FULL: '#f59e0b',
+  CLSD: '#ef4444'
+});
+
+const HOUR_MARKS = Object.freeze([0, 6, 12, 18, 24]);
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const INPUT_STYLE = Object.freeze({
+  padding: '4px 6px',
+  border: '1px solid #3f3f46',
+  borderRadius: 6,
+  background: '#18181b',
+  color: '#fafafa',
+  fontSize: 12
+});
+
+const BUTTON_STYLE = Object.freeze({
+  padding: '6px 10px',
+  background: 'rgba(59, 130, 246, 0.1)',
+  border: '1px solid rgba(59, 130, 246, 0.3)',
+  borderRadius: 6,
+  color: '#93c5fd',
+  fontSize: 12,
+  fontWeight: 500,
+  cursor: 'pointer'
+});
+
+const NEW_ENTRY = Object.freeze({ days: [1, 2, 3, 4, 5], start: 6 * 60, end: 22 * 60, state: 'OPEN' });
+
+const stateColor = (state) => STATE_COLORS[String(state || '').toUpperCase()] || '#71717a';
+
+// ========================= SUBCOMPONENTS =========================
+
+/** Seven day rows of 24 hours; group entries are drawn faded behind the sign's own */
+const WeeklyTimeline = ({ signEntries, groupEntries }) => {
+  const own = getWeeklyBlocks(signEntries);
+  const shared = getWeeklyBlocks(groupEntries);
+
+  const renderBlock = (block, i, fromGroup) => (
+    <div
+      key={`${fromGroup ? 'g' : 's'}-${i}`}
+      title={`${fromGroup ? 'Group · ' : ''}${block.entry.state || '—'} ${formatScheduleTime(block.entry.start)}–${formatScheduleTime(block.entry.end)}`}
+      style={{
+        position: 'absolute',
+        top: fromGroup ? 0 : 3,
+        bottom: fromGroup ? 0 : 3,
+        left: `${(block.start / MINUTES_PER_DAY) * 100}%`,
+        width: `${((block.end - block.start) / MINUTES_PER_DAY) * 100}%`,
+        background: stateColor(block.entry.state),
+        opacity: fromGroup ? 0.35 : 0.9,
+        borderRadius: 2
+      }}
+    />
+  );
+
+  return (
+    <div style={{ marginBottom: 10 }}>
+      {DAY_NAMES.map((name, day) => (
+        <div key={name} style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 3 }}>
+          <span style={{ width: 28, fontSize: 10, color: '#a1a1aa' }}>{DAY_SHORT_NAMES[day]}</span>
+          <div style={{ position: 'relative', flex: 1, height: 14, background: '#27272a', borderRadius: 3 }}>
+            {shared[day].map((block, i) => renderBlock(block, i, true))}
+            {own[day].map((block, i) => renderBlock(block, i, false))}
+          </div>
+        </div>
+      ))}
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginLeft: 34, fontSize: 9, color: '#71717a' }}>
+        {HOUR_MARKS.map(hour => <span key={hour}>{String(hour).padStart(2, '0')}</span>)}
+      </div>
+    </div>
+  );
+};
+
+/** Editable list of schedule entries */
+const ScheduleEntryList = ({ entries, onChange, emptyText }) => {
+  const updateEntry = (id, updates) => {
+    onChange(entries.map(entry => (entry.id === id ? { ...entry, ...updates } : entry)));
+  };
+
+  const toggleDay = (entry, day) => {
+    const days = entry.days.includes(day)
+      ? entry.days.filter(d => d !== day)
+      : [...entry.days, day].sort((a, b) => a - b);
+    updateEntry(entry.id, { days });
+  };
+
+  return (
+    <>
+      {entries.length === 0 && (
+        <div style={{ fontSize: 11, color: '#71717a', marginBottom: 6 }}>{emptyText}</div>
+      )}
+      {entries.map(entry => (
+        <div
+          key={entry.id}
+          style={{ padding: 8, marginBottom: 6, border: '1px solid #3f3f46', borderLeft: `3px solid ${stateColor(entry.state)}`, borderRadius: 6 }}
+        >
+          <div style={{ display: 'flex', gap: 3, marginBottom: 6 }}>
+            {DAY_SHORT_NAMES.map((short, day) => {
+              const active = (entry.days || []).includes(day);
+              return (
+                <button
+                  key={short}
+                  onClick={() => toggleDay({ ...entry, days: entry.days || [] }, day)}
+                  title={DAY_NAMES[day]}
+                  style={{
+                    flex: 1,
+                    padding: '3px 0',
+                    borderRadius: 4,
+                    border: active ? '1px solid #3b82f6' : '1px solid #3f3f46',
+                    background: active ? 'rgba(59, 130, 246, 0.2)' : 'transparent',
+                    color: active ? '#93c5fd' : '#71717a',
+                    fontSize: 10,
+                    cursor: 'pointer'
+                  }}
+                >
+                  {short.slice(0, 2)}
+                </button>
+              );
+            })}
+          </div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+            <input
+              type="time"
+              value={formatScheduleTime(entry.start)}
+              onChange={(e) => updateEntry(entry.id, { start: parseScheduleTime(e.target.value) })}
+              style={{ ...INPUT_STYLE, width: 84 }}
+            />
+            <span style={{ fontSize: 11, color: '#71717a' }}>to</span>
+            <input
+              type="time"
+              value={formatScheduleTime(entry.end)}
+              onChange={(e) => updateEntry(entry.id, { end: parseScheduleTime(e.target.value) })}
+              style={{ ...INPUT_STYLE, width: 84 }}
+            />
+            <input
+              type="text"
+              list="display-schedule-states"
+              value={entry.state || ''}
+              placeholder="State"
+              onChange={(e) => updateEntry(entry.id, { state: e.target.value.toUpperCase() })}
+              style={{ ...INPUT_STYLE, width: 0, flex: 1 }}
+            />
+            <button
+              onClick={() => onChange(entries.filter(e => e.id !== entry.id))}
+              title="Delete entry"
+              style={{ background: 'transparent', border: 'none', color: '#a1a1aa', cursor: 'pointer', fontSize: 14 }}
+            >
+              ×
+            </button>
+          </div>
+        </div>
+      ))}
+      <button
+        style={{ ...BUTTON_STYLE, width: '100%' }}
+        onClick={() => onChange([...entries, { ...NEW_ENTRY, days: [...NEW_ENTRY.days], id: Date.now() }])}
+      >
+        + Add Entry
+      </button>
+    </>
+  );
+};
+
+// ========================= COMPONENT =========================
+
+/**
+ * Weekly schedule of a sign and of its display group, exported to the
+ * DisplaySchedules and DisplayGroups tabs of the site workbook.
+ */
+const DisplayScheduleEditor = ({ device, garage, updateDevice, updateDisplayGroup }) => {
+  const groups = Array.isArray(garage?.displayGroups) ? garage.displayGroups : [];
+  const groupName = String(device.displayGroupName || '').trim();
+  const group = groups.find(g => g.name === groupName);
+  const signEntries = Array.isArray(device.displaySchedules) ? device.displaySchedules : [];
+  const groupEntries = Array.isArray(group?.schedules) ? group.schedules : [];
+
+  return (
+    <>
+      <div className="inspector-section-compact">
+        <label className="section-title-small">Display Schedule</label>
+        <WeeklyTimeline signEntries={signEntries} groupEntries={groupEntries} />
+        <datalist id="display-schedule-states">
+          {SCHEDULE_STATES.map(state => <option key={state} value={state} />)}
+        </datalist>
+        <ScheduleEntryList
+          entries={signEntries}
+          emptyText={groupEntries.length > 0 ? 'No entries of its own; follows the group schedule.' : 'No schedule entries.'}
+          onChange={(displaySchedules) => updateDevice(device.id, { displaySchedules }, 'Edit display schedule')}
+        />
+      </div>
+
+      <div className="inspector-section-compact">
+        <label className="section-title-small">Display Group</label>
+        <input
+          type="text"
+          list="display-group-names"
+          value={device.displayGroupName || ''}
+          placeholder="No group"
+          onChange={(e) => updateDevice(device.id, { displayGroupName: e.target.value }, 'Change display group')}
+          style={{ ...INPUT_STYLE, width: '100%', marginBottom: 8 }}
+        />
+        <datalist id="display-group-names">
+          {groups.map(g => <option key={g.id} value={g.name} />)}
+        </datalist>
+        {groupName && (
+          <>
+            <div style={{ fontSize: 11, color: '#a1a1aa', marginBottom: 6 }}>
+              {group ? `Shared by every sign in ${groupName}.` : `${groupName} is a new group; adding an entry creates it.`}
+            </div>
+            <ScheduleEntryList
+              entries={groupEntries}
+              emptyText="No group schedule entries."
+              onChange={(schedules) => updateDisplayGroup(groupName, { schedules }, 'Edit group schedule')}
+            />
+          </>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default DisplayScheduleEditor;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { useDrag } from 'react-dnd';
+import { PENDING_DEVICE_DRAG_TYPE } from '../services/LayoutService';
+
+/**
+ * Sidebar list item of a device. Devices waiting to be placed can be dragged
+ * onto MapCanvas, which places them at the drop point.
+ */
+const DraggableDeviceItem = ({ device, style, children, ...props }) => {
+  const pending = Boolean(device.pendingPlacement);
+  const [{ isDragging }, dragRef] = useDrag(() => ({
+    type: PENDING_DEVICE_DRAG_TYPE,
+    item: { deviceId: device.id },
+    canDrag: pending,
+    collect: (monitor) => ({ isDragging: monitor.isDragging() })
+  }), [device.id, pending]);
+
+  return (
+    <div
+      ref={dragRef}
+      title={pending ? 'Drag onto the map to place it' : undefined}
+      {...props}
+      style={{
+        ...style,
+        ...(pending ? { cursor: 'grab' } : null),
+        ...(isDragging ? { opacity: 0.5 } : null)
+      }}
+    >
+      {children}
+    </div>
+  );
+};
+
+export default DraggableDeviceItem;
@@ -3,6 +3,10 @@ import { Modal, ModalDialog, Input, Button } from '@mui/joy';
 import { AppContext } from '../App';
 import MapCanvas from './MapCanvas';
 import InspectorPanel from './InspectorPanel';
+import HistoryPanel from './HistoryPanel';
+import CredentialProfilesModal from './CredentialProfilesModal';
+import ProblemsPanel from './ProblemsPanel';
+import DraggableDeviceItem from './DraggableDeviceItem';
 import { jsPDF } from 'jspdf';
 import {
   generateCameraHubConfig,
@@ -10,11 +14,26 @@ import {
   generateDevicesConfig,
   parseDevicesConfig,
   generateFLICameraConfig,
+  getFliConfigNames,
+  parseFLICameraConfig,
+  applyFliConfigsToDevices,
   downloadFile,
   readFileAsText,
   exportAllConfigs,
   getConfigFilePaths
 } from '../services/ConfigService';
+import {
+  DRAWING_COORDINATE_SPACE,
+  getArrangedPositions,
+  getLevelDrawingSize,
+  getPixelsPerFoot,
+  getScaleBar,
+  formatDrawingDistance
+} from '../services/LayoutService';
+import { validateGarage, countProblems } from '../services/ValidationService';
+import { exportSiteWorkbook } from '../services/ExcelParserService';
+import { getConeFov } from '../services/LensService';
+import { OBSTRUCTION_KINDS, getObstructionSegments, getVisibleConePoints, isObstructionComplete } from '../services/ObstructionService';
 
 // ========================= CONSTANTS =========================
 
@@ -157,6 +176,11 @@ const getTimezoneForState = (state) => {
   return STATE_TO_TIMEZONE[state?.toUpperCase()] || 'America/New_York';
 };
 
+// Files left out of a config bundle because another device already uses the file name
+const bundleWarningNote = (result) => (
+  result.warnings.length > 0 ? `. ${result.warnings.length} file(s) not written, see manifest.json: ${result.warnings.join('; ')}` : ''
+);
+
 // ========================= MAIN COMPONENT =========================
 
 const EditorView = () => {
@@ -177,6 +201,7 @@ const EditorView = () => {
   const setSelectedLevelId = typeof context?.setSelectedLevelId === 'function' ? context.setSelectedLevelId : () => {};
   const selectedDevice = context?.selectedDevice;
   const setSelectedDevice = typeof context?.setSelectedDevice === 'function' ? context.setSelectedDevice : () => {};
+  const selectedDeviceIds = safeArray(context?.selectedDeviceIds);
   const goBack = typeof context?.goBack === 'function' ? context.goBack : () => {};
   const mode = context?.mode === 'light' ? 'light' : 'dark';
   const setMode = typeof context?.setMode === 'function' ? context.setMode : () => {};
@@ -211,7 +236,12 @@ const EditorView = () => {
   const [mapFilter, setMapFilter] = useState([]); // [] = show all, or array of active filters: 'cameras', 'spaceMonitoring', 'signs'
   const [showAddForm, setShowAddForm] = useState(false);
   const [showLevelSettings, setShowLevelSettings] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showProblems, setShowProblems] = useState(false);
+  const [blockedExport, setBlockedExport] = useState(null); // 'level' | 'garage' while the problems panel explains a blocked export
   const [showConfigModal, setShowConfigModal] = useState(false);
+  const [showCredentials, setShowCredentials] = useState(false);
+  const [splitConfigsByServer, setSplitConfigsByServer] = useState(false);
   const [configImportType, setConfigImportType] = useState('devicesConfig'); // 'devicesConfig', 'cameraHub'
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
   const [cameraFormStep, setCameraFormStep] = useState(1); // 1: hardware, 2: type, 3: config
@@ -237,6 +267,7 @@ const EditorView = () => {
     splashtopLink: '',
   });
   const configFileInputRef = useRef(null);
+  const fliFileInputRef = useRef(null);
 
   // Helper to update a server property in the garage's servers array
   const updateServerProp = (serverId, updates) => {
@@ -249,7 +280,7 @@ const EditorView = () => {
         )
       };
     });
-    setGarages(updatedGarages);
+    setGarages(updatedGarages, 'Edit server', { coalesceKey: `server:${serverId}` });
   };
 
   const [newDevice, setNewDevice] = useState({
@@ -316,6 +347,10 @@ const EditorView = () => {
 
   const allLevels = useMemo(() => safeArray(garage?.levels), [garage]);
 
+  // Site-wide validation, shown in the problems panel and checked before export
+  const problems = useMemo(() => validateGarage(garage), [garage]);
+  const problemCounts = useMemo(() => countProblems(problems), [problems]);
+
   // Servers for the garage (for camera-server association)
   const garageServers = useMemo(() => safeArray(garage?.servers), [garage]);
 
@@ -372,7 +407,7 @@ const EditorView = () => {
       };
     });
 
-    setGarages(updatedGarages);
+    setGarages(updatedGarages, 'Add server');
     setNewServer({ ...DEFAULT_NEW_SERVER });
     setShowServerAddForm(false);
   }, [newServer, garages, selectedGarageId, setGarages]);
@@ -402,7 +437,7 @@ const EditorView = () => {
       };
     });
 
-    setGarages(updatedGarages);
+    setGarages(updatedGarages, 'Edit server');
     setEditingServer(null);
   }, [editingServer, garages, selectedGarageId, setGarages]);
 
@@ -417,7 +452,7 @@ const EditorView = () => {
       };
     });
 
-    setGarages(updatedGarages);
+    setGarages(updatedGarages, 'Delete server');
     setEditingServer(null);
   }, [garages, selectedGarageId, setGarages]);
 
@@ -661,7 +696,7 @@ const EditorView = () => {
         })
       };
     });
-    setGarages(updatedGarages);
+    setGarages(updatedGarages, 'Add device');
     setShowAddForm(false);
     resetNewDevice();
   }, [newDevice, activeTab, garages, selectedGarageId, selectedLevelId, setGarages, resetNewDevice]);
@@ -678,63 +713,59 @@ const EditorView = () => {
     }));
   }, []);
 
-  // Place a pending device on the canvas
-  const placeDeviceOnCanvas = useCallback((deviceId) => {
-    const updatedGarages = garages.map(g => {
+  // Place devices of the current level in the next free slots of the auto-arrange
+  // grid (pending devices can also be dragged onto the canvas instead). The grid
+  // fits the level's drawing, whose size is only known once it is loaded.
+  const arrangeDevices = useCallback(async (shouldPlace, label) => {
+    const drawingSize = await getLevelDrawingSize(level);
+    setGarages(current => current.map(g => {
       if (g.id !== selectedGarageId) return g;
       return {
         ...g,
         levels: safeArray(g.levels).map(l => {
           if (l.id !== selectedLevelId) return l;
+          const devices = safeArray(l.devices);
+          const positions = getArrangedPositions(
+            devices.filter(shouldPlace),
+            devices.filter(d => !d.pendingPlacement && !shouldPlace(d)),
+            drawingSize
+          );
           return {
             ...l,
-            devices: safeArray(l.devices).map(d => {
-              if (d.id !== deviceId) return d;
-              // Assign random position and remove pending flag
-              return {
-                ...d,
-                x: 100 + Math.random() * 200,
-                y: 100 + Math.random() * 200,
-                pendingPlacement: false
-              };
-            })
+            devices: devices.map(d => (positions[d.id] ? { ...d, ...positions[d.id], pendingPlacement: false } : d))
           };
         })
       };
-    });
-    setGarages(updatedGarages);
-  }, [garages, selectedGarageId, selectedLevelId, setGarages]);
+    }), label);
+  }, [level, selectedGarageId, selectedLevelId, setGarages]);
+
+  // Place a pending device on the canvas
+  const placeDeviceOnCanvas = useCallback((deviceId) => {
+    arrangeDevices(d => d.id === deviceId, 'Place device');
+  }, [arrangeDevices]);
 
-  // Place all pending devices on canvas
+  // Place all pending devices on canvas, grouped by type
   const placeAllPendingDevices = useCallback(() => {
-    const updatedGarages = garages.map(g => {
-      if (g.id !== selectedGarageId) return g;
-      return {
-        ...g,
-        levels: safeArray(g.levels).map(l => {
-          if (l.id !== selectedLevelId) return l;
-          return {
-            ...l,
-            devices: safeArray(l.devices).map(d => {
-              if (!d.pendingPlacement) return d;
-              return {
-                ...d,
-                x: 100 + Math.random() * 400,
-                y: 100 + Math.random() * 300,
-                pendingPlacement: false
-              };
-            })
-          };
-        })
-      };
-    });
-    setGarages(updatedGarages);
-  }, [garages, selectedGarageId, selectedLevelId, setGarages]);
+    arrangeDevices(d => d.pendingPlacement, 'Arrange pending devices');
+  }, [arrangeDevices]);
 
   // ========================= CONFIG EXPORT/IMPORT =========================
 
+  // Errors stop the export and open the problems panel; warnings are only reported
+  const checkExportProblems = useCallback((scopeProblems, scope) => {
+    const { errors, warnings } = countProblems(scopeProblems);
+    if (errors > 0) {
+      setBlockedExport(scope);
+      setShowProblems(true);
+      setImportMessage({ type: 'error', text: `Export blocked: ${errors} error(s) to fix first.` });
+      setTimeout(() => setImportMessage(null), 5000);
+      return null;
+    }
+    return warnings > 0 ? ` (${warnings} warning(s))` : '';
+  }, []);
+
   // Export all configs for current level devices
-  const handleExportConfigs = useCallback(() => {
+  const handleExportConfigs = useCallback((force = false) => {
     if (!level) return;
     const allDevices = safeArray(level.devices);
     if (allDevices.length === 0) {
@@ -743,16 +774,22 @@ const EditorView = () => {
       return;
     }
 
-    const result = exportAllConfigs(allDevices);
+    const warningNote = force ? '' : checkExportProblems(problems.filter(p => p.levelId === level.id), 'level');
+    if (warningNote === null) return;
+
+    const result = exportAllConfigs(allDevices, garage, {
+      splitByServer: splitConfigsByServer,
+      fileName: `${sanitizeString(garage?.name || 'Site').replace(/\s+/g, '_')}_${sanitizeString(level.name || 'Level').replace(/\s+/g, '_')}_configs.zip`
+    });
     setImportMessage({
-      type: 'success',
-      text: `Exported: ${result.cameraHubConfig ? 'camerahub-config.xml, ' : ''}DevicesConfig.xml${result.fliConfigs > 0 ? `, ${result.fliConfigs} FLI config(s)` : ''}`
+      type: result.warnings.length > 0 ? 'warning' : 'success',
+      text: `Exported ${result.fileName}: ${result.cameraHubConfig ? 'camerahub-config.xml, ' : ''}DevicesConfig.xml${result.fliConfigs > 0 ? `, ${result.fliConfigs} FLI config(s)` : ''}${warningNote}${bundleWarningNote(result)}`
     });
     setTimeout(() => setImportMessage(null), 5000);
-  }, [level]);
+  }, [level, garage, splitConfigsByServer, problems, checkExportProblems]);
 
   // Export configs for all garage devices
-  const handleExportAllGarageConfigs = useCallback(() => {
+  const handleExportAllGarageConfigs = useCallback((force = false) => {
     if (!garage) return;
     const allDevices = [];
     safeArray(garage.levels).forEach(lvl => {
@@ -767,13 +804,55 @@ const EditorView = () => {
       return;
     }
 
-    const result = exportAllConfigs(allDevices);
+    const warningNote = force ? '' : checkExportProblems(problems, 'garage');
+    if (warningNote === null) return;
+
+    const result = exportAllConfigs(allDevices, garage, { splitByServer: splitConfigsByServer });
     setImportMessage({
-      type: 'success',
-      text: `Exported all garage configs: ${allDevices.length} device(s)`
+      type: result.warnings.length > 0 ? 'warning' : 'success',
+      text: `Exported ${result.fileName}: ${result.files} file(s) for ${allDevices.length} device(s)${warningNote}${bundleWarningNote(result)}`
     });
     setTimeout(() => setImportMessage(null), 5000);
-  }, [garage]);
+  }, [garage, splitConfigsByServer, problems, checkExportProblems]);
+
+  // Write every garage back to the Ensight site workbook (.xlsx)
+  const handleExportSiteWorkbook = useCallback(() => {
+    try {
+      const result = exportSiteWorkbook(garages);
+      const totalRows = Object.values(result.rowCounts).reduce((sum, n) => sum + n, 0);
+      setImportMessage({
+        type: 'success',
+        text: `Exported ${result.fileName}: ${Object.keys(result.rowCounts).length} tab(s), ${totalRows} row(s)`
+      });
+    } catch (error) {
+      console.error('Error exporting site workbook:', error);
+      setImportMessage({ type: 'error', text: 'Failed to export the site workbook.' });
+    }
+    setTimeout(() => setImportMessage(null), 5000);
+  }, [garages]);
+
+  const closeProblems = useCallback(() => {
+    setShowProblems(false);
+    setBlockedExport(null);
+  }, []);
+
+  const exportAnyway = useCallback(() => {
+    const scope = blockedExport;
+    closeProblems();
+    if (scope === 'level') handleExportConfigs(true);
+    else if (scope === 'garage') handleExportAllGarageConfigs(true);
+  }, [blockedExport, closeProblems, handleExportConfigs, handleExportAllGarageConfigs]);
+
+  // Jump to the level and device a problem belongs to
+  const selectProblem = useCallback((problem) => {
+    const targetLevel = safeArray(garage?.levels).find(l => l.id === problem.levelId);
+    const device = safeArray(targetLevel?.devices).find(d => d.id === problem.deviceId);
+    if (!device) return;
+    closeProblems();
+    setShowConfigModal(false);
+    if (problem.levelId !== selectedLevelId) setSelectedLevelId(problem.levelId);
+    setSelectedDevice(device);
+  }, [garage, selectedLevelId, setSelectedLevelId, setSelectedDevice, closeProblems]);
 
   // Handle config file import
   const handleConfigFileImport = useCallback(async (e) => {
@@ -810,7 +889,7 @@ const EditorView = () => {
           })
         };
       });
-      setGarages(updatedGarages);
+      setGarages(updatedGarages, 'Import config file');
 
       setImportMessage({
         type: 'success',
@@ -827,28 +906,62 @@ const EditorView = () => {
     e.target.value = ''; // Reset input
   }, [configImportType, garages, selectedGarageId, selectedLevelId, setGarages]);
 
+  // Apply FLI plugin configs to the matching cameras on every level of the garage
+  const handleFliConfigImport = useCallback(async (e) => {
+    const files = Array.from(e.target?.files || []);
+    e.target.value = ''; // Reset input
+    if (files.length === 0 || !garage) return;
+
+    try {
+      const parsed = (await Promise.all(files.map(readFileAsText))).map(parseFLICameraConfig).filter(Boolean);
+      const matched = new Set();
+      const updatedLevels = safeArray(garage.levels).map(l => {
+        const result = applyFliConfigsToDevices(safeArray(l.devices), parsed);
+        result.matched.forEach(name => matched.add(name));
+        return { ...l, devices: result.devices };
+      });
+      const unmatched = parsed.map(c => c.cameraName).filter(name => !matched.has(name));
+
+      if (matched.size === 0) {
+        setImportMessage({ type: 'error', text: 'No cameras match the FLI config files.' });
+        setTimeout(() => setImportMessage(null), 3000);
+        return;
+      }
+
+      setGarages(garages.map(g => (g.id === selectedGarageId ? { ...g, levels: updatedLevels } : g)), 'Import FLI settings');
+      setImportMessage({
+        type: unmatched.length > 0 ? 'warning' : 'success',
+        text: `Imported FLI settings for ${matched.size} camera(s)${unmatched.length > 0 ? `. No camera named: ${unmatched.join(', ')}` : ''}`
+      });
+      setTimeout(() => setImportMessage(null), 5000);
+    } catch (error) {
+      console.error('Error importing FLI configs:', error);
+      setImportMessage({ type: 'error', text: 'Failed to read FLI config files.' });
+      setTimeout(() => setImportMessage(null), 3000);
+    }
+  }, [garage, garages, selectedGarageId, setGarages]);
+
   // Generate single camera config files
   const handleExportCameraConfigs = useCallback((camera) => {
     // Generate CameraHub entry
-    const cameraHubXml = generateCameraHubConfig([camera]);
+    const cameraHubXml = generateCameraHubConfig([camera], garage);
     downloadFile(cameraHubXml, `${camera.name}-camerahub-entry.xml`);
 
     // Generate DevicesConfig entry
     const devicesXml = generateDevicesConfig([camera]);
     downloadFile(devicesXml, `${camera.name}-device-entry.xml`);
 
-    // Generate FLI config if applicable
-    if (camera.type === 'cam-fli') {
-      const fliXml = generateFLICameraConfig(camera);
-      downloadFile(fliXml, `${camera.name}.xml`);
-    }
+    // Generate FLI configs if applicable (one per FLI stream of a dual-lens camera)
+    getFliConfigNames(camera).forEach(({ name, overrideName, streamNum }) => {
+      downloadFile(generateFLICameraConfig(camera, overrideName, streamNum), `${name}.xml`);
+    });
 
     setImportMessage({
       type: 'success',
       text: `Exported config files for ${camera.name}`
     });
     setTimeout(() => setImportMessage(null), 3000);
-  }, []);
+  }, [garage]);
 
   // Generate config for a single sign or sensor
   const handleExportDeviceConfig = useCallback((device) => {
@@ -969,16 +1082,20 @@ const EditorView = () => {
         return '';
       };
 
-      // Helper: draw a direction cone (wedge) in the PDF
-      const drawCone = (pdf, cx, cy, rotation, radius, colorRgb, opacity) => {
-        const angleSpread = 60; // degrees
-        const startAngle = ((rotation || 0) - 30) * Math.PI / 180; // same as Konva: 0=right, clockwise
-        const endAngle = startAngle + (angleSpread * Math.PI / 180);
+      // Helper: draw a direction cone (wedge) of `fov` degrees in the PDF. `visible` is the cone
+      // clipped by obstructions (ObstructionService outline, in PDF units) when the level has any.
+      const drawCone = (pdf, cx, cy, rotation, fov, radius, colorRgb, opacity, visible = null) => {
+        const startAngle = ((rotation || 0) - fov / 2) * Math.PI / 180; // same as Konva: 0=right, clockwise
+        const endAngle = startAngle + (fov * Math.PI / 180);
         const steps = 24;
         const points = [[cx, cy]];
-        for (let i = 0; i <= steps; i++) {
-          const a = startAngle + (endAngle - startAngle) * (i / steps);
-          points.push([cx + Math.cos(a) * radius, cy + Math.sin(a) * radius]);
+        if (visible) {
+          for (let i = 2; i + 1 < visible.length; i += 2) points.push([cx + visible[i], cy + visible[i + 1]]);
+        } else {
+          for (let i = 0; i <= steps; i++) {
+            const a = startAngle + (endAngle - startAngle) * (i / steps);
+            points.push([cx + Math.cos(a) * radius, cy + Math.sin(a) * radius]);
+          }
         }
         // Draw filled triangle/wedge using lines with low opacity
         // jsPDF doesn't support true alpha, so we blend the color toward background (22, 26, 36)
@@ -1073,7 +1190,10 @@ const EditorView = () => {
         pdf.setLineWidth(1);
         pdf.roundedRect(canvasMargin, canvasY, canvasWidth, canvasHeight, 8, 8, 'FD');
 
-        // Render background image if available
+        // Render background image if available. Devices on a drawing-space level are
+        // positioned with the same transform as the image so they line up with it.
+        let drawingTransform = null;
+        let ptPerPixel = null;
         if (currentLevel.bgImage) {
           try {
             const imgData = await loadImageForPdf(currentLevel.bgImage);
@@ -1089,6 +1209,9 @@ const EditorView = () => {
               const drawX = canvasMargin + innerPad + (areaW - drawW) / 2;
               const drawY = canvasY + innerPad + (areaH - drawH) / 2;
               pdf.addImage(imgData.dataUrl, 'JPEG', drawX, drawY, drawW, drawH);
+              if (currentLevel.coordinateSpace === DRAWING_COORDINATE_SPACE) {
+                drawingTransform = { scale: drawW / imgData.width, offsetX: drawX, offsetY: drawY };
+              }
             }
           } catch (e) {
             console.warn('Could not render background image in PDF:', e);
@@ -1109,11 +1232,27 @@ const EditorView = () => {
           const innerPad = 20;
           const availW = canvasWidth - innerPad * 2;
           const availH = canvasHeight - innerPad * 2;
-          const scale = Math.min(availW / contentWidth, availH / contentHeight, 1.5);
-          const offsetX = canvasMargin + innerPad + (availW - contentWidth * scale) / 2 - minX * scale;
-          const offsetY = canvasY + innerPad + (availH - contentHeight * scale) / 2 - minY * scale;
+          const scale = drawingTransform?.scale ?? Math.min(availW / contentWidth, availH / contentHeight, 1.5);
+          const offsetX = drawingTransform?.offsetX ?? canvasMargin + innerPad + (availW - contentWidth * scale) / 2 - minX * scale;
+          const offsetY = drawingTransform?.offsetY ?? canvasY + innerPad + (availH - contentHeight * scale) / 2 - minY * scale;
+          ptPerPixel = scale;
+
+          // === PASS 1: Draw walls/obstructions, then direction cones clipped by them (underneath dots) ===
+          const segments = getObstructionSegments(currentLevel);
+          safeArray(currentLevel.obstructions).filter(isObstructionComplete).forEach(obstruction => {
+            const p = obstruction.points;
+            const deltas = [];
+            for (let i = 2; i + 1 < p.length; i += 2) deltas.push([(p[i] - p[i - 2]) * scale, (p[i + 1] - p[i - 1]) * scale]);
+            const isWall = obstruction.kind === OBSTRUCTION_KINDS.WALL;
+            pdf.setDrawColor(148, 163, 184);
+            pdf.setFillColor(60, 66, 80);
+            pdf.setLineWidth(isWall ? 2 : 1);
+            pdf.lines(deltas, offsetX + p[0] * scale, offsetY + p[1] * scale, [1, 1], isWall ? 'S' : 'FD', !isWall);
+          });
+          const visibleCone = (device, rotation, fov, size) => (segments.length > 0
+            ? getVisibleConePoints({ x: device.x, y: device.y, rotation, fov, radius: size }, segments).map(v => v * scale)
+            : null);
 
-          // === PASS 1: Draw direction cones first (underneath dots) ===
           placedDevices.forEach(device => {
             const isCamera = device.type?.startsWith('cam-');
             if (!isCamera) return;
@@ -1121,20 +1260,23 @@ const EditorView = () => {
             const y = offsetY + device.y * scale;
             const isDualLens = device.hardwareType === 'dual-lens';
             const baseColor = getDeviceRgb(device);
-            const coneRadius = (device.coneSize ?? 40) * scale;
+            const coneSize = device.coneSize ?? 40;
 
             if (isDualLens) {
               const rot1 = device.stream1?.rotation ?? device.rotation ?? 0;
               const rot2 = device.stream2?.rotation ?? device.rotation ?? 0;
-              const size1 = (device.stream1?.coneSize ?? device.coneSize ?? 40) * scale;
-              const size2 = (device.stream2?.coneSize ?? device.coneSize ?? 40) * scale;
+              const size1 = device.stream1?.coneSize ?? coneSize;
+              const size2 = device.stream2?.coneSize ?? coneSize;
               const color1 = hexToRgb(device.stream1?.color) || baseColor;
               const color2 = hexToRgb(device.stream2?.color) || baseColor;
-              drawCone(pdf, x, y, rot1, size1, color1, 0.18);
-              drawCone(pdf, x, y, rot2, size2, color2, 0.18);
+              const fov1 = getConeFov(device, 'stream1');
+              const fov2 = getConeFov(device, 'stream2');
+              drawCone(pdf, x, y, rot1, fov1, size1 * scale, color1, 0.18, visibleCone(device, rot1, fov1, size1));
+              drawCone(pdf, x, y, rot2, fov2, size2 * scale, color2, 0.18, visibleCone(device, rot2, fov2, size2));
             } else {
               const rot = device.rotation ?? 0;
-              drawCone(pdf, x, y, rot, coneRadius, baseColor, 0.2);
+              const fov = getConeFov(device);
+              drawCone(pdf, x, y, rot, fov, coneSize * scale, baseColor, 0.2, visibleCone(device, rot, fov, coneSize));
             }
           });
 
@@ -1176,6 +1318,16 @@ const EditorView = () => {
             pdf.setFontSize(Math.max(5.5, 7.5 * scale));
             pdf.setFont('helvetica', 'normal');
             pdf.text(String(device.name || ''), x, y + r + 10 * scale, { align: 'center' });
+
+            // Camera coverage range in real units on calibrated levels
+            if (device.type?.startsWith('cam-') && getPixelsPerFoot(currentLevel)) {
+              const range = device.hardwareType === 'dual-lens'
+                ? (device.stream1?.coneSize ?? device.coneSize ?? 40)
+                : (device.coneSize ?? 40);
+              pdf.setTextColor(150, 155, 170);
+              pdf.setFontSize(Math.max(5, 6.5 * scale));
+              pdf.text(`${formatDrawingDistance(range, currentLevel)} range`, x, y + r + 10 * scale + Math.max(6, 8 * scale), { align: 'center' });
+            }
           });
         } else {
           // No placed devices message
@@ -1185,6 +1337,24 @@ const EditorView = () => {
           pdf.text('No devices placed on this level', canvasMargin + canvasWidth / 2, canvasY + canvasHeight / 2, { align: 'center' });
         }
 
+        // Scale bar (calibrated levels only)
+        const scaleBar = getScaleBar(currentLevel, ptPerPixel ?? drawingTransform?.scale, 120);
+        if (scaleBar) {
+          const barX = canvasMargin + 14;
+          const barY = canvasY + canvasHeight - 16;
+          pdf.setFillColor(22, 26, 36);
+          pdf.roundedRect(barX - 6, barY - 16, scaleBar.length + 12, 24, 4, 4, 'F');
+          pdf.setDrawColor(230, 232, 240);
+          pdf.setLineWidth(1.5);
+          pdf.line(barX, barY, barX + scaleBar.length, barY);
+          pdf.line(barX, barY - 4, barX, barY);
+          pdf.line(barX + scaleBar.length, barY - 4, barX + scaleBar.length, barY);
+          pdf.setTextColor(210, 215, 225);
+          pdf.setFontSize(7);
+          pdf.setFont('helvetica', 'bold');
+          pdf.text(scaleBar.label, barX, barY - 7);
+        }
+
         // =================== LEGEND ===================
         const legendY = pageHeight - legendHeight - 16;
         pdf.setFillColor(24, 28, 38);
@@ -1595,6 +1765,68 @@ const EditorView = () => {
                 Export PDF
               </button>
 
+              <button
+                onClick={() => setShowProblems(true)}
+                title="Configuration problems across the garage"
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 8,
+                  padding: '10px 16px',
+                  background: theme.bgButton,
+                  border: `1px solid ${problemCounts.errors > 0 ? 'rgba(239, 68, 68, 0.5)' : theme.borderSubtle}`,
+                  borderRadius: 8,
+                  color: theme.textSecondary,
+                  fontSize: 13,
+                  fontWeight: 500,
+                  cursor: 'pointer',
+                  transition: 'all 0.15s ease'
+                }}
+              >
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M10.3 3.9L1.8 18a2 2 0 0 0 1.7 3h17a2 2 0 0 0 1.7-3L13.7 3.9a2 2 0 0 0-3.4 0z" />
+                  <line x1="12" y1="9" x2="12" y2="13" />
+                  <line x1="12" y1="17" x2="12.01" y2="17" />
+                </svg>
+                Problems
+                {problemCounts.errors > 0 && (
+                  <span style={{ padding: '1px 6px', borderRadius: 10, background: '#ef4444', color: '#fff', fontSize: 11 }}>
+                    {problemCounts.errors}
+                  </span>
+                )}
+                {problemCounts.warnings > 0 && (
+                  <span style={{ padding: '1px 6px', borderRadius: 10, background: '#f59e0b', color: '#18181b', fontSize: 11 }}>
+                    {problemCounts.warnings}
+                  </span>
+                )}
+              </button>
+
+              <button
+                onClick={() => setShowHistory(true)}
+                title="Edit history (Ctrl+Z / Ctrl+Shift+Z)"
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 8,
+                  padding: '10px 16px',
+                  background: theme.bgButton,
+                  border: `1px solid ${theme.borderSubtle}`,
+                  borderRadius: 8,
+                  color: theme.textSecondary,
+                  fontSize: 13,
+                  fontWeight: 500,
+                  cursor: 'pointer',
+                  transition: 'all 0.15s ease'
+                }}
+              >
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M3 12a9 9 0 1 0 3-6.7L3 8" />
+                  <polyline points="3 3 3 8 8 8" />
+                  <polyline points="12 7 12 12 15 15" />
+                </svg>
+                History
+              </button>
+
               <button
                 onClick={() => setShowLevelSettings(true)}
                 title="Level Settings"
@@ -2309,8 +2541,9 @@ const EditorView = () => {
                           {activeTab === 'cameras' && cameras.map(cam => {
                             const isDisabled = cam.status && cam.status.toLowerCase() === 'disabled';
                             return (
-                            <div
+                            <DraggableDeviceItem
                               key={cam.id}
+                              device={cam}
                               className="modern-device-item"
                               onClick={() => setSelectedDevice(cam)}
                               style={{
@@ -2367,7 +2600,7 @@ const EditorView = () => {
                                   Place
                                 </button>
                               )}
-                            </div>
+                            </DraggableDeviceItem>
                           );
                           })}
 
@@ -2409,8 +2642,9 @@ const EditorView = () => {
                           )}
 
                           {activeTab === 'signs' && signs.map(sign => (
-                            <div
+                            <DraggableDeviceItem
                               key={sign.id}
+                              device={sign}
                               className="modern-device-item"
                               onClick={() => setSelectedDevice(sign)}
                               style={{
@@ -2451,7 +2685,7 @@ const EditorView = () => {
                                   Place
                                 </button>
                               )}
-                            </div>
+                            </DraggableDeviceItem>
                           ))}
 
                           {/* Place All Button - show if there are pending space monitors */}
@@ -2546,8 +2780,9 @@ const EditorView = () => {
                               {!collapsedSensorGroups[groupId] && (
                                 <div style={{ display: 'flex', flexDirection: 'column', gap: 6, marginTop: 6, paddingLeft: 8 }}>
                                   {sensors.map(sensor => (
-                                    <div
+                                    <DraggableDeviceItem
                                       key={sensor.id}
+                                      device={sensor}
                                       className="modern-device-item"
                                       onClick={() => setSelectedDevice(sensor)}
                                       style={{
@@ -2587,7 +2822,7 @@ const EditorView = () => {
                                           Place
                                         </button>
                                       )}
-                                    </div>
+                                    </DraggableDeviceItem>
                                   ))}
                                 </div>
                               )}
@@ -2819,7 +3054,7 @@ const EditorView = () => {
                                             }))
                                           };
                                         });
-                                        setGarages(updatedGarages);
+                                        setGarages(updatedGarages, 'Delete server');
                                         setSelectedServerId(null);
                                       }}
                                       style={{ padding: '6px 10px', background: 'rgba(239, 68, 68, 0.15)', border: '1px solid rgba(239, 68, 68, 0.3)', borderRadius: 4, color: '#ef4444', fontSize: 11, cursor: 'pointer' }}
@@ -3358,7 +3593,7 @@ const EditorView = () => {
                                         })
                                       };
                                     });
-                                    setGarages(updatedGarages);
+                                    setGarages(updatedGarages, 'Add server');
                                     setShowAddForm(false);
                                   }}
                                   style={{ flex: 1 }}
@@ -3582,7 +3817,7 @@ const EditorView = () => {
                 </div>
 
                 {/* Inspector Panel */}
-                {selectedDevice && (
+                {(selectedDevice || selectedDeviceIds.length > 1) && (
                   <aside className="inspector-panel-modern">
                     <InspectorPanel />
                   </aside>
@@ -3590,6 +3825,22 @@ const EditorView = () => {
             </div>
       </div>
 
+      {/* Edit History Modal */}
+      <HistoryPanel open={showHistory} onClose={() => setShowHistory(false)} theme={theme} />
+
+      {/* Problems Modal */}
+      <ProblemsPanel
+        open={showProblems}
+        onClose={closeProblems}
+        theme={theme}
+        problems={problems}
+        onSelect={selectProblem}
+        onExportAnyway={blockedExport ? exportAnyway : null}
+      />
+
+      {/* Camera Credentials Modal */}
+      <CredentialProfilesModal open={showCredentials} onClose={() => setShowCredentials(false)} theme={theme} />
+
       {/* Level Settings Modal */}
       <Modal open={showLevelSettings} onClose={() => setShowLevelSettings(false)}>
         <ModalDialog sx={{
@@ -3619,7 +3870,7 @@ const EditorView = () => {
                     }
                     return g;
                   });
-                  setGarages(updatedGarages);
+                  setGarages(updatedGarages, 'Rename level', { coalesceKey: `level:${selectedLevelId}:name` });
                 }}
                 sx={INPUT_SX}
               />
@@ -3643,13 +3894,15 @@ const EditorView = () => {
                           return {
                             ...g,
                             levels: safeArray(g.levels).map(l =>
-                              l.id === selectedLevelId ? { ...l, bgImage: event.target.result } : l
+                              l.id === selectedLevelId
+                                ? { ...l, bgImage: event.target.result, coordinateSpace: DRAWING_COORDINATE_SPACE, drawingScale: null }
+                                : l
                             )
                           };
                         }
                         return g;
                       });
-                      setGarages(updatedGarages);
+                      setGarages(updatedGarages, 'Upload site drawing');
                     };
                     reader.readAsDataURL(file);
                     // Reset input so the same file can be re-uploaded after deletion
@@ -3681,13 +3934,13 @@ const EditorView = () => {
                           return {
                             ...g,
                             levels: safeArray(g.levels).map(l =>
-                              l.id === selectedLevelId ? { ...l, bgImage: null } : l
+                              l.id === selectedLevelId ? { ...l, bgImage: null, drawingScale: null } : l
                             )
                           };
                         }
                         return g;
                       });
-                      setGarages(updatedGarages);
+                      setGarages(updatedGarages, 'Remove site drawing');
                     }}
                   >
                     Remove
@@ -3695,6 +3948,42 @@ const EditorView = () => {
                 )}
               </div>
             </div>
+
+            <div>
+              <label style={LABEL_STYLE}>Drawing Scale</label>
+              <div style={{ display: 'flex', gap: 8, alignItems: 'center', fontSize: 14, color: theme.text }}>
+                {getPixelsPerFoot(level) ? (
+                  <>
+                    <span>{formatDrawingDistance(100, level)} per 100 px</span>
+                    <Button
+                      size="sm"
+                      variant="soft"
+                      color="danger"
+                      onClick={() => {
+                        const updatedGarages = garages.map(g => {
+                          if (g.id === selectedGarageId) {
+                            return {
+                              ...g,
+                              levels: safeArray(g.levels).map(l =>
+                                l.id === selectedLevelId ? { ...l, drawingScale: null } : l
+                              )
+                            };
+                          }
+                          return g;
+                        });
+                        setGarages(updatedGarages, 'Clear scale');
+                      }}
+                    >
+                      Clear
+                    </Button>
+                  </>
+                ) : (
+                  <span style={{ color: theme.textMuted }}>
+                    Not calibrated. Use the ruler tool on the canvas to click two points a known distance apart.
+                  </span>
+                )}
+              </div>
+            </div>
           </div>
 
           <div style={{ display: 'flex', gap: 10, justifyContent: 'flex-end', padding: '14px 20px', borderTop: '1px solid #3f3f46', background: '#27272a' }}>
@@ -3730,6 +4019,17 @@ const EditorView = () => {
             {/* Export Section */}
             <div>
               <label style={{ ...LABEL_STYLE, color: theme.textSecondary, marginBottom: 12 }}>Export Configs</label>
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 10, fontSize: 13, color: theme.text, cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={splitConfigsByServer}
+                  onChange={(e) => setSplitConfigsByServer(e.target.checked)}
+                />
+                Split per server
+                <span style={{ fontSize: 11, color: theme.textMuted }}>
+                  (each recording server folder gets only its own cameras)
+                </span>
+              </label>
               <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
                 <button
                   onClick={() => {
@@ -3757,7 +4057,7 @@ const EditorView = () => {
                   <div>
                     <div style={{ fontWeight: 500 }}>Export Current Level Configs</div>
                     <div style={{ fontSize: 11, color: theme.textMuted, marginTop: 2 }}>
-                      Downloads camerahub-config.xml, DevicesConfig.xml, and FLI configs for {level?.name}
+                      One ZIP with camerahub-config.xml, DevicesConfig.xml, and FLI configs for {level?.name}
                     </div>
                   </div>
                 </button>
@@ -3788,7 +4088,64 @@ const EditorView = () => {
                   <div>
                     <div style={{ fontWeight: 500 }}>Export All Garage Configs</div>
                     <div style={{ fontSize: 11, color: theme.textMuted, marginTop: 2 }}>
-                      Downloads configs for all devices across all levels in {garage?.name}
+                      One ZIP with configs for all devices across all levels in {garage?.name}
+                    </div>
+                  </div>
+                </button>
+
+                <button
+                  onClick={handleExportSiteWorkbook}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: 12,
+                    padding: '12px 16px',
+                    background: theme.bgButton,
+                    border: `1px solid ${theme.borderSubtle}`,
+                    borderRadius: 8,
+                    color: theme.text,
+                    fontSize: 13,
+                    cursor: 'pointer',
+                    textAlign: 'left'
+                  }}
+                >
+                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="#10b981" strokeWidth="2">
+                    <rect x="3" y="3" width="18" height="18" rx="2" ry="2" />
+                    <line x1="3" y1="9" x2="21" y2="9" />
+                    <line x1="9" y1="21" x2="9" y2="9" />
+                  </svg>
+                  <div>
+                    <div style={{ fontWeight: 500 }}>Export Site Workbook</div>
+                    <div style={{ fontSize: 11, color: theme.textMuted, marginTop: 2 }}>
+                      All garages as the Ensight .xlsx workbook, same tabs and columns as the imported sheet
+                    </div>
+                  </div>
+                </button>
+
+                <button
+                  onClick={() => setShowCredentials(true)}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: 12,
+                    padding: '12px 16px',
+                    background: theme.bgButton,
+                    border: `1px solid ${theme.borderSubtle}`,
+                    borderRadius: 8,
+                    color: theme.text,
+                    fontSize: 13,
+                    cursor: 'pointer',
+                    textAlign: 'left'
+                  }}
+                >
+                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="#f59e0b" strokeWidth="2">
+                    <rect x="3" y="11" width="18" height="11" rx="2" ry="2" />
+                    <path d="M7 11V7a5 5 0 0 1 10 0v4" />
+                  </svg>
+                  <div>
+                    <div style={{ fontWeight: 500 }}>Camera Credentials</div>
+                    <div style={{ fontSize: 11, color: theme.textMuted, marginTop: 2 }}>
+                      {safeArray(garage?.credentialProfiles).length} profile(s) · logins and RTSP paths used in camerahub-config.xml
                     </div>
                   </div>
                 </button>
@@ -3890,6 +4247,37 @@ const EditorView = () => {
               </div>
             </div>
 
+            {/* FLI Settings Import */}
+            <div>
+              <label style={{ ...LABEL_STYLE, color: theme.textSecondary, marginBottom: 12 }}>Import FLI Settings</label>
+              <input
+                ref={fliFileInputRef}
+                type="file"
+                accept=".xml"
+                multiple
+                style={{ display: 'none' }}
+                onChange={handleFliConfigImport}
+              />
+              <button
+                onClick={() => fliFileInputRef.current?.click()}
+                style={{
+                  width: '100%',
+                  padding: '10px 16px',
+                  background: theme.bgButton,
+                  border: `1px solid ${theme.borderSubtle}`,
+                  borderRadius: 8,
+                  color: theme.text,
+                  fontSize: 13,
+                  cursor: 'pointer'
+                }}
+              >
+                Select FLI\Config\*.xml files
+              </button>
+              <p style={{ fontSize: 11, color: theme.textMuted, margin: '4px 0 0' }}>
+                Pre-fills the FLI tab of cameras in {garage?.name} whose name matches the file's CameraName.
+              </p>
+            </div>
+
             {/* Config File Paths Info */}
             <div style={{
               padding: '12px 16px',
@@ -0,0 +1,245 @@
+import React, { useState } from 'react';
+import { Modal, ModalDialog, Button } from '@mui/joy';
+import { Stage, Layer, Image as KonvaImage, Rect, Line, Circle, Text, Group } from 'react-konva';
+import useImage from 'use-image';
+
+// ========================= CONSTANTS =========================
+
+const STAGE_MAX_WIDTH = 720;
+const STAGE_MAX_HEIGHT = 480;
+const HANDLE_RADIUS = 6;
+
+const ROI_COLOR = '#3b82f6';
+const LINE_UP_COLOR = '#22c55e';
+const LINE_DOWN_COLOR = '#f59e0b';
+
+const MODAL_SX = Object.freeze({
+  borderRadius: '12px',
+  p: 0,
+  width: 'auto',
+  maxWidth: 'none',
+  bgcolor: '#18181b',
+  border: '1px solid #3f3f46',
+  overflow: 'hidden'
+});
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// ========================= COMPONENT =========================
+
+/**
+ * Drag the FLI ROI rectangle and the two count lines over the camera view image.
+ * Coordinates are in FLI frame pixels (Frame Width x Height); the image is
+ * stretched to the frame, as the plugin resizes the stream to it.
+ * Mount only while open, the draft is read from `settings` once.
+ */
+const FliOverlayEditor = ({ open, onClose, onSave, image, settings, title }) => {
+  const [img] = useImage(image);
+  const frameWidth = Number(settings.FLIConfig.Frame.Width) || 640;
+  const frameHeight = Number(settings.FLIConfig.Frame.Height) || 480;
+  const scale = Math.min(STAGE_MAX_WIDTH / frameWidth, STAGE_MAX_HEIGHT / frameHeight);
+  const handleRadius = HANDLE_RADIUS / scale;
+
+  const [roi, setRoi] = useState(() => {
+    const { X, Y, Width, Height } = settings.FLIConfig.ROI;
+    return { x: Number(X) || 0, y: Number(Y) || 0, width: Number(Width) || frameWidth, height: Number(Height) || frameHeight };
+  });
+  const [lines, setLines] = useState(() => ({
+    CountLineUp: { ...settings.FLIConfig.CountLineUp },
+    CountLineDown: { ...settings.FLIConfig.CountLineDown }
+  }));
+
+  const clampX = (x) => Math.round(clamp(x, 0, frameWidth));
+  const clampY = (y) => Math.round(clamp(y, 0, frameHeight));
+
+  // ----- ROI -----
+  const moveRoi = (e) => {
+    const x = Math.round(clamp(e.target.x(), 0, frameWidth - roi.width));
+    const y = Math.round(clamp(e.target.y(), 0, frameHeight - roi.height));
+    e.target.position({ x, y });
+    setRoi(prev => ({ ...prev, x, y }));
+  };
+
+  const resizeRoi = (corner) => (e) => {
+    const px = clampX(e.target.x());
+    const py = clampY(e.target.y());
+    e.target.position({ x: px, y: py });
+    setRoi(prev => {
+      const right = prev.x + prev.width;
+      const bottom = prev.y + prev.height;
+      if (corner === 'topLeft') {
+        const x = Math.min(px, right - 1);
+        const y = Math.min(py, bottom - 1);
+        return { x, y, width: right - x, height: bottom - y };
+      }
+      return { ...prev, width: Math.max(1, px - prev.x), height: Math.max(1, py - prev.y) };
+    });
+  };
+
+  // ----- Count lines -----
+  const moveEndpoint = (key, end) => (e) => {
+    const x = clampX(e.target.x());
+    const y = clampY(e.target.y());
+    e.target.position({ x, y });
+    setLines(prev => ({ ...prev, [key]: { ...prev[key], [`X${end}`]: x, [`Y${end}`]: y } }));
+  };
+
+  // The whole line drags as a group; its offset is applied to the points on drop
+  const dropLine = (key) => (e) => {
+    if (e.target !== e.currentTarget) return; // An endpoint handle, not the line
+    const dx = e.target.x();
+    const dy = e.target.y();
+    e.target.position({ x: 0, y: 0 });
+    setLines(prev => {
+      const line = prev[key];
+      const ox = Math.round(clamp(dx, -Math.min(line.X1, line.X2), frameWidth - Math.max(line.X1, line.X2)));
+      const oy = Math.round(clamp(dy, -Math.min(line.Y1, line.Y2), frameHeight - Math.max(line.Y1, line.Y2)));
+      return { ...prev, [key]: { X1: line.X1 + ox, Y1: line.Y1 + oy, X2: line.X2 + ox, Y2: line.Y2 + oy } };
+    });
+  };
+
+  const handleSave = () => {
+    onSave({
+      ROI: {
+        Location: { X: roi.x, Y: roi.y },
+        Size: { Width: roi.width, Height: roi.height },
+        X: roi.x,
+        Y: roi.y,
+        Width: roi.width,
+        Height: roi.height
+      },
+      CountLineUp: lines.CountLineUp,
+      CountLineDown: lines.CountLineDown
+    });
+  };
+
+  const setCursor = (cursor) => (e) => {
+    e.target.getStage().container().style.cursor = cursor;
+  };
+
+  const renderLine = (key, color, label) => {
+    const line = lines[key];
+    return (
+      <Group draggable onDragEnd={dropLine(key)}>
+        <Line
+          points={[line.X1, line.Y1, line.X2, line.Y2]}
+          stroke={color}
+          strokeWidth={3 / scale}
+          hitStrokeWidth={12 / scale}
+          onMouseEnter={setCursor('move')}
+          onMouseLeave={setCursor('default')}
+        />
+        <Text
+          x={line.X1}
+          y={line.Y1 - 16 / scale}
+          text={label}
+          fontSize={11 / scale}
+          fill={color}
+          listening={false}
+        />
+        {[1, 2].map(end => (
+          <Circle
+            key={end}
+            x={line[`X${end}`]}
+            y={line[`Y${end}`]}
+            radius={handleRadius}
+            fill="#fff"
+            stroke={color}
+            strokeWidth={2 / scale}
+            draggable
+            onDragMove={moveEndpoint(key, end)}
+            onMouseEnter={setCursor('pointer')}
+            onMouseLeave={setCursor('default')}
+          />
+        ))}
+      </Group>
+    );
+  };
+
+  return (
+    <Modal open={open} onClose={onClose}>
+      <ModalDialog sx={MODAL_SX}>
+        <div style={{ padding: '16px 20px', borderBottom: '1px solid #3f3f46', background: '#27272a' }}>
+          <h3 style={{ margin: 0, fontSize: 16, fontWeight: 600, color: '#fafafa' }}>{title}</h3>
+          <p style={{ margin: '4px 0 0', fontSize: 12, color: '#a1a1aa' }}>
+            Drag the ROI and count lines; drag the handles to resize. Frame {frameWidth} x {frameHeight}.
+          </p>
+        </div>
+
+        <div style={{ padding: 16, background: '#09090b' }}>
+          <Stage width={frameWidth * scale} height={frameHeight * scale}>
+            <Layer scaleX={scale} scaleY={scale}>
+              {img ? (
+                <KonvaImage image={img} width={frameWidth} height={frameHeight} listening={false} />
+              ) : (
+                <Rect width={frameWidth} height={frameHeight} fill="#27272a" listening={false} />
+              )}
+
+              <Rect
+                x={roi.x}
+                y={roi.y}
+                width={roi.width}
+                height={roi.height}
+                stroke={ROI_COLOR}
+                strokeWidth={2 / scale}
+                dash={[8 / scale, 4 / scale]}
+                fill="rgba(59, 130, 246, 0.08)"
+                draggable
+                onDragMove={moveRoi}
+                onMouseEnter={setCursor('move')}
+                onMouseLeave={setCursor('default')}
+              />
+              {[
+                { corner: 'topLeft', x: roi.x, y: roi.y },
+                { corner: 'bottomRight', x: roi.x + roi.width, y: roi.y + roi.height }
+              ].map(({ corner, x, y }) => (
+                <Circle
+                  key={corner}
+                  x={x}
+                  y={y}
+                  radius={handleRadius}
+                  fill="#fff"
+                  stroke={ROI_COLOR}
+                  strokeWidth={2 / scale}
+                  draggable
+                  onDragMove={resizeRoi(corner)}
+                  onMouseEnter={setCursor('nwse-resize')}
+                  onMouseLeave={setCursor('default')}
+                />
+              ))}
+
+              {renderLine('CountLineUp', LINE_UP_COLOR, 'Count line up')}
+              {renderLine('CountLineDown', LINE_DOWN_COLOR, 'Count line down')}
+            </Layer>
+          </Stage>
+
+          <div style={{ display: 'flex', gap: 16, marginTop: 10, fontSize: 11, color: '#a1a1aa', fontFamily: 'monospace' }}>
+            <span style={{ color: ROI_COLOR }}>ROI {roi.x},{roi.y} {roi.width}x{roi.height}</span>
+            {[['CountLineUp', LINE_UP_COLOR, 'Up'], ['CountLineDown', LINE_DOWN_COLOR, 'Down']].map(([key, color, label]) => (
+              <span key={key} style={{ color }}>
+                {label} ({lines[key].X1},{lines[key].Y1}) → ({lines[key].X2},{lines[key].Y2})
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', gap: 10, justifyContent: 'flex-end', padding: '14px 20px', borderTop: '1px solid #3f3f46', background: '#27272a' }}>
+          <Button
+            size="sm"
+            variant="outlined"
+            color="neutral"
+            onClick={onClose}
+            sx={{ color: '#fafafa', borderColor: '#3f3f46', '&:hover': { bgcolor: '#3f3f46' } }}
+          >
+            Cancel
+          </Button>
+          <Button size="sm" onClick={handleSave} sx={{ bgcolor: '#3b82f6', '&:hover': { bgcolor: '#2563eb' } }}>
+            Save
+          </Button>
+        </div>
+      </ModalDialog>
+    </Modal>
+  );
+};
+
+export default FliOverlayEditor;
@@ -0,0 +1,246 @@
+import React, { useRef, useState } from 'react';
+import FliOverlayEditor from './FliOverlayEditor';
+import {
+  getFliSettings,
+  parseFLICameraConfig,
+  readFileAsText
+} from '../services/ConfigService';
+
+// ========================= CONSTANTS =========================
+
+// Each field is a path into the settings object (shaped like DEFAULT_FLI_CONFIG).
+// `mirror` paths are kept equal to the field, the plugin reads ROI both ways.
+const FLI_FIELD_GROUPS = Object.freeze([
+  {
+    title: 'Detection',
+    fields: [
+      { path: ['FLIConfig', 'DetectionInterval'], label: 'Interval' },
+      { path: ['FLIConfig', 'ConfidenceThreshold'], label: 'Confidence' },
+      { path: ['FLIConfig', 'MotionDetectionSensitivity'], label: 'Motion sens.' },
+      { path: ['FLIConfig', 'DetectionBoxScale'], label: 'Box scale', step: 0.1 }
+    ]
+  },
+  {
+    title: 'Frame',
+    fields: [
+      { path: ['FLIConfig', 'Frame', 'Width'], label: 'Width' },
+      { path: ['FLIConfig', 'Frame', 'Height'], label: 'Height' },
+      { path: ['ResizeWidth'], label: 'Resize W' }
+    ]
+  },
+  {
+    title: 'Region of Interest',
+    fields: [
+      { path: ['FLIConfig', 'ROI', 'X'], mirror: ['FLIConfig', 'ROI', 'Location', 'X'], label: 'X' },
+      { path: ['FLIConfig', 'ROI', 'Y'], mirror: ['FLIConfig', 'ROI', 'Location', 'Y'], label: 'Y' },
+      { path: ['FLIConfig', 'ROI', 'Width'], mirror: ['FLIConfig', 'ROI', 'Size', 'Width'], label: 'Width' },
+      { path: ['FLIConfig', 'ROI', 'Height'], mirror: ['FLIConfig', 'ROI', 'Size', 'Height'], label: 'Height' }
+    ]
+  },
+  {
+    title: 'Count Line Up',
+    fields: ['X1', 'Y1', 'X2', 'Y2'].map(key => ({ path: ['FLIConfig', 'CountLineUp', key], label: key }))
+  },
+  {
+    title: 'Count Line Down',
+    fields: ['X1', 'Y1', 'X2', 'Y2'].map(key => ({ path: ['FLIConfig', 'CountLineDown', key], label: key }))
+  },
+  {
+    title: 'Tracking',
+    fields: [
+      { path: ['FLIConfig', 'MaximumAllowedCountedDistance'], label: 'Max count dist.' },
+      { path: ['FLIConfig', 'MinimumSameObjectOverlap'], label: 'Min overlap', step: 0.01 },
+      { path: ['FLIConfig', 'MaxAllowedBoxJump'], label: 'Max box jump' },
+      { path: ['FLIConfig', 'FramesReceivedTimeoutMs'], label: 'Frame timeout ms' },
+      { path: ['FLIConfig', 'LargeBoundingBoxMaxWidth'], label: 'Large box max W' },
+      { path: ['FLIConfig', 'LargeBoundingBoxMaxHeight'], label: 'Large box max H' }
+    ]
+  }
+]);
+
+const FLI_TOGGLES = Object.freeze([
+  { path: ['EnhancedVisuals'], label: 'Enhanced visuals' },
+  { path: ['FLIConfig', 'ReportFLI'], label: 'Report FLI' },
+  { path: ['FLIConfig', 'AllowTurnarounds'], label: 'Allow turnarounds' },
+  { path: ['FLIConfig', 'PersistDetections'], label: 'Persist detections' },
+  { path: ['FLIConfig', 'RecordCountFrames'], label: 'Record count frames' },
+  { path: ['FLIConfig', 'RecordLowConfidenceFrames'], label: 'Record low-confidence frames' }
+]);
+
+const INPUT_STYLE = Object.freeze({
+  width: '100%',
+  padding: '5px 8px',
+  border: '1px solid #3f3f46',
+  borderRadius: 6,
+  background: '#18181b',
+  color: '#fafafa',
+  fontSize: 12
+});
+
+const BUTTON_STYLE = Object.freeze({
+  flex: 1,
+  padding: '7px 10px',
+  background: 'rgba(59, 130, 246, 0.1)',
+  border: '1px solid rgba(59, 130, 246, 0.3)',
+  borderRadius: 6,
+  color: '#93c5fd',
+  fontSize: 12,
+  fontWeight: 500,
+  cursor: 'pointer'
+});
+
+const getIn = (obj, path) => path.reduce((value, key) => value?.[key], obj);
+
+const setIn = (obj, [key, ...rest], value) => ({
+  ...obj,
+  [key]: rest.length === 0 ? value : setIn(obj?.[key] || {}, rest, value)
+});
+
+// ========================= COMPONENT =========================
+
+/**
+ * FLI plugin settings for a camera (or one stream of a dual-lens camera),
+ * written to its C:\Ensight\FLI\Config\{CameraName}.xml on export.
+ */
+const FliSettingsPanel = ({ device, streamNum, updateDevice }) => {
+  const fileInputRef = useRef(null);
+  const [showOverlay, setShowOverlay] = useState(false);
+  // Text of the number field being edited, so it can be cleared and retyped
+  const [draft, setDraft] = useState(null);
+  const isDualLens = device.hardwareType === 'dual-lens';
+  const streamKey = `stream${streamNum}`;
+  const configName = isDualLens ? `${device.name}-S${streamNum}` : device.name;
+  const stored = isDualLens ? device[streamKey]?.fliConfig : device.fliConfig;
+  const settings = getFliSettings(device, isDualLens ? streamNum : null);
+  const viewImage = (isDualLens && device[streamKey]?.viewImage) || device.viewImage;
+
+  const saveSettings = (fliConfig, label = 'Edit FLI settings') => {
+    if (isDualLens) {
+      updateDevice(device.id, { [streamKey]: { ...device[streamKey], fliConfig } }, label);
+    } else {
+      updateDevice(device.id, { fliConfig }, label);
+    }
+  };
+
+  const setField = (field, value) => {
+    let next = setIn(stored || {}, field.path, value);
+    if (field.mirror) next = setIn(next, field.mirror, value);
+    saveSettings(next);
+  };
+
+  const saveOverlay = ({ ROI, CountLineUp, CountLineDown }) => {
+    const next = { ...stored, FLIConfig: { ...stored?.FLIConfig, ROI, CountLineUp, CountLineDown } };
+    saveSettings(next, 'Draw FLI overlay');
+    setShowOverlay(false);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const parsed = parseFLICameraConfig(await readFileAsText(file));
+      if (!parsed) {
+        alert(`${file.name} is not an FLI plugin config.`);
+        return;
+      }
+      if (parsed.cameraName && parsed.cameraName !== configName
+        && !window.confirm(`${file.name} is for camera "${parsed.cameraName}". Use its settings for "${configName}"?`)) {
+        return;
+      }
+      saveSettings(parsed.settings, 'Import FLI settings');
+    } catch (error) {
+      console.error('Error importing FLI config:', error);
+      alert('Failed to read the FLI config file.');
+    }
+  };
+
+  return (
+    <>
+      <div className="inspector-section-compact">
+        <label className="section-title-small">
+          FLI Plugin {isDualLens ? `· Stream ${streamNum}` : ''}
+        </label>
+        <div style={{ fontSize: 11, color: '#a1a1aa', marginBottom: 8 }}>
+          Written to FLI\Config\{configName}.xml. {stored ? 'Custom settings.' : 'Using defaults.'}
+        </div>
+        <div style={{ display: 'flex', gap: 6 }}>
+          <button style={BUTTON_STYLE} onClick={() => fileInputRef.current?.click()}>
+            Import FLI XML…
+          </button>
+          <button
+            style={{ ...BUTTON_STYLE, opacity: stored ? 1 : 0.5, cursor: stored ? 'pointer' : 'default' }}
+            disabled={!stored}
+            onClick={() => saveSettings(undefined, 'Reset FLI settings')}
+          >
+            Reset to Defaults
+          </button>
+          <input ref={fileInputRef} type="file" accept=".xml" style={{ display: 'none' }} onChange={handleImport} />
+        </div>
+        <button
+          style={{ ...BUTTON_STYLE, width: '100%', marginTop: 6, opacity: viewImage ? 1 : 0.5, cursor: viewImage ? 'pointer' : 'default' }}
+          disabled={!viewImage}
+          onClick={() => setShowOverlay(true)}
+          title={viewImage ? 'Drag the ROI and count lines over the camera view' : 'Add a camera view image in the Visual tab first'}
+        >
+          Draw ROI &amp; Count Lines on View Image
+        </button>
+      </div>
+
+      {showOverlay && (
+        <FliOverlayEditor
+          open
+          onClose={() => setShowOverlay(false)}
+          onSave={saveOverlay}
+          image={viewImage}
+          settings={settings}
+          title={`FLI Overlay · ${configName}`}
+        />
+      )}
+
+      {FLI_FIELD_GROUPS.map(group => (
+        <div key={group.title} className="inspector-section-compact">
+          <label className="section-title-small">{group.title}</label>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8 }}>
+            {group.fields.map(field => (
+              <label key={field.path.join('.')} style={{ display: 'flex', flexDirection: 'column', gap: 3, fontSize: 11, color: '#a1a1aa' }}>
+                {field.label}
+                <input
+                  type="number"
+                  step={field.step || 1}
+                  value={draft?.key === field.path.join('.') ? draft.text : getIn(settings, field.path) ?? ''}
+                  onChange={(e) => {
+                    const text = e.target.value;
+                    setDraft({ key: field.path.join('.'), text });
+                    if (text !== '' && Number.isFinite(Number(text))) setField(field, Number(text));
+                  }}
+                  onBlur={() => setDraft(null)}
+                  style={INPUT_STYLE}
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <div className="inspector-section-compact">
+        <label className="section-title-small">Options</label>
+        {FLI_TOGGLES.map(toggle => (
+          <label
+            key={toggle.path.join('.')}
+            style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 12, color: '#e4e4e7', marginBottom: 6, cursor: 'pointer' }}
+          >
+            <input
+              type="checkbox"
+              checked={Boolean(getIn(settings, toggle.path))}
+              onChange={(e) => setField(toggle, e.target.checked)}
+            />
+            {toggle.label}
+          </label>
+        ))}
+      </div>
+    </>
+  );
+};
+
+export default FliSettingsPanel;
@@ -1,8 +1,17 @@
-import React, { useContext, useState, useCallback, useMemo } from 'react';
+import React, { useContext, useState, useCallback, useMemo, useRef } from 'react';
 import { Modal, ModalDialog, Input, Button } from '@mui/joy';
 import { AppContext } from '../App';
 import Weather from './Weather';
 import ContactsSidebar from './ContactsSidebar';
+import { downloadFile, readFileAsText } from '../services/ConfigService';
+import {
+  serializeProject,
+  hasProjectSecrets,
+  parseProject,
+  getProjectFileName,
+  PROJECT_FILE_EXTENSION
+} from '../services/ProjectFileService';
+import { convertGaragesToDrawingSpace } from '../services/LayoutService';
 
 const DEFAULT_NEW_GARAGE = Object.freeze({
   name: '',
@@ -124,6 +133,7 @@ const GarageSelector = () => {
   const [editingLink, setEditingLink] = useState(null);
   const [newLink, setNewLink] = useState({ ...DEFAULT_NEW_LINK });
   const [localTime, setLocalTime] = useState('');
+  const projectFileInputRef = useRef(null);
 
   const primaryGarage = garages[0] || null;
 
@@ -219,7 +229,7 @@ const GarageSelector = () => {
       levels: []
     };
 
-    setGarages([...garages, garage]);
+    setGarages([...garages, garage], 'Add site');
     handleCloseAddModal();
   }, [newGarage, garages, setGarages, handleCloseAddModal]);
 
@@ -239,7 +249,7 @@ const GarageSelector = () => {
       } : g
     );
 
-    setGarages(updated);
+    setGarages(updated, 'Edit site');
     handleCloseEditModal();
   }, [editingGarage, garages, setGarages, handleCloseEditModal]);
 
@@ -248,7 +258,7 @@ const GarageSelector = () => {
       e.stopPropagation();
     }
     if (garages.length <= 1 || garageId == null) return;
-    setGarages(garages.filter(g => g.id !== garageId));
+    setGarages(garages.filter(g => g.id !== garageId), 'Delete site');
     handleCloseEditModal();
   }, [garages, setGarages, handleCloseEditModal]);
 
@@ -257,7 +267,7 @@ const GarageSelector = () => {
     const sanitizedContacts = safeArray(newContacts);
     const updatedGarages = [...garages];
     updatedGarages[0] = { ...updatedGarages[0], contacts: sanitizedContacts };
-    setGarages(updatedGarages);
+    setGarages(updatedGarages, 'Edit contacts');
   }, [garages, setGarages]);
 
   const handleAddLink = useCallback(() => {
@@ -280,7 +290,7 @@ const GarageSelector = () => {
       quickLinks: [...safeArray(updatedGarages[0]?.quickLinks), link]
     };
 
-    setGarages(updatedGarages);
+    setGarages(updatedGarages, 'Add quick link');
     handleCloseLinkModal();
   }, [newLink, garages, setGarages, handleCloseLinkModal]);
 
@@ -300,7 +310,7 @@ const GarageSelector = () => {
       )
     };
 
-    setGarages(updatedGarages);
+    setGarages(updatedGarages, 'Edit quick link');
     handleCloseLinkModal();
   }, [editingLink, garages, setGarages, handleCloseLinkModal]);
 
@@ -313,7 +323,7 @@ const GarageSelector = () => {
       quickLinks: safeArray(updatedGarages[0]?.quickLinks).filter(l => l.id !== linkId)
     };
 
-    setGarages(updatedGarages);
+    setGarages(updatedGarages, 'Delete quick link');
   }, [garages, setGarages]);
 
   const handleNewGarageChange = useCallback((field) => (e) => {
@@ -390,6 +400,36 @@ const GarageSelector = () => {
     setMode(mode === 'dark' ? 'light' : 'dark');
   }, [mode, setMode]);
 
+  const handleSaveProject = useCallback(() => {
+    if (garages.length === 0) return;
+    const includeSecrets = hasProjectSecrets(garages) && window.confirm(
+      'This project contains passwords (credential profiles, server logins, camera URLs).\n\n' +
+      'OK to include them in the project file, Cancel to save it without passwords.'
+    );
+    downloadFile(serializeProject(garages, { includeSecrets }), getProjectFileName(primaryGarage?.name), 'application/json');
+  }, [garages, primaryGarage]);
+
+  const handleOpenProject = useCallback(async (e) => {
+    const file = e?.target?.files?.[0];
+    if (!file) return;
+    if (e?.target) e.target.value = '';
+
+    try {
+      const content = await readFileAsText(file);
+      const project = parseProject(content);
+      const levelCount = project.garages.reduce((acc, g) => acc + safeArray(g?.levels).length, 0);
+      const confirmed = window.confirm(
+        `Open "${file.name}"?\n\n${project.garages.length} site(s), ${levelCount} level(s).\n` +
+        'This will replace all garages currently in the editor.'
+      );
+      if (!confirmed) return;
+      setGarages(await convertGaragesToDrawingSpace(project.garages), 'Open project');
+    } catch (err) {
+      console.error('Failed to open project:', err);
+      alert('Could not open project: ' + (err?.message || 'Unknown error'));
+    }
+  }, [setGarages]);
+
   const isNewGarageValid = sanitizeString(newGarage.name).length > 0;
   const isEditGarageValid = editingGarage && sanitizeString(editingGarage.name).length > 0;
   const isNewLinkValid = sanitizeString(newLink.name).length > 0 && sanitizeString(newLink.url).length > 0;
@@ -574,6 +614,38 @@ const GarageSelector = () => {
             <div className="content-area">
               <div className="section-tools">
                 <div className="section-label">All Sites</div>
+                <div style={{ display: 'flex', gap: 8 }}>
+                  <input
+                    ref={projectFileInputRef}
+                    type="file"
+                    accept={`${PROJECT_FILE_EXTENSION},.json`}
+                    style={{ display: 'none' }}
+                    onChange={handleOpenProject}
+                  />
+                  <button
+                    className="add-link-btn"
+                    onClick={() => projectFileInputRef.current?.click()}
+                    title="Open a saved project file"
+                  >
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z" />
+                    </svg>
+                    Open Project
+                  </button>
+                  <button
+                    className="add-link-btn"
+                    onClick={handleSaveProject}
+                    disabled={garages.length === 0}
+                    title="Save all sites, levels, devices and drawings to a project file"
+                  >
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z" />
+                      <polyline points="17 21 17 13 7 13 7 21" />
+                      <polyline points="7 3 7 8 15 8" />
+                    </svg>
+                    Save Project
+                  </button>
+                </div>
               </div>
 
               <div className="modern-grid">
@@ -0,0 +1,113 @@
+import React from 'react';
+import {
+  PARKING_KINDS,
+  getParkingKind,
+  getSensorLabel,
+  isSensorPlaced,
+  placeGroupSensors,
+  unplaceSensor
+} from '../services/SensorService';
+
+// ========================= CONSTANTS =========================
+
+// Written to the workbook's ParkingType column
+const PARKING_TYPE_OPTIONS = Object.freeze([
+  { kind: PARKING_KINDS.NORMAL, value: 'Normal', label: 'N' },
+  { kind: PARKING_KINDS.EV, value: 'EV', label: 'EV' },
+  { kind: PARKING_KINDS.ADA, value: 'ADA', label: 'ADA' }
+]);
+
+const BUTTON_STYLE = Object.freeze({
+  padding: '4px 8px',
+  background: 'rgba(59, 130, 246, 0.1)',
+  border: '1px solid rgba(59, 130, 246, 0.3)',
+  borderRadius: 6,
+  color: '#93c5fd',
+  fontSize: 11,
+  fontWeight: 500,
+  cursor: 'pointer'
+});
+
+// ========================= COMPONENT =========================
+
+/**
+ * Member sensors of a sensor group: place each one on the drawing as its own
+ * spot and set its parking type (rolled up into the level's EV/ADA counts).
+ */
+const GroupSensorsPanel = ({ device, updateDevice }) => {
+  const sensors = device.sensors;
+  const placedCount = sensors.filter(isSensorPlaced).length;
+
+  const updateSensor = (index, next, label) => {
+    updateDevice(device.id, { sensors: sensors.map((s, i) => (i === index ? next : s)) }, label);
+  };
+
+  return (
+    <div className="inspector-section-compact">
+      <label className="section-title-small">Group Sensors ({placedCount}/{sensors.length} placed)</label>
+      <div style={{ display: 'flex', gap: 6, marginBottom: 8 }}>
+        <button
+          style={{ ...BUTTON_STYLE, flex: 1, opacity: placedCount < sensors.length ? 1 : 0.5 }}
+          disabled={placedCount === sensors.length}
+          onClick={() => updateDevice(device.id, { sensors: placeGroupSensors(device) }, 'Place group sensors')}
+        >
+          Place All
+        </button>
+        <button
+          style={{ ...BUTTON_STYLE, flex: 1, opacity: placedCount > 0 ? 1 : 0.5 }}
+          disabled={placedCount === 0}
+          onClick={() => updateDevice(device.id, { sensors: sensors.map(unplaceSensor) }, 'Remove group sensors from map')}
+        >
+          Remove All from Map
+        </button>
+      </div>
+
+      {sensors.length === 0 && (
+        <div style={{ fontSize: 11, color: '#71717a' }}>This group has no sensors in the workbook.</div>
+      )}
+      <div style={{ maxHeight: 260, overflowY: 'auto' }}>
+        {sensors.map((sensor, index) => {
+          const kind = getParkingKind(sensor.parkingType);
+          const placed = isSensorPlaced(sensor);
+          return (
+            <div
+              key={`${sensor.sensorId || sensor.sensorName}-${index}`}
+              style={{ display: 'flex', alignItems: 'center', gap: 6, padding: '4px 0', borderBottom: '1px solid #27272a' }}
+            >
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontSize: 12, color: '#e4e4e7', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {getSensorLabel(sensor, index)}
+                </div>
+                {sensor.sensorId && sensor.sensorName && (
+                  <div style={{ fontSize: 10, color: '#71717a' }}>{sensor.sensorId}</div>
+                )}
+              </div>
+              <div className="parking-type-buttons" style={{ flex: 'none' }}>
+                {PARKING_TYPE_OPTIONS.map(option => (
+                  <button
+                    key={option.kind}
+                    className={`parking-type-btn ${option.kind === PARKING_KINDS.NORMAL ? '' : option.kind} ${kind === option.kind ? 'active' : ''}`}
+                    style={{ padding: '2px 6px', fontSize: 10 }}
+                    onClick={() => updateSensor(index, { ...sensor, parkingType: option.value }, 'Change sensor parking type')}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              <button
+                style={{ ...BUTTON_STYLE, flex: 'none', width: 58 }}
+                onClick={() => (placed
+                  ? updateSensor(index, unplaceSensor(sensor), 'Remove sensor from map')
+                  : updateDevice(device.id, { sensors: placeGroupSensors(device, [index]) }, 'Place sensor'))}
+              >
+                {placed ? 'Remove' : 'Place'}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default GroupSensorsPanel;
@@ -0,0 +1,118 @@
+import React, { useContext } from 'react';
+import { Modal, ModalDialog, Button } from '@mui/joy';
+import { AppContext } from '../App';
+
+// ========================= CONSTANTS =========================
+
+const MODAL_SX = Object.freeze({
+  borderRadius: '12px',
+  p: 0,
+  width: '100%',
+  maxWidth: 420,
+  bgcolor: '#18181b',
+  border: '1px solid #3f3f46',
+  overflow: 'hidden'
+});
+
+const formatTime = (time) => {
+  if (!time) return '';
+  return new Date(time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', second: '2-digit' });
+};
+
+// ========================= COMPONENT =========================
+
+/**
+ * Edit history list. Clicking an entry jumps the portfolio back (or forward)
+ * to the state right after that edit; entries past the current one are redo steps.
+ */
+const HistoryPanel = ({ open, onClose, theme }) => {
+  const {
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    historyEntries = [],
+    historyIndex = 0,
+    jumpToHistory
+  } = useContext(AppContext);
+
+  return (
+    <Modal open={open} onClose={onClose}>
+      <ModalDialog sx={{
+        ...MODAL_SX,
+        bgcolor: theme.bgSurface,
+        border: `1px solid ${theme.borderSubtle}`
+      }}>
+        <div style={{ padding: '16px 20px', borderBottom: `1px solid ${theme.borderSubtle}`, background: theme.bgHover }}>
+          <h3 style={{ margin: 0, fontSize: 16, fontWeight: 600, color: theme.text }}>Edit History</h3>
+          <p style={{ margin: '4px 0 0', fontSize: 12, color: theme.textMuted }}>
+            Ctrl+Z to undo, Ctrl+Shift+Z to redo. Click an entry to jump to it.
+          </p>
+        </div>
+
+        <div style={{ maxHeight: 360, overflowY: 'auto', padding: '8px 0' }}>
+          {historyEntries.map((entry, i) => ({ entry, i })).reverse().map(({ entry, i }) => {
+            const isCurrent = i === historyIndex;
+            const isRedo = i > historyIndex;
+            return (
+              <button
+                key={`${i}-${entry.time}`}
+                onClick={() => jumpToHistory(i)}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'space-between',
+                  width: '100%',
+                  padding: '8px 20px',
+                  background: isCurrent ? 'rgba(59, 130, 246, 0.15)' : 'transparent',
+                  border: 'none',
+                  borderLeft: `3px solid ${isCurrent ? '#3b82f6' : 'transparent'}`,
+                  color: isRedo ? theme.textMuted : theme.text,
+                  fontSize: 13,
+                  fontStyle: isRedo ? 'italic' : 'normal',
+                  textAlign: 'left',
+                  cursor: 'pointer'
+                }}
+              >
+                <span>{entry.label}</span>
+                <span style={{ fontSize: 11, color: theme.textMuted }}>{formatTime(entry.time)}</span>
+              </button>
+            );
+          })}
+        </div>
+
+        <div style={{ display: 'flex', gap: 10, justifyContent: 'flex-end', padding: '14px 20px', borderTop: '1px solid #3f3f46', background: '#27272a' }}>
+          <Button
+            size="sm"
+            variant="outlined"
+            color="neutral"
+            disabled={!canUndo}
+            onClick={undo}
+            sx={{ color: '#fafafa', borderColor: '#3f3f46', '&:hover': { bgcolor: '#3f3f46' } }}
+          >
+            Undo
+          </Button>
+          <Button
+            size="sm"
+            variant="outlined"
+            color="neutral"
+            disabled={!canRedo}
+            onClick={redo}
+            sx={{ color: '#fafafa', borderColor: '#3f3f46', '&:hover': { bgcolor: '#3f3f46' } }}
+          >
+            Redo
+          </Button>
+          <Button
+            size="sm"
+            onClick={onClose}
+            sx={{ bgcolor: '#3b82f6', '&:hover': { bgcolor: '#2563eb' } }}
+          >
+            Close
+          </Button>
+        </div>
+      </ModalDialog>
+    </Modal>
+  );
+};
+
+export default HistoryPanel;
@@ -1,5 +1,28 @@
 import React, { useContext, useEffect, useState, useRef } from 'react';
 import { AppContext } from '../App';
+import BulkInspectorPanel from './BulkInspectorPanel';
+import FliSettingsPanel from './FliSettingsPanel';
+import DisplayScheduleEditor from './DisplayScheduleEditor';
+import GroupSensorsPanel from './GroupSensorsPanel';
+import { withSensorSpotCounts } from '../services/SensorService';
+import { getConeSizeControl } from '../services/LayoutService';
+import {
+  FOV_LIMITS,
+  getConeFov,
+  getLensOptions,
+  getLensUpdates,
+  parseFov,
+  withLensSettings
+} from '../services/LensService';
+import {
+  USE_GARAGE_DEFAULT,
+  NO_CREDENTIALS,
+  getRtspTemplates,
+  resolveCredentialProfile,
+  resolveRtspTemplate,
+  buildCameraRtspUrl,
+  maskCredentials
+} from '../services/CredentialService';
 import {
   generateCameraHubConfig,
   generateDevicesConfig,
@@ -15,7 +38,8 @@ const InspectorPanel = () => {
     selectedGarageId,
     selectedLevelId,
     selectedDevice,
-    setSelectedDevice
+    setSelectedDevice,
+    selectedDeviceIds
   } = useContext(AppContext);
 
   const [showImageModal, setShowImageModal] = useState(false);
@@ -24,6 +48,9 @@ const InspectorPanel = () => {
   const [activeStreamTab, setActiveStreamTab] = useState(1);
   const [activeInspectorTab, setActiveInspectorTab] = useState('general');
   const [configExportMessage, setConfigExportMessage] = useState(null);
+  const [urlFocused, setUrlFocused] = useState(false);
+  // FOV text while typing; invalid values are kept here until blur
+  const [fovDraft, setFovDraft] = useState(null);
   const fileInputRef = useRef(null);
 
   const garage = garages.find(g => g.id === selectedGarageId);
@@ -50,19 +77,20 @@ const InspectorPanel = () => {
     }
   }, [overrideMessage]);
 
-  const updateDevice = (deviceId, updates) => {
+  const updateDevice = (deviceId, updates, label = 'Edit device') => {
     const updatedGarages = garages.map(g => {
       if (g.id === selectedGarageId) {
         return {
           ...g,
           levels: g.levels.map(l => {
             if (l.id === selectedLevelId) {
-              return {
+              // Parking types of the level's sensors drive its EV/ADA spot counts
+              return withSensorSpotCounts({
                 ...l,
                 devices: l.devices.map(d => 
                   d.id === deviceId ? { ...d, ...updates } : d
                 )
-              };
+              });
             }
             return l;
           })
@@ -70,12 +98,28 @@ const InspectorPanel = () => {
       }
       return g;
     });
-    setGarages(updatedGarages);
+    setGarages(updatedGarages, label, { coalesceKey: `device:${deviceId}:${label}` });
+  };
+
+  // Display groups live on the garage; editing a group that does not exist yet creates it
+  const updateDisplayGroup = (groupName, updates, label = 'Edit display group') => {
+    const updatedGarages = garages.map(g => {
+      if (g.id !== selectedGarageId) return g;
+      const groups = Array.isArray(g.displayGroups) ? g.displayGroups : [];
+      const exists = groups.some(group => group.name === groupName);
+      return {
+        ...g,
+        displayGroups: exists
+          ? groups.map(group => (group.name === groupName ? { ...group, ...updates } : group))
+          : [...groups, { id: Date.now(), name: groupName, schedules: [], ...updates }]
+      };
+    });
+    setGarages(updatedGarages, label, { coalesceKey: `display-group:${groupName}:${label}` });
   };
 
   // Remove device from map only (keeps it in the device list as pending placement)
   const removeFromMap = (deviceId) => {
-    updateDevice(deviceId, { pendingPlacement: true, x: undefined, y: undefined });
+    updateDevice(deviceId, { pendingPlacement: true, x: undefined, y: undefined }, 'Remove device from map');
     setSelectedDevice(null);
   };
 
@@ -87,10 +131,10 @@ const InspectorPanel = () => {
           ...g,
           levels: g.levels.map(l => {
             if (l.id === selectedLevelId) {
-              return {
+              return withSensorSpotCounts({
                 ...l,
                 devices: l.devices.filter(d => d.id !== deviceId)
-              };
+              });
             }
             return l;
           })
@@ -98,7 +142,7 @@ const InspectorPanel = () => {
       }
       return g;
     });
-    setGarages(updatedGarages);
+    setGarages(updatedGarages, 'Delete device');
     setSelectedDevice(null);
   };
 
@@ -142,7 +186,7 @@ const InspectorPanel = () => {
 
     if (isCamera) {
       // Generate and download CameraHub entry
-      const cameraHubXml = generateCameraHubConfig([device]);
+      const cameraHubXml = generateCameraHubConfig([device], garage);
       downloadFile(cameraHubXml, `${device.name}-camerahub-entry.xml`);
 
       // Generate FLI config if applicable
@@ -156,6 +200,10 @@ const InspectorPanel = () => {
     setTimeout(() => setConfigExportMessage(null), 3000);
   };
 
+  if (selectedDeviceIds?.length > 1) {
+    return <BulkInspectorPanel />;
+  }
+
   if (!currentLevel || !selectedDevice || !device) {
     return null;
   }
@@ -167,6 +215,7 @@ const InspectorPanel = () => {
   const isStaticSign = device.type === 'sign-static';
   const isSpaceMonitor = device.type.startsWith('sensor-');
   const isNwave = device.type === 'sensor-nwave' || device.sensorGroup === 'sensor-nwave';
+  const isSensorGroupDevice = isSpaceMonitor && Array.isArray(device.sensors);
 
   // Sensor group labels
   const sensorGroupLabels = {
@@ -242,12 +291,17 @@ const InspectorPanel = () => {
     updateDevice(device.id, { displayMapping: updated });
   };
 
+  const hasFliStream = isDualLens
+    ? [device.stream1, device.stream2].some(stream => (stream?.streamType || device.type) === 'cam-fli')
+    : device.type === 'cam-fli';
+
   // ===== TAB DEFINITIONS =====
   const getInspectorTabs = () => {
     if (isCamera) return [
       { id: 'general', label: 'General' },
       { id: 'visual', label: 'Visual' },
       { id: 'network', label: 'Network' },
+      ...(hasFliStream ? [{ id: 'fli', label: 'FLI' }] : []),
       { id: 'export', label: 'Export' },
     ];
     if (isSign) return [
@@ -539,15 +593,28 @@ const InspectorPanel = () => {
                 </div>
 
                 {/* NWAVE-specific fields */}
+                {/* Workbook sensor groups keep their controller's address in controllerAddress */}
+                {!isNwave && isSensorGroupDevice && (
+                  <div className="compact-row">
+                    <label>Controller Address</label>
+                    <input
+                      type="text"
+                      value={device.controllerAddress || ''}
+                      placeholder="192.168.1.50"
+                      onChange={(e) => updateDevice(device.id, { controllerAddress: e.target.value })}
+                    />
+                  </div>
+                )}
+
                 {isNwave && (
                   <>
                     <div className="compact-row">
                       <label>URL (IP Address)</label>
                       <input
                         type="text"
-                        value={device.ipAddress || ''}
+                        value={(isSensorGroupDevice ? device.controllerAddress : device.ipAddress) || ''}
                         placeholder="https://api.nwave.io/..."
-                        onChange={(e) => updateDevice(device.id, { ipAddress: e.target.value })}
+                        onChange={(e) => updateDevice(device.id, { [isSensorGroupDevice ? 'controllerAddress' : 'ipAddress']: e.target.value })}
                       />
                     </div>
                     <div className="compact-row">
@@ -597,6 +664,11 @@ const InspectorPanel = () => {
                 </div>
               </div>
             )}
+
+            {/* Member sensors of a workbook sensor group */}
+            {isSensorGroupDevice && (
+              <GroupSensorsPanel device={device} updateDevice={updateDevice} />
+            )}
           </>
         )}
 
@@ -621,6 +693,9 @@ const InspectorPanel = () => {
                 const coneSizeValue = isDualLens
                   ? (currentStream?.coneSize ?? 40)
                   : (device.coneSize ?? 40);
+                const coneControl = getConeSizeControl(coneSizeValue, currentLevel);
+                const streamKey = isDualLens ? `stream${activeStreamTab}` : null;
+                const lensValue = (isDualLens ? currentStream?.lens : device.lens) || '';
 
                 return (
                   <>
@@ -644,6 +719,38 @@ const InspectorPanel = () => {
                         <span>°</span>
                       </div>
                     </div>
+                    <div className="compact-row">
+                      <label>Lens</label>
+                      <select
+                        className="sign-type-select"
+                        value={lensValue}
+                        onChange={(e) => updateDevice(device.id, getLensUpdates(device, e.target.value, streamKey, currentLevel), 'Change lens')}
+                      >
+                        <option value="">Custom</option>
+                        {getLensOptions(device).map(lens => (
+                          <option key={lens.id} value={lens.id}>{lens.label} · {lens.fov}°</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="compact-row">
+                      <label>FOV</label>
+                      <div className="rotation-compact">
+                        <input
+                          type="number"
+                          value={fovDraft ?? getConeFov(device, streamKey)}
+                          onChange={(e) => {
+                            setFovDraft(e.target.value);
+                            const fov = parseFov(e.target.value);
+                            if (fov !== null) updateDevice(device.id, withLensSettings(device, streamKey, { fov, lens: '' }), 'Change field of view');
+                          }}
+                          onBlur={() => setFovDraft(null)}
+                          min={FOV_LIMITS.min}
+                          max={FOV_LIMITS.max}
+                          title="Horizontal field of view"
+                        />
+                        <span>°</span>
+                      </div>
+                    </div>
                     <div className="compact-row">
                       <label>Color</label>
                       <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
@@ -667,11 +774,11 @@ const InspectorPanel = () => {
                       <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
                         <input
                           type="range"
-                          min="20"
-                          max="120"
-                          value={coneSizeValue}
+                          min={coneControl.min}
+                          max={coneControl.max}
+                          value={coneControl.value}
                           onChange={(e) => {
-                            const val = parseInt(e.target.value, 10);
+                            const val = coneControl.toConeSize(parseInt(e.target.value, 10));
                             if (isDualLens) {
                               updateStreamProperty(activeStreamTab, 'coneSize', val);
                             } else {
@@ -680,7 +787,7 @@ const InspectorPanel = () => {
                           }}
                           style={{ flex: 1, accentColor: '#3b82f6' }}
                         />
-                        <span style={{ fontSize: 11, color: '#a1a1aa', minWidth: 30 }}>{coneSizeValue}px</span>
+                        <span style={{ fontSize: 11, color: '#a1a1aa', minWidth: 30 }}>{coneControl.label}</span>
                       </div>
                     </div>
                   </>
@@ -826,6 +933,13 @@ const InspectorPanel = () => {
               </>
             )}
 
+            <DisplayScheduleEditor
+              device={device}
+              garage={garage}
+              updateDevice={updateDevice}
+              updateDisplayGroup={updateDisplayGroup}
+            />
+
             {/* Override State (all signs) */}
             <div className="inspector-section-compact">
               <label className="section-title-small">Override State</label>
@@ -923,8 +1037,10 @@ const InspectorPanel = () => {
                     <div className="url-input-row">
                       <input
                         type="text"
-                        value={urlValue}
+                        value={urlFocused ? urlValue : maskCredentials(urlValue)}
                         placeholder="https://device-admin.local/..."
+                        onFocus={() => setUrlFocused(true)}
+                        onBlur={() => setUrlFocused(false)}
                         onChange={(e) => {
                           if (isCamera && isDualLens) {
                             updateStreamProperty(activeStreamTab, 'externalUrl', e.target.value);
@@ -1006,6 +1122,65 @@ const InspectorPanel = () => {
               </div>
             )}
 
+            {/* Stream Login (cameras only) */}
+            {isCamera && (
+              (() => {
+                const currentStream = getCurrentStream();
+                const stream = isDualLens
+                  ? currentStream
+                  : { ipAddress: device.stream1?.ipAddress || device.ipAddress, port: device.stream1?.port || device.port };
+                const profile = resolveCredentialProfile(device, garage);
+                const template = resolveRtspTemplate(device, garage);
+                const defaultProfile = resolveCredentialProfile({}, garage);
+                const previewUrl = stream?.externalUrl || buildCameraRtspUrl(device, stream, isDualLens ? activeStreamTab : 1, garage);
+
+                return (
+                  <div className="inspector-section-compact">
+                    <label className="section-title-small">Stream Login</label>
+                    <div className="compact-row">
+                      <label>Credentials</label>
+                      <select
+                        className="sign-type-select"
+                        value={device.credentialProfileId ?? USE_GARAGE_DEFAULT}
+                        onChange={(e) => updateDevice(device.id, {
+                          credentialProfileId: [USE_GARAGE_DEFAULT, NO_CREDENTIALS].includes(e.target.value) ? e.target.value : Number(e.target.value)
+                        }, 'Change camera credentials')}
+                      >
+                        <option value={USE_GARAGE_DEFAULT}>Site default ({defaultProfile?.name || 'none'})</option>
+                        {(garage?.credentialProfiles || []).map(p => (
+                          <option key={p.id} value={p.id}>{p.name}</option>
+                        ))}
+                        <option value={NO_CREDENTIALS}>No credentials</option>
+                      </select>
+                    </div>
+                    <div className="compact-row">
+                      <label>RTSP Path</label>
+                      <select
+                        className="sign-type-select"
+                        value={device.rtspTemplateId || ''}
+                        onChange={(e) => updateDevice(device.id, { rtspTemplateId: e.target.value || null }, 'Change RTSP path')}
+                      >
+                        <option value="">Site default</option>
+                        {getRtspTemplates(garage).map(t => (
+                          <option key={t.id} value={t.id}>{t.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div style={{ marginTop: 6, fontSize: 11, color: '#a1a1aa', wordBreak: 'break-all', fontFamily: 'monospace' }}>
+                      {stream?.ipAddress || stream?.externalUrl
+                        ? maskCredentials(previewUrl)
+                        : 'Set an IP address to generate the RTSP URL'}
+                    </div>
+                    {!stream?.externalUrl && (
+                      <div style={{ marginTop: 4, fontSize: 11, color: '#71717a' }}>
+                        {profile ? `Login: ${profile.name}` : 'No login'} &middot; {template?.name}
+                      </div>
+                    )}
+                  </div>
+                );
+              })()
+            )}
+
             {/* Traffic Flow (cameras only) */}
             {isCamera && (
               (() => {
@@ -1089,6 +1264,19 @@ const InspectorPanel = () => {
           </>
         )}
 
+        {/* ================================================================ */}
+        {/* ========================== FLI TAB ============================ */}
+        {/* ================================================================ */}
+        {activeInspectorTab === 'fli' && hasFliStream && (
+          (getCurrentStream()?.streamType || device.type) === 'cam-fli' ? (
+            <FliSettingsPanel device={device} streamNum={isDualLens ? activeStreamTab : 1} updateDevice={updateDevice} />
+          ) : (
+            <div className="inspector-section-compact" style={{ fontSize: 12, color: '#a1a1aa' }}>
+              Stream {activeStreamTab} is not an FLI stream. Switch to the FLI stream to edit its plugin settings.
+            </div>
+          )
+        )}
+
         {/* ================================================================ */}
         {/* ======================== EXPORT TAB =========================== */}
         {/* ================================================================ */}
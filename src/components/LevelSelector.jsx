@@ -2,6 +2,7 @@ import React, { useContext, useState, useMemo, useCallback, useRef } from 'react
 import { Modal, ModalDialog, Input, Button } from '@mui/joy';
 import { AppContext } from '../App';
 import ContactsSidebar from './ContactsSidebar';
+import { getSensorSpotCounts, withSensorSpotCounts } from '../services/SensorService';
 
 const INPUT_SX = Object.freeze({
   fontSize: 14,
@@ -314,7 +315,7 @@ const LevelSelector = () => {
         };
       });
 
-      setGarages(updatedGarages);
+      setGarages(updatedGarages, 'Add level');
 
       if (mountedRef.current) {
         handleCloseModal();
@@ -341,18 +342,19 @@ const LevelSelector = () => {
           ...g,
           levels: safeArray(g.levels).map(l => {
             if (!l || l.id !== editingLevel.id) return l;
-            return {
+            return withSensorSpotCounts({
               ...l,
               name: trimmedName,
               totalSpots: safeNumber(editingLevel.totalSpots, 0),
               evSpots: safeNumber(editingLevel.evSpots, 0),
-              handicapSpots: safeNumber(editingLevel.handicapSpots, 0)
-            };
+              handicapSpots: safeNumber(editingLevel.handicapSpots, 0),
+              spotCountsFromSensors: editingLevel.spotCountsFromSensors
+            });
           })
         };
       });
 
-      setGarages(updatedGarages);
+      setGarages(updatedGarages, 'Edit level');
 
       if (mountedRef.current) {
         handleCloseEditModal();
@@ -382,7 +384,7 @@ const LevelSelector = () => {
         };
       });
 
-      setGarages(updatedGarages);
+      setGarages(updatedGarages, 'Delete level');
 
       if (mountedRef.current) {
         handleCloseEditModal();
@@ -401,7 +403,7 @@ const LevelSelector = () => {
       if (!g || g.id !== selectedGarageId) return g;
       return { ...g, contacts: sanitizedContacts };
     });
-    setGarages(updatedGarages);
+    setGarages(updatedGarages, 'Edit contacts');
   }, [garages, selectedGarageId, setGarages]);
 
   const handleNewLevelChange = useCallback((field) => (e) => {
@@ -469,7 +471,7 @@ const LevelSelector = () => {
         };
       });
 
-      setGarages(updatedGarages);
+      setGarages(updatedGarages, 'Add server');
 
       if (mountedRef.current) {
         handleCloseServerModal();
@@ -510,7 +512,7 @@ const LevelSelector = () => {
         };
       });
 
-      setGarages(updatedGarages);
+      setGarages(updatedGarages, 'Edit server');
 
       if (mountedRef.current) {
         handleCloseEditServerModal();
@@ -540,7 +542,7 @@ const LevelSelector = () => {
         };
       });
 
-      setGarages(updatedGarages);
+      setGarages(updatedGarages, 'Delete server');
 
       if (mountedRef.current) {
         handleCloseEditServerModal();
@@ -620,7 +622,9 @@ const LevelSelector = () => {
       name: safeString(level.name),
       totalSpots: safeNumber(level.totalSpots, 0),
       evSpots: safeNumber(level.evSpots, 0),
-      handicapSpots: safeNumber(level.handicapSpots, 0)
+      handicapSpots: safeNumber(level.handicapSpots, 0),
+      spotCountsFromSensors: Boolean(level.spotCountsFromSensors),
+      sensorSpotCounts: getSensorSpotCounts(level)
     });
     setShowEditModal(true);
   }, []);
@@ -897,12 +901,12 @@ const LevelSelector = () => {
                             <span className="level-stat-label">Spots</span>
                           </div>
                           <div className="level-stat-divider" />
-                          <div className="level-stat">
+                          <div className="level-stat" title={level.spotCountsFromSensors ? 'Counted from sensors' : undefined}>
                             <span className="level-stat-value">{safeNumber(level.evSpots, 0)}</span>
                             <span className="level-stat-label">EV</span>
                           </div>
                           <div className="level-stat-divider" />
-                          <div className="level-stat">
+                          <div className="level-stat" title={level.spotCountsFromSensors ? 'Counted from sensors' : undefined}>
                             <span className="level-stat-value">{safeNumber(level.handicapSpots, 0)}</span>
                             <span className="level-stat-label">ADA</span>
                           </div>
@@ -1129,8 +1133,9 @@ const LevelSelector = () => {
                 <Input
                   size="sm"
                   type="number"
-                  value={editingLevel?.evSpots ?? 0}
+                  value={editingLevel?.spotCountsFromSensors ? editingLevel.sensorSpotCounts.ev : (editingLevel?.evSpots ?? 0)}
                   onChange={handleEditLevelChange('evSpots')}
+                  disabled={Boolean(editingLevel?.spotCountsFromSensors)}
                   slotProps={{ input: { min: 0 } }}
                   sx={INPUT_SX}
                 />
@@ -1140,13 +1145,29 @@ const LevelSelector = () => {
                 <Input
                   size="sm"
                   type="number"
-                  value={editingLevel?.handicapSpots ?? 0}
+                  value={editingLevel?.spotCountsFromSensors ? editingLevel.sensorSpotCounts.ada : (editingLevel?.handicapSpots ?? 0)}
                   onChange={handleEditLevelChange('handicapSpots')}
+                  disabled={Boolean(editingLevel?.spotCountsFromSensors)}
                   slotProps={{ input: { min: 0 } }}
                   sx={INPUT_SX}
                 />
               </div>
             </div>
+
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: '#fafafa', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={Boolean(editingLevel?.spotCountsFromSensors)}
+                disabled={!editingLevel?.sensorSpotCounts?.total}
+                onChange={(e) => setEditingLevel(prev => (prev ? { ...prev, spotCountsFromSensors: e.target.checked } : prev))}
+              />
+              Count EV/ADA spots from sensors
+              <span style={{ fontSize: 11, color: '#71717a' }}>
+                {editingLevel?.sensorSpotCounts?.total
+                  ? `(${editingLevel.sensorSpotCounts.total} sensor(s); kept up to date as sensors change)`
+                  : '(no sensors on this level)'}
+              </span>
+            </label>
           </div>
 
           <div style={{ display: 'flex', gap: 10, justifyContent: 'space-between', padding: '14px 20px', borderTop: '1px solid #3f3f46', background: '#27272a' }}>
@@ -1,10 +1,77 @@
-import React, { useContext, useState, useRef, useEffect } from 'react';
+import React, { useContext, useState, useRef, useEffect, useMemo } from 'react';
 import { Stage, Layer, Image as KonvaImage, Circle, Rect, Text, Group, Wedge, Line } from 'react-konva';
 import useImage from 'use-image';
+import { useDrop } from 'react-dnd';
 import { useColorScheme } from '@mui/joy/styles';
 import { AppContext } from '../App';
+import {
+  DRAWING_COORDINATE_SPACE,
+  PENDING_DEVICE_DRAG_TYPE,
+  getConeSizeControl,
+  getDrawingSize,
+  getFitView,
+  zoomViewAt,
+  DISTANCE_UNITS,
+  calibrateScale,
+  getPixelsPerFoot,
+  getDisplayUnit,
+  getGridSpacing,
+  getScaleBar,
+  formatDrawingDistance
+} from '../services/LayoutService';
+import {
+  BAY_ANGLES,
+  PARKING_KINDS,
+  createSpotRowDevices,
+  getParkingKind,
+  getSensorLabel,
+  getSpotRowLayout,
+  getSpotRowCount,
+  isSensorGroup,
+  isSensorPlaced,
+  withSensorSpotCounts
+} from '../services/SensorService';
+import { ZONE_KINDS, getCameraCones, getLevelCoverage, paintCoverageHeatmap } from '../services/CoverageService';
+import {
+  OBSTRUCTION_KINDS,
+  getObstructionSegments,
+  getVisibleConePoints,
+  isObstructionComplete
+} from '../services/ObstructionService';
+import { getConeFov, withLensSettings } from '../services/LensService';
 
 const GRID_SIZE = 20;
+const ZONE_COLORS = Object.freeze({
+  [ZONE_KINDS.LANE]: '#3b82f6',
+  [ZONE_KINDS.AREA]: '#a855f7'
+});
+// Clicking within this many screen pixels of a zone's first point closes it
+const ZONE_CLOSE_DISTANCE = 10;
+const OBSTRUCTION_COLOR = '#94a3b8';
+const OBSTRUCTION_LABELS = Object.freeze({
+  [OBSTRUCTION_KINDS.WALL]: 'Wall',
+  [OBSTRUCTION_KINDS.COLUMN]: 'Column',
+  [OBSTRUCTION_KINDS.OBSTRUCTION]: 'Obstruction'
+});
+const ZOOM_STEP = 1.15;
+// Selected cones are drawn this much longer (drawing pixels)
+const SELECTED_CONE_EXTRA = 10;
+// Camera handles: rotation knobs ride a ring this many screen pixels from the camera
+const ROTATION_HANDLE_DISTANCE = 34;
+const ROTATION_SNAP = 15;
+const MIN_CONE_SIZE = 5;
+const SCALE_BAR_MAX_WIDTH = 120;
+
+const SPOT_SENSOR_TYPES = Object.freeze([
+  { value: 'sensor-nwave', label: 'NWAVE' },
+  { value: 'sensor-parksol', label: 'Parksol' },
+  { value: 'sensor-proco', label: 'Proco' },
+  { value: 'sensor-ensight', label: 'Ensight Vision' }
+]);
+
+const isTypingTarget = (el) => (
+  el?.tagName === 'INPUT' || el?.tagName === 'TEXTAREA' || el?.tagName === 'SELECT' || el?.isContentEditable
+);
 
 const MapCanvas = ({ mapFilter }) => {
   const {
@@ -13,7 +80,9 @@ const MapCanvas = ({ mapFilter }) => {
     selectedGarageId,
     selectedLevelId,
     selectedDevice,
-    setSelectedDevice
+    setSelectedDevice,
+    selectedDeviceIds,
+    setSelectedDeviceIds
   } = useContext(AppContext);
 
   const { mode } = useColorScheme();
@@ -22,8 +91,10 @@ const MapCanvas = ({ mapFilter }) => {
   const garage = garages.find(g => g.id === selectedGarageId);
   const currentLevel = garage?.levels.find(l => l.id === selectedLevelId);
   const [bgImg] = useImage(currentLevel?.bgImage);
+  const { width: drawingWidth, height: drawingHeight } = getDrawingSize(bgImg);
 
   const containerRef = useRef(null);
+  const stageRef = useRef(null);
   const fileInputRef = useRef(null);
   const [dimensions, setDimensions] = useState({ width: 800, height: 600 });
   const [showGrid, setShowGrid] = useState(true);
@@ -31,6 +102,84 @@ const MapCanvas = ({ mapFilter }) => {
   // Tooltip state
   const [tooltip, setTooltip] = useState({ visible: false, x: 0, y: 0, content: '' });
 
+  // View transform (drawing space -> screen). null = fit the drawing to the viewport.
+  const [view, setView] = useState(null);
+  const [spaceHeld, setSpaceHeld] = useState(false);
+  const [isPanning, setIsPanning] = useState(false);
+  const panStartRef = useRef(null);
+
+  // Rubber-band selection rectangle in drawing space
+  const [marquee, setMarquee] = useState(null);
+  const suppressClickRef = useRef(false);
+  const deviceNodesRef = useRef({});
+  const groupDragRef = useRef(null);
+
+  // Point-picking tools: 'calibrate' (set the level scale) or 'measure'
+  const [tool, setTool] = useState(null);
+  const [toolPoints, setToolPoints] = useState([]);
+  const [calibrationDistance, setCalibrationDistance] = useState('');
+  const [calibrationUnit, setCalibrationUnit] = useState('ft');
+  const [calibrationError, setCalibrationError] = useState('');
+  // Spot row tool options ('count' blank = as many standard stalls as fit)
+  const [spotRow, setSpotRow] = useState(null);
+
+  // Coverage overlay and the zone being drawn with the 'zone' tool
+  const [showCoverage, setShowCoverage] = useState(false);
+  const [zoneDraft, setZoneDraft] = useState({ name: '', kind: ZONE_KINDS.LANE });
+  // Kind drawn with the 'obstruction' tool
+  const [obstructionKind, setObstructionKind] = useState(OBSTRUCTION_KINDS.WALL);
+  // Live rotation / cone size while a handle of the selected camera is dragged
+  const [coneDrag, setConeDrag] = useState(null);
+
+  // Re-fit whenever a different level or drawing is shown
+  const viewKey = `${selectedLevelId}:${drawingWidth}x${drawingHeight}`;
+  const [shownViewKey, setShownViewKey] = useState(viewKey);
+  if (shownViewKey !== viewKey) {
+    setShownViewKey(viewKey);
+    setView(null);
+    setTool(null);
+    setToolPoints([]);
+    // Spot numbering continues per level
+    setSpotRow(null);
+  }
+
+  const coverage = useMemo(() => (
+    showCoverage && currentLevel ? getLevelCoverage(currentLevel, { width: drawingWidth, height: drawingHeight }) : null
+  ), [showCoverage, currentLevel, drawingWidth, drawingHeight]);
+  const coverageHeatmap = useMemo(() => (
+    coverage ? paintCoverageHeatmap(document.createElement('canvas'), coverage.grid, coverage.report.blindCells) : null
+  ), [coverage]);
+  // Other levels with a drawing can only be measured over their zones (their drawings are not loaded)
+  const levelCoverage = useMemo(() => (
+    showCoverage
+      ? (garage?.levels || []).map(l => ({
+        level: l,
+        percent: (l.id === currentLevel?.id ? coverage : getLevelCoverage(l))?.report.percent ?? null
+      }))
+      : []
+  ), [showCoverage, garage, currentLevel, coverage]);
+
+  // Camera cones clipped by the level's walls and obstructions (null when it has none),
+  // at the normal and the selected size, by `${deviceId}:${lens}`
+  const obstructionSegments = useMemo(() => getObstructionSegments(currentLevel), [currentLevel]);
+  const visibleCones = useMemo(() => {
+    if (obstructionSegments.length === 0) return null;
+    const cones = {};
+    getCameraCones(currentLevel).forEach(cone => {
+      cones[`${cone.deviceId}:${cone.lens}`] = {
+        normal: getVisibleConePoints(cone, obstructionSegments),
+        selected: getVisibleConePoints({ ...cone, radius: cone.radius + SELECTED_CONE_EXTRA }, obstructionSegments)
+      };
+    });
+    return cones;
+  }, [currentLevel, obstructionSegments]);
+
+  // Real-world scale (null until the level is calibrated)
+  const pixelsPerFoot = getPixelsPerFoot(currentLevel);
+  const gridSpacing = getGridSpacing(currentLevel, GRID_SIZE);
+
+  const currentView = view || getFitView(dimensions, { width: drawingWidth, height: drawingHeight });
+
   useEffect(() => {
     const updateSize = () => {
       if (containerRef.current) {
@@ -56,12 +205,72 @@ const MapCanvas = ({ mapFilter }) => {
     };
   }, []);
 
-  // Snap to grid function
+  // Space + drag pans the view
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isTypingTarget(e.target)) return;
+      if (e.key === 'Escape') {
+        setTool(null);
+        setToolPoints([]);
+        return;
+      }
+      if (e.code !== 'Space') return;
+      e.preventDefault();
+      setSpaceHeld(true);
+    };
+    const handleKeyUp = (e) => {
+      if (e.code === 'Space') setSpaceHeld(false);
+    };
+    const handleBlur = () => setSpaceHeld(false);
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+    };
+  }, []);
+
+  // Track the pan on window so it continues when the cursor leaves the canvas
+  useEffect(() => {
+    if (!isPanning) return;
+    const handleMove = (e) => {
+      const start = panStartRef.current;
+      if (!start) return;
+      setView({
+        scale: start.view.scale,
+        x: start.view.x + e.clientX - start.clientX,
+        y: start.view.y + e.clientY - start.clientY
+      });
+    };
+    const handleUp = () => {
+      panStartRef.current = null;
+      setIsPanning(false);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+  }, [isPanning]);
+
+  // A marquee released outside the canvas is cancelled
+  const isSelectingArea = marquee !== null;
+  useEffect(() => {
+    if (!isSelectingArea) return;
+    const handleUp = () => setMarquee(null);
+    window.addEventListener('mouseup', handleUp);
+    return () => window.removeEventListener('mouseup', handleUp);
+  }, [isSelectingArea]);
+
+  // Snap to grid function (grid is in real units once the level is calibrated)
   const snapToGrid = (value) => {
-    return Math.round(value / GRID_SIZE) * GRID_SIZE;
+    return Math.round(value / gridSpacing) * gridSpacing;
   };
 
-  const updateDevice = (deviceId, updates) => {
+  const updateDevice = (deviceId, updates, label = 'Move device') => {
     const updatedGarages = garages.map(g => {
       if (g.id === selectedGarageId) {
         return {
@@ -79,7 +288,84 @@ const MapCanvas = ({ mapFilter }) => {
       }
       return g;
     });
-    setGarages(updatedGarages);
+    setGarages(updatedGarages, label, { coalesceKey: `device:${deviceId}:${label}` });
+  };
+
+  // Devices drawn on the canvas: skip devices pending placement, apply map filter
+  const visibleDevices = (currentLevel?.devices || []).filter(device => {
+    if (device.pendingPlacement) return false;
+    if (!mapFilter || mapFilter.length === 0) return true; // No filter, show all
+    // Multi-select: show device if it matches ANY active filter
+    if (mapFilter.includes('cameras') && device.type?.startsWith('cam-')) return true;
+    if (mapFilter.includes('spaceMonitoring') && device.type?.startsWith('sensor-')) return true;
+    if (mapFilter.includes('signs') && device.type?.startsWith('sign-')) return true;
+    if (mapFilter.includes('servers') && device.type === 'server') return true;
+    return false;
+  });
+
+  // Sensor groups whose member sensors may be placed, even while the controller is pending
+  const sensorGroups = (currentLevel?.devices || []).filter(device => (
+    isSensorGroup(device) && (!mapFilter || mapFilter.length === 0 || mapFilter.includes('spaceMonitoring'))
+  ));
+
+  const selectionIds = selectedDeviceIds?.length > 0
+    ? selectedDeviceIds
+    : (selectedDevice ? [selectedDevice.id] : []);
+
+  // A single selected camera gets rotation and range handles (not while a tool is active)
+  const handleCamera = selectionIds.length === 1 && !tool
+    ? visibleDevices.find(d => d.id === selectionIds[0] && d.type?.startsWith('cam-'))
+    : null;
+
+  // One selected device opens the inspector for it; several open the bulk inspector
+  const applySelection = (ids) => {
+    if (ids.length === 1) {
+      setSelectedDevice(currentLevel?.devices?.find(d => d.id === ids[0]) || null);
+      return;
+    }
+    setSelectedDevice(null);
+    setSelectedDeviceIds(ids);
+  };
+
+  const moveDevices = (positions) => {
+    const updatedGarages = garages.map(g => {
+      if (g.id !== selectedGarageId) return g;
+      return {
+        ...g,
+        levels: g.levels.map(l => {
+          if (l.id !== selectedLevelId) return l;
+          return {
+            ...l,
+            devices: l.devices.map(d => (positions[d.id] ? { ...d, ...positions[d.id] } : d))
+          };
+        })
+      };
+    });
+    setGarages(updatedGarages, 'Move devices');
+  };
+
+  const handleDeviceDragStart = (device, e) => {
+    e.target.moveToTop();
+    groupDragRef.current = null;
+    if (selectionIds.length < 2 || !selectionIds.includes(device.id)) return;
+
+    const starts = {};
+    visibleDevices.forEach(d => {
+      if (selectionIds.includes(d.id)) starts[d.id] = { x: d.x, y: d.y };
+    });
+    groupDragRef.current = { anchorId: device.id, starts };
+  };
+
+  const handleDeviceDragMove = (e) => {
+    const group = groupDragRef.current;
+    if (!group) return;
+    const anchor = group.starts[group.anchorId];
+    const dx = e.target.x() - anchor.x;
+    const dy = e.target.y() - anchor.y;
+    Object.entries(group.starts).forEach(([id, start]) => {
+      const node = deviceNodesRef.current[id];
+      if (node && node !== e.target) node.position({ x: start.x + dx, y: start.y + dy });
+    });
   };
 
   const handleDeviceDragEnd = (id, e) => {
@@ -87,10 +373,303 @@ const MapCanvas = ({ mapFilter }) => {
     const snappedY = snapToGrid(e.target.y());
     e.target.x(snappedX);
     e.target.y(snappedY);
-    updateDevice(id, { x: snappedX, y: snappedY });
+
+    const group = groupDragRef.current;
+    groupDragRef.current = null;
+    if (!group) {
+      updateDevice(id, { x: snappedX, y: snappedY });
+      return;
+    }
+
+    // Snap the dragged device and move the rest by the same offset, keeping their layout
+    const anchor = group.starts[group.anchorId];
+    const dx = snappedX - anchor.x;
+    const dy = snappedY - anchor.y;
+    const positions = {};
+    Object.entries(group.starts).forEach(([deviceId, start]) => {
+      positions[deviceId] = { x: start.x + dx, y: start.y + dy };
+      deviceNodesRef.current[deviceId]?.position(positions[deviceId]);
+    });
+    moveDevices(positions);
+  };
+
+  // Place a pending device dragged from the sidebar at the drop point and select it
+  const placeDroppedDevice = (deviceId, clientOffset) => {
+    const stage = stageRef.current;
+    if (!stage || !clientOffset) return;
+    const rect = stage.container().getBoundingClientRect();
+    const x = snapToGrid((clientOffset.x - rect.left - currentView.x) / currentView.scale);
+    const y = snapToGrid((clientOffset.y - rect.top - currentView.y) / currentView.scale);
+    updateDevice(deviceId, { x, y, pendingPlacement: false }, 'Place device');
+    applySelection([deviceId]);
+  };
+
+  // The drop spec is built once and calls the latest handler through this ref
+  const placeDroppedDeviceRef = useRef(placeDroppedDevice);
+  useEffect(() => {
+    placeDroppedDeviceRef.current = placeDroppedDevice;
+  });
+
+  const [{ isDeviceOver }, dropRef] = useDrop(() => ({
+    accept: PENDING_DEVICE_DRAG_TYPE,
+    drop: (item, monitor) => placeDroppedDeviceRef.current(item.deviceId, monitor.getClientOffset()),
+    collect: (monitor) => ({ isDeviceOver: monitor.isOver() })
+  }), []);
+
+  const moveSensor = (groupId, index, e) => {
+    const position = { x: snapToGrid(e.target.x()), y: snapToGrid(e.target.y()) };
+    e.target.position(position);
+    const updatedGarages = garages.map(g => {
+      if (g.id !== selectedGarageId) return g;
+      return {
+        ...g,
+        levels: g.levels.map(l => {
+          if (l.id !== selectedLevelId) return l;
+          return {
+            ...l,
+            devices: l.devices.map(d => (d.id === groupId
+              ? { ...d, sensors: d.sensors.map((s, i) => (i === index ? { ...s, ...position } : s)) }
+              : d))
+          };
+        })
+      };
+    });
+    setGarages(updatedGarages, 'Move sensor', { coalesceKey: `sensor:${groupId}:${index}` });
+  };
+
+  const startTool = (nextTool) => {
+    setTool(tool === nextTool ? null : nextTool);
+    setToolPoints([]);
+    setCalibrationError('');
+    if (nextTool === 'calibrate') {
+      setCalibrationDistance('');
+      setCalibrationUnit(getDisplayUnit(currentLevel));
+    }
+    if (nextTool === 'spots' && !spotRow) {
+      const lastSpot = Math.max(0, ...(currentLevel?.devices || []).map(d => Number(d.spotNumber) || 0));
+      setSpotRow({
+        count: '',
+        angle: 90,
+        type: 'sensor-nwave',
+        firstSpotNumber: lastSpot + 1,
+        firstSensorId: '',
+        firstSerialAddress: '',
+        parkingType: PARKING_KINDS.NORMAL
+      });
+    }
+  };
+
+  const spotRowCount = spotRow && toolPoints.length === 2
+    ? getSpotRowCount(spotRow.count, toolPoints[0], toolPoints[1], spotRow.angle, currentLevel)
+    : 0;
+  const spotRowLayout = tool === 'spots' && spotRowCount > 0
+    ? getSpotRowLayout(toolPoints[0], toolPoints[1], spotRowCount, spotRow.angle, currentLevel)
+    : null;
+
+  const canFinishObstruction = tool === 'obstruction'
+    && isObstructionComplete({ kind: obstructionKind, points: toolPoints.flatMap(p => [p.x, p.y]) });
+
+  // Create one sensor device per stall of the previewed row and select them
+  const createSpotRow = () => {
+    if (!spotRowLayout) return;
+    const devices = createSpotRowDevices(spotRowLayout.spots, {
+      ...spotRow,
+      levelName: currentLevel?.internalName || currentLevel?.name
+    });
+    const updatedGarages = garages.map(g => {
+      if (g.id !== selectedGarageId) return g;
+      return {
+        ...g,
+        levels: g.levels.map(l => (
+          l.id === selectedLevelId ? withSensorSpotCounts({ ...l, devices: [...l.devices, ...devices] }) : l
+        ))
+      };
+    });
+    setGarages(updatedGarages, `Generate ${devices.length} parking spots`);
+    setSpotRow({
+      ...spotRow,
+      count: '',
+      firstSpotNumber: Number(spotRow.firstSpotNumber || 1) + devices.length,
+      firstSensorId: '',
+      firstSerialAddress: ''
+    });
+    setTool(null);
+    setToolPoints([]);
+    if (devices.length === 1) {
+      setSelectedDevice(devices[0]);
+    } else {
+      setSelectedDevice(null);
+      setSelectedDeviceIds(devices.map(d => d.id));
+    }
+  };
+
+  // Add a picked point; a third click starts a new pair
+  const handleToolPoint = (point) => {
+    if (tool === 'zone' || tool === 'obstruction') {
+      const first = toolPoints[0];
+      const closed = tool === 'zone' || obstructionKind !== OBSTRUCTION_KINDS.WALL;
+      const closes = closed && toolPoints.length >= 3
+        && Math.hypot(point.x - first.x, point.y - first.y) * currentView.scale <= ZONE_CLOSE_DISTANCE;
+      if (!closes) setToolPoints([...toolPoints, point]);
+      else if (tool === 'zone') finishZone();
+      else finishObstruction();
+      return;
+    }
+    setToolPoints(toolPoints.length >= 2 ? [point] : [...toolPoints, point]);
+  };
+
+  // Update a list of shapes drawn on the current level ('coverageZones', 'obstructions')
+  const updateLevelShapes = (key, getShapes, label) => {
+    const updatedGarages = garages.map(g => {
+      if (g.id !== selectedGarageId) return g;
+      return {
+        ...g,
+        levels: g.levels.map(l => (
+          l.id === selectedLevelId ? { ...l, [key]: getShapes(l[key] || []) } : l
+        ))
+      };
+    });
+    setGarages(updatedGarages, label);
+  };
+
+  const finishZone = () => {
+    if (toolPoints.length < 3) return;
+    const zones = currentLevel?.coverageZones || [];
+    const zone = {
+      id: Math.max(0, ...zones.map(z => Number(z.id) || 0)) + 1,
+      name: zoneDraft.name.trim() || `${zoneDraft.kind === ZONE_KINDS.LANE ? 'Lane' : 'Area'} ${zones.length + 1}`,
+      kind: zoneDraft.kind,
+      points: toolPoints.flatMap(p => [Math.round(p.x), Math.round(p.y)])
+    };
+    updateLevelShapes('coverageZones', list => [...list, zone], 'Draw coverage zone');
+    setZoneDraft({ ...zoneDraft, name: '' });
+    setToolPoints([]);
+    setShowCoverage(true);
+  };
+
+  const deleteZone = (zoneId) => {
+    updateLevelShapes('coverageZones', list => list.filter(z => z.id !== zoneId), 'Delete coverage zone');
+  };
+
+  const finishObstruction = () => {
+    const points = toolPoints.flatMap(p => [Math.round(p.x), Math.round(p.y)]);
+    if (!isObstructionComplete({ kind: obstructionKind, points })) return;
+    const id = Math.max(0, ...(currentLevel?.obstructions || []).map(o => Number(o.id) || 0)) + 1;
+    const obstruction = { id, name: `${OBSTRUCTION_LABELS[obstructionKind]} ${id}`, kind: obstructionKind, points };
+    updateLevelShapes('obstructions', list => [...list, obstruction], `Draw ${OBSTRUCTION_LABELS[obstructionKind].toLowerCase()}`);
+    setToolPoints([]);
+  };
+
+  const deleteObstruction = (obstruction) => {
+    if (!window.confirm(`Delete ${obstruction.name || OBSTRUCTION_LABELS[obstruction.kind] || 'obstruction'}?`)) return;
+    updateLevelShapes('obstructions', list => list.filter(o => o.id !== obstruction.id), 'Delete obstruction');
+  };
+
+  const applyCalibration = () => {
+    let drawingScale;
+    try {
+      drawingScale = calibrateScale(toolPoints[0], toolPoints[1], parseFloat(calibrationDistance), calibrationUnit);
+    } catch (err) {
+      setCalibrationError(err.message);
+      return;
+    }
+    const updatedGarages = garages.map(g => {
+      if (g.id !== selectedGarageId) return g;
+      return {
+        ...g,
+        levels: g.levels.map(l => (l.id === selectedLevelId ? { ...l, drawingScale } : l))
+      };
+    });
+    setGarages(updatedGarages, 'Calibrate scale');
+    setTool(null);
+    setToolPoints([]);
+  };
+
+  const handleDeviceClick = (device, e) => {
+    e.cancelBubble = true;
+    if (tool) {
+      handleToolPoint({ x: device.x, y: device.y });
+      return;
+    }
+    if (e.evt.shiftKey) {
+      applySelection(selectionIds.includes(device.id)
+        ? selectionIds.filter(id => id !== device.id)
+        : [...selectionIds, device.id]);
+      return;
+    }
+    setSelectedDevice(device);
+  };
+
+  const finishMarquee = () => {
+    if (!marquee) return;
+    const minX = Math.min(marquee.x1, marquee.x2);
+    const maxX = Math.max(marquee.x1, marquee.x2);
+    const minY = Math.min(marquee.y1, marquee.y2);
+    const maxY = Math.max(marquee.y1, marquee.y2);
+    setMarquee(null);
+
+    // A press without a drag is a plain click on empty space
+    if ((maxX - minX) * currentView.scale < 3 && (maxY - minY) * currentView.scale < 3) return;
+    suppressClickRef.current = true;
+
+    const inside = visibleDevices
+      .filter(d => d.x >= minX && d.x <= maxX && d.y >= minY && d.y <= maxY)
+      .map(d => d.id);
+    applySelection(marquee.additive
+      ? [...selectionIds, ...inside.filter(id => !selectionIds.includes(id))]
+      : inside);
+  };
+
+  const handleWheel = (e) => {
+    e.evt.preventDefault();
+    const pointer = e.target.getStage().getPointerPosition();
+    if (!pointer) return;
+    const factor = e.evt.deltaY > 0 ? 1 / ZOOM_STEP : ZOOM_STEP;
+    setView(zoomViewAt(currentView, currentView.scale * factor, pointer));
+  };
+
+  const zoomAtCenter = (nextScale) => {
+    setView(zoomViewAt(currentView, nextScale, { x: dimensions.width / 2, y: dimensions.height / 2 }));
+  };
+
+  const handleStageMouseDown = (e) => {
+    // Middle button, or any button while space is held, starts a pan
+    if (e.evt.button === 1 || spaceHeld) {
+      e.evt.preventDefault();
+      panStartRef.current = { clientX: e.evt.clientX, clientY: e.evt.clientY, view: currentView };
+      setIsPanning(true);
+      hideTooltip();
+      return;
+    }
+
+    // Left button on empty space starts a rubber-band selection
+    if (tool) return;
+    const onEmpty = e.target === e.target.getStage() || e.target.attrs?.name === 'background';
+    if (e.evt.button !== 0 || !onEmpty) return;
+    const pos = e.target.getStage().getRelativePointerPosition();
+    if (!pos) return;
+    setMarquee({ x1: pos.x, y1: pos.y, x2: pos.x, y2: pos.y, additive: e.evt.shiftKey });
+  };
+
+  const handleStageMouseMove = (e) => {
+    if (!marquee) return;
+    const pos = e.target.getStage().getRelativePointerPosition();
+    if (pos) setMarquee({ ...marquee, x2: pos.x, y2: pos.y });
   };
 
   const handleStageClick = (e) => {
+    if (e.evt.button === 1 || spaceHeld) return;
+    if (suppressClickRef.current) {
+      suppressClickRef.current = false;
+      return;
+    }
+    if (tool) {
+      if (e.evt.button !== 0) return;
+      const pos = e.target.getStage().getRelativePointerPosition();
+      if (pos) handleToolPoint(pos);
+      return;
+    }
+
     // Check if clicking on empty area (stage or background rect)
     const clickedOnEmpty = e.target === e.target.getStage() || e.target.attrs?.name === 'background';
 
@@ -111,7 +690,7 @@ const MapCanvas = ({ mapFilter }) => {
             ...g,
             levels: g.levels.map(l => {
               if (l.id === selectedLevelId) {
-                return { ...l, bgImage: event.target.result };
+                return { ...l, bgImage: event.target.result, coordinateSpace: DRAWING_COORDINATE_SPACE, drawingScale: null };
               }
               return l;
             })
@@ -119,7 +698,7 @@ const MapCanvas = ({ mapFilter }) => {
         }
         return g;
       });
-      setGarages(updatedGarages);
+      setGarages(updatedGarages, 'Upload site drawing');
     };
     reader.readAsDataURL(file);
     // Reset input so the same file can be re-uploaded after deletion
@@ -133,7 +712,7 @@ const MapCanvas = ({ mapFilter }) => {
           ...g,
           levels: g.levels.map(l => {
             if (l.id === selectedLevelId) {
-              return { ...l, bgImage: null };
+              return { ...l, bgImage: null, drawingScale: null };
             }
             return l;
           })
@@ -141,7 +720,7 @@ const MapCanvas = ({ mapFilter }) => {
       }
       return g;
     });
-    setGarages(updatedGarages);
+    setGarages(updatedGarages, 'Remove site drawing');
   };
 
   const getDeviceColor = (type) => {
@@ -152,8 +731,9 @@ const MapCanvas = ({ mapFilter }) => {
     return '#6b7280';
   };
 
-  const getConeRotation = (rotation) => {
-    return (rotation || 0) - 30;
+  // Konva wedges start at their rotation; camera rotation is the cone's center line
+  const getConeRotation = (rotation, fov) => {
+    return (rotation || 0) - fov / 2;
   };
 
   // Build tooltip content for a device
@@ -173,13 +753,28 @@ const MapCanvas = ({ mapFilter }) => {
         const typeLabel = device.type === 'cam-fli' ? 'FLI' : device.type === 'cam-lpr' ? 'LPR' : 'Camera';
         content += ` (${typeLabel})`;
       }
+      if (pixelsPerFoot) {
+        const range = isDualLens ? (device.stream1?.coneSize ?? device.coneSize) : device.coneSize;
+        content += ` · ${formatDrawingDistance(range ?? 40, currentLevel)} range`;
+      }
+      content += ` · ${getConeFov(device, isDualLens ? 'stream1' : null)}° FOV`;
+    }
+
+    if (device.type?.startsWith('sensor-') && device.spotNumber) {
+      content += ` · Spot ${device.spotNumber}`;
     }
 
     return content;
   };
 
-  // Show tooltip for a device
-  const showTooltip = (device, e) => {
+  const getSensorTooltipContent = (group, sensor, index) => {
+    const kind = getParkingKind(sensor.parkingType);
+    const badge = kind === PARKING_KINDS.NORMAL ? '' : ` (${kind.toUpperCase()})`;
+    return `${getSensorLabel(sensor, index)}${badge} · ${group.name || 'Sensor group'}`;
+  };
+
+  // Show tooltip for a device (or custom content, e.g. a group sensor)
+  const showTooltip = (device, e, content = null) => {
     const stage = e.target.getStage();
     const containerRect = containerRef.current?.getBoundingClientRect();
     if (!containerRect) return;
@@ -192,7 +787,7 @@ const MapCanvas = ({ mapFilter }) => {
       visible: true,
       x: pointerPos.x,
       y: pointerPos.y - 40, // Position above the cursor
-      content: getTooltipContent(device)
+      content: content ?? getTooltipContent(device)
     });
   };
 
@@ -207,26 +802,28 @@ const MapCanvas = ({ mapFilter }) => {
     const lines = [];
     const gridColor = isDark ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.05)';
 
-    // Vertical lines
-    for (let x = 0; x <= dimensions.width; x += GRID_SIZE) {
+    // Vertical lines (drawing space, kept one screen pixel wide at any zoom)
+    for (let x = 0; x <= drawingWidth; x += gridSpacing) {
       lines.push(
         <Line
           key={`v-${x}`}
-          points={[x, 0, x, dimensions.height]}
+          points={[x, 0, x, drawingHeight]}
           stroke={gridColor}
           strokeWidth={1}
+          strokeScaleEnabled={false}
           listening={false}
         />
       );
     }
     // Horizontal lines
-    for (let y = 0; y <= dimensions.height; y += GRID_SIZE) {
+    for (let y = 0; y <= drawingHeight; y += gridSpacing) {
       lines.push(
         <Line
           key={`h-${y}`}
-          points={[0, y, dimensions.width, y]}
+          points={[0, y, drawingWidth, y]}
           stroke={gridColor}
           strokeWidth={1}
+          strokeScaleEnabled={false}
           listening={false}
         />
       );
@@ -234,9 +831,159 @@ const MapCanvas = ({ mapFilter }) => {
     return lines;
   };
 
+  // Camera cone of one lens; clipped to line of sight on levels with obstructions
+  const renderCone = (device, lens, rotation, radius, fill, isSelected) => {
+    const fov = getConeFov(device, lens);
+    const drawnRadius = isSelected ? radius + SELECTED_CONE_EXTRA : radius;
+    const dragged = coneDrag?.deviceId === device.id && coneDrag.lens === lens;
+    const visible = dragged && obstructionSegments.length > 0
+      ? getVisibleConePoints({ x: device.x, y: device.y, rotation, radius: drawnRadius, fov }, obstructionSegments)
+      : visibleCones?.[`${device.id}:${lens}`]?.[isSelected ? 'selected' : 'normal'];
+    const opacity = isSelected ? 0.25 : 0.15;
+    if (visible) {
+      return (
+        <Line
+          key={lens}
+          points={visible}
+          closed
+          fill={fill}
+          opacity={opacity}
+          listening={false}
+        />
+      );
+    }
+    return (
+      <Wedge
+        key={lens}
+        rotation={getConeRotation(rotation, fov)}
+        angle={fov}
+        radius={drawnRadius}
+        fill={fill}
+        opacity={opacity}
+        listening={false}
+      />
+    );
+  };
+
+  // Cones of a camera by lens key ('stream1' / 'stream2' on dual-lens cameras, else 'lens')
+  const getCameraLenses = (device) => (device.hardwareType === 'dual-lens' ? ['stream1', 'stream2'] : ['lens']);
+  const getLensCone = (device, lens) => {
+    const stream = lens === 'lens' ? null : device[lens];
+    return { rotation: stream?.rotation ?? device.rotation ?? 0, coneSize: stream?.coneSize ?? device.coneSize ?? 40 };
+  };
+
+  // Device with the cone being dragged applied, so it redraws live
+  const withConeDrag = (device) => {
+    if (coneDrag?.deviceId !== device.id) return device;
+    const settings = { rotation: coneDrag.rotation, coneSize: coneDrag.coneSize };
+    return { ...device, ...withLensSettings(device, coneDrag.lens === 'lens' ? null : coneDrag.lens, settings) };
+  };
+
+  // Rotation knob: snaps to ROTATION_SNAP degrees (Shift for single degrees).
+  // Range tip: slides along the cone's center line, in whole display units on calibrated levels.
+  const handleConeHandleDrag = (device, lens, mode, e) => {
+    const { x, y } = e.target.position();
+    const cone = getLensCone(device, lens);
+    let { rotation, coneSize } = cone;
+    if (mode === 'rotation') {
+      const step = e.evt.shiftKey ? 1 : ROTATION_SNAP;
+      rotation = (((Math.round((Math.atan2(y, x) * 180) / Math.PI / step) * step) % 360) + 360) % 360;
+      const ring = ROTATION_HANDLE_DISTANCE / currentView.scale;
+      e.target.position({ x: Math.cos((rotation * Math.PI) / 180) * ring, y: Math.sin((rotation * Math.PI) / 180) * ring });
+    } else {
+      const radians = (rotation * Math.PI) / 180;
+      const along = x * Math.cos(radians) + y * Math.sin(radians) - SELECTED_CONE_EXTRA;
+      const control = getConeSizeControl(Math.max(MIN_CONE_SIZE, along), currentLevel);
+      coneSize = Math.max(MIN_CONE_SIZE, control.toConeSize(Math.round(control.value)));
+      const tip = coneSize + SELECTED_CONE_EXTRA;
+      e.target.position({ x: Math.cos(radians) * tip, y: Math.sin(radians) * tip });
+    }
+    setConeDrag({ deviceId: device.id, lens, mode, rotation, coneSize });
+  };
+
+  const finishConeDrag = (device, lens) => {
+    if (!coneDrag) return;
+    const settings = coneDrag.mode === 'rotation' ? { rotation: coneDrag.rotation } : { coneSize: coneDrag.coneSize };
+    updateDevice(
+      device.id,
+      withLensSettings(device, lens === 'lens' ? null : lens, settings),
+      coneDrag.mode === 'rotation' ? 'Rotate camera' : 'Change cone size'
+    );
+    setConeDrag(null);
+  };
+
+  // Rotation knobs and range tips of the selected camera, with a readout while dragging
+  const renderCameraHandles = (device) => {
+    const handleScale = 1 / currentView.scale;
+    const ring = ROTATION_HANDLE_DISTANCE * handleScale;
+    const setCursor = (e, cursor) => { e.target.getStage().container().style.cursor = cursor; };
+    const dragged = coneDrag?.deviceId === device.id ? coneDrag : null;
+
+    return (
+      <Group key={`handles-${device.id}`} x={device.x} y={device.y}>
+        <Circle radius={ring} stroke="rgba(255,255,255,0.35)" strokeWidth={1} dash={[4, 4]} strokeScaleEnabled={false} listening={false} />
+        {getCameraLenses(device).map(lens => {
+          const { rotation, coneSize } = getLensCone(device, lens);
+          const radians = (rotation * Math.PI) / 180;
+          const tip = coneSize + SELECTED_CONE_EXTRA;
+          const handleProps = {
+            draggable: true,
+            onMouseEnter: (e) => setCursor(e, 'grab'),
+            onMouseLeave: (e) => setCursor(e, 'default'),
+            onDragEnd: () => finishConeDrag(device, lens)
+          };
+          return (
+            <React.Fragment key={lens}>
+              <Circle
+                {...handleProps}
+                x={Math.cos(radians) * ring}
+                y={Math.sin(radians) * ring}
+                radius={6 * handleScale}
+                fill="#fff"
+                stroke="#3b82f6"
+                strokeWidth={2}
+                strokeScaleEnabled={false}
+                onDragMove={(e) => handleConeHandleDrag(device, lens, 'rotation', e)}
+              />
+              <Rect
+                {...handleProps}
+                x={Math.cos(radians) * tip}
+                y={Math.sin(radians) * tip}
+                width={10 * handleScale}
+                height={10 * handleScale}
+                offsetX={5 * handleScale}
+                offsetY={5 * handleScale}
+                rotation={rotation}
+                fill="#3b82f6"
+                stroke="#fff"
+                strokeWidth={1.5}
+                strokeScaleEnabled={false}
+                onDragMove={(e) => handleConeHandleDrag(device, lens, 'range', e)}
+              />
+            </React.Fragment>
+          );
+        })}
+        {dragged && (
+          <Text
+            x={14 * handleScale}
+            y={-(ring + 24 * handleScale)}
+            text={dragged.mode === 'rotation' ? `${dragged.rotation}°` : getConeSizeControl(dragged.coneSize, currentLevel).label}
+            fontSize={12}
+            fontStyle="bold"
+            fill={isDark ? '#fafafa' : '#18181b'}
+            padding={4}
+            scaleX={handleScale}
+            scaleY={handleScale}
+            listening={false}
+          />
+        )}
+      </Group>
+    );
+  };
+
   // Render device (cameras, space monitors, signs, servers)
   const renderDevice = (device) => {
-    const isSelected = selectedDevice?.id === device.id;
+    const isSelected = selectionIds.includes(device.id);
     const isCamera = device.type.startsWith('cam-');
     const isServer = device.type === 'server';
     const isDualLens = device.hardwareType === 'dual-lens';
@@ -245,28 +992,30 @@ const MapCanvas = ({ mapFilter }) => {
     const defaultColor = getDeviceColor(device.type);
     const color = device.color || defaultColor;
     const coneSize = device.coneSize ?? 40;
-    const coneRotation = getConeRotation(device.rotation);
+    // Markers keep a constant on-screen size; cones are drawing-space sizes and zoom with the drawing
+    const markerScale = 1 / currentView.scale;
 
     return (
       <Group
         key={device.id}
         x={device.x}
         y={device.y}
-        draggable
-        onDragStart={(e) => {
-          e.target.moveToTop();
+        ref={(node) => {
+          if (node) deviceNodesRef.current[device.id] = node;
+          else delete deviceNodesRef.current[device.id];
         }}
+        draggable={!spaceHeld && !isPanning && !tool}
+        onDragStart={(e) => handleDeviceDragStart(device, e)}
+        onDragMove={handleDeviceDragMove}
         onDragEnd={(e) => handleDeviceDragEnd(device.id, e)}
-        onClick={(e) => {
-          e.cancelBubble = true;
-          setSelectedDevice(device);
-        }}
+        onClick={(e) => handleDeviceClick(device, e)}
         onMouseEnter={(e) => {
+          if (spaceHeld || isPanning) return;
           e.target.getStage().container().style.cursor = 'grab';
           showTooltip(device, e);
         }}
         onMouseLeave={(e) => {
-          e.target.getStage().container().style.cursor = 'default';
+          if (!spaceHeld && !isPanning) e.target.getStage().container().style.cursor = 'default';
           hideTooltip();
         }}
         onMouseMove={(e) => {
@@ -275,87 +1024,147 @@ const MapCanvas = ({ mapFilter }) => {
       >
         {/* Larger hit area for easier clicking/dragging */}
         <Circle
-          radius={20}
+          radius={20 * markerScale}
           fill="transparent"
           listening={true}
         />
 
         {/* Dual lens: two cones with per-stream rotation, color, size */}
-        {isCamera && isDualLens && (
-          <>
-            <Wedge
-              rotation={getConeRotation(device.stream1?.rotation ?? device.rotation ?? 0)}
-              angle={60}
-              radius={isSelected ? (device.stream1?.coneSize ?? coneSize) + 10 : (device.stream1?.coneSize ?? coneSize)}
-              fill={device.stream1?.color || color}
-              opacity={isSelected ? 0.25 : 0.15}
-              listening={false}
-            />
-            <Wedge
-              rotation={getConeRotation(device.stream2?.rotation ?? device.rotation ?? 0)}
-              angle={60}
-              radius={isSelected ? (device.stream2?.coneSize ?? coneSize) + 10 : (device.stream2?.coneSize ?? coneSize)}
-              fill={device.stream2?.color || color}
-              opacity={isSelected ? 0.25 : 0.15}
-              listening={false}
-            />
-          </>
-        )}
+        {isCamera && isDualLens && ['stream1', 'stream2'].map(lens => renderCone(
+          device,
+          lens,
+          device[lens]?.rotation ?? device.rotation ?? 0,
+          device[lens]?.coneSize ?? coneSize,
+          device[lens]?.color || color,
+          isSelected
+        ))}
 
         {/* Single lens: one cone */}
-        {isCamera && !isDualLens && (
-          <Wedge
-            rotation={coneRotation}
-            angle={60}
-            radius={isSelected ? coneSize + 10 : coneSize}
-            fill={color}
-            opacity={isSelected ? 0.25 : 0.15}
-            listening={false}
+        {isCamera && !isDualLens && renderCone(device, 'lens', device.rotation, coneSize, color, isSelected)}
+
+        <Group scaleX={markerScale} scaleY={markerScale}>
+          <Circle
+            radius={isSelected ? 14 : 10}
+            fill={isServer ? '#a855f7' : color}
+            stroke={isSelected ? '#fff' : 'rgba(255,255,255,0.3)'}
+            strokeWidth={isSelected ? 2 : 1}
+            shadowColor="black"
+            shadowBlur={isSelected ? 10 : 4}
+            shadowOpacity={0.4}
           />
-        )}
 
-        <Circle
-          radius={isSelected ? 14 : 10}
-          fill={isServer ? '#a855f7' : color}
-          stroke={isSelected ? '#fff' : 'rgba(255,255,255,0.3)'}
-          strokeWidth={isSelected ? 2 : 1}
-          shadowColor="black"
-          shadowBlur={isSelected ? 10 : 4}
-          shadowOpacity={0.4}
-        />
+          {device.type === 'cam-lpr' && (
+            <Rect x={-3} y={-2} width={6} height={4} fill="rgba(255,255,255,0.8)" cornerRadius={1} />
+          )}
+          {device.type === 'cam-ptz' && (
+            <Circle radius={4} fill="rgba(255,255,255,0.8)" />
+          )}
+          {device.type === 'cam-dome' && (
+            <Circle radius={5} stroke="rgba(255,255,255,0.8)" strokeWidth={1.5} fill="transparent" />
+          )}
 
-        {device.type === 'cam-lpr' && (
-          <Rect x={-3} y={-2} width={6} height={4} fill="rgba(255,255,255,0.8)" cornerRadius={1} />
-        )}
-        {device.type === 'cam-ptz' && (
-          <Circle radius={4} fill="rgba(255,255,255,0.8)" />
-        )}
-        {device.type === 'cam-dome' && (
-          <Circle radius={5} stroke="rgba(255,255,255,0.8)" strokeWidth={1.5} fill="transparent" />
-        )}
+          {device.type === 'sign-designable' && (
+            <Text text="D" fontSize={10} fill="white" fontStyle="bold" offsetX={3} offsetY={5} />
+          )}
+          {device.type === 'sign-static' && (
+            <Text text="S" fontSize={10} fill="white" fontStyle="bold" offsetX={3} offsetY={5} />
+          )}
 
-        {device.type === 'sign-designable' && (
-          <Text text="D" fontSize={10} fill="white" fontStyle="bold" offsetX={3} offsetY={5} />
-        )}
-        {device.type === 'sign-static' && (
-          <Text text="S" fontSize={10} fill="white" fontStyle="bold" offsetX={3} offsetY={5} />
-        )}
+          {isServer && (
+            <Text text="SRV" fontSize={8} fill="white" fontStyle="bold" offsetX={9} offsetY={4} />
+          )}
 
-        {isServer && (
-          <Text text="SRV" fontSize={8} fill="white" fontStyle="bold" offsetX={9} offsetY={4} />
-        )}
+          {device.type?.startsWith('sensor-') && (
+            <>
+              <Text text="P" fontSize={11} fill="white" fontStyle="bold" offsetX={4} offsetY={5} />
+              {isSensorGroup(device) && (
+                <Text text={String(device.sensors.length)} fontSize={9} fill={isDark ? '#fafafa' : '#18181b'} x={11} y={4} />
+              )}
+              {device.parkingType === 'ev' && (
+                <Circle x={8} y={-8} radius={5} fill="#22c55e" stroke="white" strokeWidth={1} />
+              )}
+              {device.parkingType === 'ada' && (
+                <Circle x={8} y={-8} radius={5} fill="#3b82f6" stroke="white" strokeWidth={1} />
+              )}
+            </>
+          )}
+        </Group>
+      </Group>
+    );
+  };
 
-        {device.type?.startsWith('sensor-') && (
-          <>
-            <Text text="P" fontSize={11} fill="white" fontStyle="bold" offsetX={4} offsetY={5} />
-            {device.parkingType === 'ev' && (
-              <Circle x={8} y={-8} radius={5} fill="#22c55e" stroke="white" strokeWidth={1} />
-            )}
-            {device.parkingType === 'ada' && (
-              <Circle x={8} y={-8} radius={5} fill="#3b82f6" stroke="white" strokeWidth={1} />
-            )}
-          </>
-        )}
+  // Dashed links from placed sensor group controllers to their placed sensors
+  const renderSensorLinks = () => sensorGroups.flatMap(group => {
+    if (group.pendingPlacement || typeof group.x !== 'number') return [];
+    return group.sensors
+      .map((sensor, index) => ({ sensor, index }))
+      .filter(({ sensor }) => isSensorPlaced(sensor))
+      .map(({ sensor, index }) => (
+        <Line
+          key={`link-${group.id}-${index}`}
+          points={[group.x, group.y, sensor.x, sensor.y]}
+          stroke="#f59e0b"
+          strokeWidth={1}
+          opacity={selectionIds.includes(group.id) ? 0.8 : 0.35}
+          dash={[4, 4]}
+          strokeScaleEnabled={false}
+          listening={false}
+        />
+      ));
+  });
+
+  // Spot marker for one sensor of a sensor group; clicking it selects the group
+  const renderSensorSpot = (group, sensor, index) => {
+    const isSelected = selectionIds.includes(group.id);
+    const kind = getParkingKind(sensor.parkingType);
+    const markerScale = 1 / currentView.scale;
+
+    return (
+      <Group
+        key={`sensor-${group.id}-${index}`}
+        x={sensor.x}
+        y={sensor.y}
+        draggable={!spaceHeld && !isPanning && !tool}
+        onDragStart={(e) => e.target.moveToTop()}
+        onDragEnd={(e) => moveSensor(group.id, index, e)}
+        onClick={(e) => {
+          e.cancelBubble = true;
+          if (tool) {
+            handleToolPoint({ x: sensor.x, y: sensor.y });
+            return;
+          }
+          setSelectedDevice(group);
+        }}
+        onMouseEnter={(e) => {
+          if (spaceHeld || isPanning) return;
+          e.target.getStage().container().style.cursor = 'grab';
+          showTooltip(group, e, getSensorTooltipContent(group, sensor, index));
+        }}
+        onMouseLeave={(e) => {
+          if (!spaceHeld && !isPanning) e.target.getStage().container().style.cursor = 'default';
+          hideTooltip();
+        }}
+        onMouseMove={(e) => showTooltip(group, e, getSensorTooltipContent(group, sensor, index))}
+      >
+        <Group scaleX={markerScale} scaleY={markerScale}>
+          <Rect
+            x={-7}
+            y={-7}
+            width={14}
+            height={14}
+            cornerRadius={3}
+            fill={group.color || '#f59e0b'}
+            opacity={0.85}
+            stroke={isSelected ? '#fff' : 'rgba(255,255,255,0.3)'}
+            strokeWidth={isSelected ? 2 : 1}
+          />
+          {kind === PARKING_KINDS.EV && (
+            <Circle x={7} y={-7} radius={4} fill="#22c55e" stroke="white" strokeWidth={1} />
+          )}
+          {kind === PARKING_KINDS.ADA && (
+            <Circle x={7} y={-7} radius={4} fill="#3b82f6" stroke="white" strokeWidth={1} />
+          )}
+        </Group>
       </Group>
     );
   };
@@ -378,7 +1187,20 @@ const MapCanvas = ({ mapFilter }) => {
   }
 
   return (
-    <div className="map-canvas-wrapper" ref={containerRef} style={{ flex: 1, minHeight: 0, overflow: 'hidden' }}>
+    <div
+      className="map-canvas-wrapper"
+      ref={(node) => {
+        containerRef.current = node;
+        dropRef(node);
+      }}
+      style={{
+        flex: 1,
+        minHeight: 0,
+        overflow: 'hidden',
+        outline: isDeviceOver ? '2px dashed #3b82f6' : undefined,
+        outlineOffset: -2
+      }}
+    >
       {/* Hidden file input for background upload */}
       <input
         type="file"
@@ -426,8 +1248,477 @@ const MapCanvas = ({ mapFilter }) => {
             <line x1="15" y1="3" x2="15" y2="21"/>
           </svg>
         </button>
+        <div className="toolbar-divider" />
+        <button
+          className="layout-tool-btn"
+          onClick={() => zoomAtCenter(currentView.scale / ZOOM_STEP)}
+          title="Zoom Out"
+        >
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <circle cx="11" cy="11" r="8"/>
+            <line x1="21" y1="21" x2="16.65" y2="16.65"/>
+            <line x1="8" y1="11" x2="14" y2="11"/>
+          </svg>
+        </button>
+        <span
+          style={{ minWidth: 44, textAlign: 'center', fontSize: 12, fontVariantNumeric: 'tabular-nums', color: isDark ? '#a1a1aa' : '#52525b' }}
+          title="Zoom level (mouse wheel to zoom, space or middle button + drag to pan)"
+        >
+          {Math.round(currentView.scale * 100)}%
+        </span>
+        <button
+          className="layout-tool-btn"
+          onClick={() => zoomAtCenter(currentView.scale * ZOOM_STEP)}
+          title="Zoom In"
+        >
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <circle cx="11" cy="11" r="8"/>
+            <line x1="21" y1="21" x2="16.65" y2="16.65"/>
+            <line x1="11" y1="8" x2="11" y2="14"/>
+            <line x1="8" y1="11" x2="14" y2="11"/>
+          </svg>
+        </button>
+        <button
+          className={`layout-tool-btn ${view === null ? 'active' : ''}`}
+          onClick={() => setView(null)}
+          title="Fit to Drawing"
+        >
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M8 3H5a2 2 0 0 0-2 2v3M21 8V5a2 2 0 0 0-2-2h-3M3 16v3a2 2 0 0 0 2 2h3M16 21h3a2 2 0 0 0 2-2v-3"/>
+          </svg>
+        </button>
+        <button
+          className="layout-tool-btn"
+          onClick={() => zoomAtCenter(1)}
+          title="Actual Size (100%)"
+          style={{ fontSize: 11, fontWeight: 600 }}
+        >
+          1:1
+        </button>
+        <div className="toolbar-divider" />
+        <button
+          className={`layout-tool-btn ${tool === 'calibrate' ? 'active' : ''}`}
+          onClick={() => startTool('calibrate')}
+          title="Calibrate Scale (click two points a known distance apart)"
+        >
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M21.3 15.3a2.4 2.4 0 0 1 0 3.4l-2.6 2.6a2.4 2.4 0 0 1-3.4 0L2.7 8.7a2.41 2.41 0 0 1 0-3.4l2.6-2.6a2.41 2.41 0 0 1 3.4 0Z"/>
+            <path d="m14.5 12.5 2-2"/><path d="m11.5 9.5 2-2"/><path d="m8.5 6.5 2-2"/><path d="m17.5 15.5 2-2"/>
+          </svg>
+        </button>
+        <button
+          className={`layout-tool-btn ${tool === 'measure' ? 'active' : ''}`}
+          onClick={() => startTool('measure')}
+          title="Measure Distance (click two devices or points)"
+        >
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <line x1="4" y1="20" x2="20" y2="4"/>
+            <circle cx="4" cy="20" r="2"/>
+            <circle cx="20" cy="4" r="2"/>
+          </svg>
+        </button>
+        <button
+          className={`layout-tool-btn ${tool === 'spots' ? 'active' : ''}`}
+          onClick={() => startTool('spots')}
+          title="Spot Row (click two points along an aisle edge to add a row of space sensors)"
+        >
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <line x1="3" y1="20" x2="21" y2="20"/>
+            <line x1="4" y1="20" x2="4" y2="8"/>
+            <line x1="10" y1="20" x2="10" y2="8"/>
+            <line x1="16" y1="20" x2="16" y2="8"/>
+            <line x1="21" y1="20" x2="21" y2="8"/>
+          </svg>
+        </button>
+        <div className="toolbar-divider" />
+        <button
+          className={`layout-tool-btn ${showCoverage ? 'active' : ''}`}
+          onClick={() => setShowCoverage(!showCoverage)}
+          title="Camera Coverage (heatmap and blind spots)"
+        >
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M12 12 3 7a10 10 0 0 1 18 0Z"/>
+            <circle cx="12" cy="12" r="2"/>
+            <path d="M4 14h16M6 18h12"/>
+          </svg>
+        </button>
+        <button
+          className={`layout-tool-btn ${tool === 'zone' ? 'active' : ''}`}
+          onClick={() => startTool('zone')}
+          title="Draw Coverage Zone (drive lane or area to measure coverage over)"
+        >
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <polygon points="4 6 18 3 21 16 8 21"/>
+          </svg>
+        </button>
+        <button
+          className={`layout-tool-btn ${tool === 'obstruction' ? 'active' : ''}`}
+          onClick={() => startTool('obstruction')}
+          title="Draw Walls and Obstructions (block camera line of sight)"
+        >
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M3 20V8h8"/>
+            <rect x="15" y="12" width="6" height="8"/>
+          </svg>
+        </button>
       </div>
 
+      {/* Tool hint */}
+      {tool && tool !== 'zone' && tool !== 'obstruction' && !((tool === 'calibrate' || tool === 'spots') && toolPoints.length === 2) && (
+        <div style={{
+          position: 'absolute',
+          top: 12,
+          left: '50%',
+          transform: 'translateX(-50%)',
+          zIndex: 100,
+          padding: '6px 12px',
+          borderRadius: 8,
+          fontSize: 12,
+          background: isDark ? 'rgba(24, 24, 27, 0.95)' : 'rgba(255, 255, 255, 0.95)',
+          color: isDark ? '#fafafa' : '#18181b',
+          border: isDark ? '1px solid #3f3f46' : '1px solid #e4e4e7',
+          pointerEvents: 'none'
+        }}>
+          {tool === 'calibrate'
+            ? `Click two points a known distance apart (${toolPoints.length}/2) · Esc to cancel`
+            : tool === 'spots'
+              ? `Click the start and end of the aisle edge (${toolPoints.length}/2); stalls go on the left of the line · Esc to cancel`
+              : toolPoints.length === 2
+              ? `${formatDrawingDistance(Math.hypot(toolPoints[1].x - toolPoints[0].x, toolPoints[1].y - toolPoints[0].y), currentLevel)}${pixelsPerFoot ? '' : ' (calibrate the scale for real units)'} · click to measure again`
+              : 'Click two devices or points to measure · Esc to cancel'}
+        </div>
+      )}
+
+      {/* Calibration distance entry */}
+      {tool === 'calibrate' && toolPoints.length === 2 && (
+        <div style={{
+          position: 'absolute',
+          top: 12,
+          left: '50%',
+          transform: 'translateX(-50%)',
+          zIndex: 100,
+          display: 'flex',
+          alignItems: 'center',
+          gap: 8,
+          padding: '8px 12px',
+          borderRadius: 8,
+          fontSize: 12,
+          background: isDark ? 'rgba(24, 24, 27, 0.95)' : 'rgba(255, 255, 255, 0.95)',
+          color: isDark ? '#fafafa' : '#18181b',
+          border: isDark ? '1px solid #3f3f46' : '1px solid #e4e4e7',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.2)'
+        }}>
+          <span>Distance between points</span>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            autoFocus
+            value={calibrationDistance}
+            onChange={(e) => { setCalibrationDistance(e.target.value); setCalibrationError(''); }}
+            onKeyDown={(e) => { if (e.key === 'Enter') applyCalibration(); }}
+            style={{ width: 80, padding: '4px 6px', borderRadius: 4, border: '1px solid #3f3f46', background: isDark ? '#27272a' : '#fff', color: 'inherit' }}
+          />
+          <select
+            value={calibrationUnit}
+            onChange={(e) => setCalibrationUnit(e.target.value)}
+            style={{ padding: '4px 6px', borderRadius: 4, border: '1px solid #3f3f46', background: isDark ? '#27272a' : '#fff', color: 'inherit' }}
+          >
+            {DISTANCE_UNITS.map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
+          </select>
+          <button
+            onClick={applyCalibration}
+            style={{ padding: '4px 10px', borderRadius: 4, border: 'none', background: '#3b82f6', color: 'white', cursor: 'pointer' }}
+          >
+            Set Scale
+          </button>
+          <button
+            onClick={() => startTool('calibrate')}
+            style={{ padding: '4px 10px', borderRadius: 4, border: '1px solid #3f3f46', background: 'transparent', color: 'inherit', cursor: 'pointer' }}
+          >
+            Cancel
+          </button>
+          {calibrationError && <span style={{ color: '#ef4444' }}>{calibrationError}</span>}
+        </div>
+      )}
+
+      {/* Coverage zone options */}
+      {tool === 'zone' && (
+        <div style={{
+          position: 'absolute',
+          top: 12,
+          left: '50%',
+          transform: 'translateX(-50%)',
+          zIndex: 100,
+          display: 'flex',
+          alignItems: 'center',
+          gap: 8,
+          padding: '8px 12px',
+          borderRadius: 8,
+          fontSize: 12,
+          background: isDark ? 'rgba(24, 24, 27, 0.95)' : 'rgba(255, 255, 255, 0.95)',
+          color: isDark ? '#fafafa' : '#18181b',
+          border: isDark ? '1px solid #3f3f46' : '1px solid #e4e4e7',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.2)'
+        }}>
+          <span>{toolPoints.length < 3 ? `Click the zone outline (${toolPoints.length} points)` : 'Click the first point or Finish to close'}</span>
+          <select
+            value={zoneDraft.kind}
+            onChange={(e) => setZoneDraft({ ...zoneDraft, kind: e.target.value })}
+            style={{ padding: '4px 6px', borderRadius: 4, border: '1px solid #3f3f46', background: isDark ? '#27272a' : '#fff', color: 'inherit' }}
+          >
+            <option value={ZONE_KINDS.LANE}>Drive lane</option>
+            <option value={ZONE_KINDS.AREA}>Area</option>
+          </select>
+          <input
+            type="text"
+            value={zoneDraft.name}
+            placeholder="Name"
+            onChange={(e) => setZoneDraft({ ...zoneDraft, name: e.target.value })}
+            style={{ width: 110, padding: '4px 6px', borderRadius: 4, border: '1px solid #3f3f46', background: isDark ? '#27272a' : '#fff', color: 'inherit' }}
+          />
+          <button
+            onClick={finishZone}
+            disabled={toolPoints.length < 3}
+            style={{ padding: '4px 10px', borderRadius: 4, border: 'none', background: '#3b82f6', color: 'white', cursor: toolPoints.length < 3 ? 'default' : 'pointer', opacity: toolPoints.length < 3 ? 0.5 : 1 }}
+          >
+            Finish
+          </button>
+          <button
+            onClick={() => startTool('zone')}
+            style={{ padding: '4px 10px', borderRadius: 4, border: '1px solid #3f3f46', background: 'transparent', color: 'inherit', cursor: 'pointer' }}
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {/* Wall and obstruction options */}
+      {tool === 'obstruction' && (
+        <div style={{
+          position: 'absolute',
+          top: 12,
+          left: '50%',
+          transform: 'translateX(-50%)',
+          zIndex: 100,
+          display: 'flex',
+          alignItems: 'center',
+          gap: 8,
+          padding: '8px 12px',
+          borderRadius: 8,
+          fontSize: 12,
+          background: isDark ? 'rgba(24, 24, 27, 0.95)' : 'rgba(255, 255, 255, 0.95)',
+          color: isDark ? '#fafafa' : '#18181b',
+          border: isDark ? '1px solid #3f3f46' : '1px solid #e4e4e7',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.2)'
+        }}>
+          <span>
+            {toolPoints.length === 0
+              ? 'Click to start drawing, or click an existing obstruction to delete it'
+              : obstructionKind === OBSTRUCTION_KINDS.WALL
+                ? `Click the wall's corners (${toolPoints.length} points), then Finish`
+                : toolPoints.length < 3
+                  ? `Click the outline (${toolPoints.length} points)`
+                  : 'Click the first point or Finish to close'}
+          </span>
+          <select
+            value={obstructionKind}
+            onChange={(e) => { setObstructionKind(e.target.value); setToolPoints([]); }}
+            style={{ padding: '4px 6px', borderRadius: 4, border: '1px solid #3f3f46', background: isDark ? '#27272a' : '#fff', color: 'inherit' }}
+          >
+            <option value={OBSTRUCTION_KINDS.WALL}>Wall</option>
+            <option value={OBSTRUCTION_KINDS.COLUMN}>Column</option>
+            <option value={OBSTRUCTION_KINDS.OBSTRUCTION}>Other (ramp, stairs)</option>
+          </select>
+          <button
+            onClick={finishObstruction}
+            disabled={!canFinishObstruction}
+            style={{
+              padding: '4px 10px',
+              borderRadius: 4,
+              border: 'none',
+              background: '#3b82f6',
+              color: 'white',
+              cursor: canFinishObstruction ? 'pointer' : 'default',
+              opacity: canFinishObstruction ? 1 : 0.5
+            }}
+          >
+            Finish
+          </button>
+          <button
+            onClick={() => startTool('obstruction')}
+            style={{ padding: '4px 10px', borderRadius: 4, border: '1px solid #3f3f46', background: 'transparent', color: 'inherit', cursor: 'pointer' }}
+          >
+            Done
+          </button>
+        </div>
+      )}
+
+      {/* Coverage report */}
+      {coverage && (
+        <div style={{
+          position: 'absolute',
+          right: 12,
+          bottom: 12,
+          zIndex: 100,
+          width: 240,
+          maxHeight: '50%',
+          overflowY: 'auto',
+          padding: '10px 12px',
+          borderRadius: 8,
+          fontSize: 12,
+          background: isDark ? 'rgba(24, 24, 27, 0.95)' : 'rgba(255, 255, 255, 0.95)',
+          color: isDark ? '#fafafa' : '#18181b',
+          border: isDark ? '1px solid #3f3f46' : '1px solid #e4e4e7',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.2)'
+        }}>
+          {(() => {
+            const formatPercent = (value) => (value === null ? '—' : `${Math.round(value)}%`);
+            const muted = isDark ? '#a1a1aa' : '#71717a';
+            return (
+              <>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: 6 }}>
+                  <span style={{ fontWeight: 600 }}>Camera Coverage</span>
+                  <span style={{ fontSize: 16, fontWeight: 600 }}>{formatPercent(coverage.report.percent)}</span>
+                </div>
+                <div style={{ color: muted, marginBottom: 8 }}>
+                  {coverage.report.scope === 'zones'
+                    ? 'Of the drive lanes and areas on this level.'
+                    : 'Of the whole drawing. Draw lanes or areas to measure what matters.'}
+                </div>
+                {coverage.report.zones.map(zone => (
+                  <div key={zone.id} style={{ display: 'flex', alignItems: 'center', gap: 6, padding: '3px 0' }}>
+                    <span style={{ width: 8, height: 8, borderRadius: 2, background: ZONE_COLORS[zone.kind] || '#71717a' }} />
+                    <span style={{ flex: 1, color: zone.blind ? '#ef4444' : 'inherit' }}>
+                      {zone.name}{zone.blind ? ' · no coverage' : ''}
+                    </span>
+                    <span style={{ fontVariantNumeric: 'tabular-nums' }}>{formatPercent(zone.percent)}</span>
+                    <button
+                      onClick={() => deleteZone(zone.id)}
+                      title="Delete zone"
+                      style={{ background: 'transparent', border: 'none', color: muted, cursor: 'pointer', padding: 0 }}
+                    >
+                      ×
+                    </button>
+                  </div>
+                ))}
+                {levelCoverage.length > 1 && (
+                  <>
+                    <div style={{ marginTop: 8, paddingTop: 6, borderTop: isDark ? '1px solid #3f3f46' : '1px solid #e4e4e7', color: muted }}>
+                      Levels
+                    </div>
+                    {levelCoverage.map(({ level, percent }) => (
+                      <div key={level.id} style={{ display: 'flex', justifyContent: 'space-between', padding: '2px 0', fontWeight: level.id === currentLevel.id ? 600 : 400 }}>
+                        <span>{level.name}</span>
+                        <span style={{ fontVariantNumeric: 'tabular-nums' }} title={percent === null ? 'Not measurable here: open this level, or draw zones on it' : undefined}>
+                          {percent === null ? 'n/a' : formatPercent(percent)}
+                        </span>
+                      </div>
+                    ))}
+                  </>
+                )}
+              </>
+            );
+          })()}
+        </div>
+      )}
+
+      {/* Spot row options */}
+      {tool === 'spots' && toolPoints.length === 2 && spotRow && (
+        <div style={{
+          position: 'absolute',
+          top: 12,
+          left: '50%',
+          transform: 'translateX(-50%)',
+          zIndex: 100,
+          display: 'flex',
+          flexWrap: 'wrap',
+          alignItems: 'center',
+          gap: 8,
+          maxWidth: 620,
+          padding: '8px 12px',
+          borderRadius: 8,
+          fontSize: 12,
+          background: isDark ? 'rgba(24, 24, 27, 0.95)' : 'rgba(255, 255, 255, 0.95)',
+          color: isDark ? '#fafafa' : '#18181b',
+          border: isDark ? '1px solid #3f3f46' : '1px solid #e4e4e7',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.2)'
+        }}>
+          {(() => {
+            const fieldStyle = { padding: '4px 6px', borderRadius: 4, border: '1px solid #3f3f46', background: isDark ? '#27272a' : '#fff', color: 'inherit' };
+            const setOption = (key) => (e) => setSpotRow({ ...spotRow, [key]: e.target.value });
+            return (
+              <>
+                <label>Spots <input type="number" min="1" value={spotRow.count} placeholder={String(spotRowCount)} onChange={setOption('count')} style={{ ...fieldStyle, width: 56 }} /></label>
+                <label>Angle{' '}
+                  <select value={spotRow.angle} onChange={(e) => setSpotRow({ ...spotRow, angle: Number(e.target.value) })} style={fieldStyle}>
+                    {BAY_ANGLES.map(a => <option key={a} value={a}>{a}°</option>)}
+                  </select>
+                </label>
+                <label>Sensor{' '}
+                  <select value={spotRow.type} onChange={setOption('type')} style={fieldStyle}>
+                    {SPOT_SENSOR_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                  </select>
+                </label>
+                <label>Parking{' '}
+                  <select value={spotRow.parkingType} onChange={setOption('parkingType')} style={fieldStyle}>
+                    <option value={PARKING_KINDS.NORMAL}>Normal</option>
+                    <option value={PARKING_KINDS.EV}>EV</option>
+                    <option value={PARKING_KINDS.ADA}>ADA</option>
+                  </select>
+                </label>
+                <label>First spot # <input type="number" min="1" value={spotRow.firstSpotNumber} onChange={setOption('firstSpotNumber')} style={{ ...fieldStyle, width: 60 }} /></label>
+                <label>First sensor ID <input type="text" value={spotRow.firstSensorId} placeholder="NW-0001" onChange={setOption('firstSensorId')} style={{ ...fieldStyle, width: 90 }} /></label>
+                <label>First serial <input type="text" value={spotRow.firstSerialAddress} placeholder="SN-001000" onChange={setOption('firstSerialAddress')} style={{ ...fieldStyle, width: 90 }} /></label>
+                <button
+                  onClick={createSpotRow}
+                  style={{ padding: '4px 10px', borderRadius: 4, border: 'none', background: '#3b82f6', color: 'white', cursor: 'pointer' }}
+                >
+                  Create {spotRowCount} Spots
+                </button>
+                <button
+                  onClick={() => startTool('spots')}
+                  style={{ padding: '4px 10px', borderRadius: 4, border: '1px solid #3f3f46', background: 'transparent', color: 'inherit', cursor: 'pointer' }}
+                >
+                  Cancel
+                </button>
+              </>
+            );
+          })()}
+        </div>
+      )}
+
+      {/* Scale bar */}
+      {(() => {
+        const bar = getScaleBar(currentLevel, currentView.scale, SCALE_BAR_MAX_WIDTH);
+        return (
+          <div style={{
+            position: 'absolute',
+            left: 12,
+            bottom: 12,
+            zIndex: 100,
+            padding: '6px 10px',
+            borderRadius: 6,
+            fontSize: 11,
+            background: isDark ? 'rgba(24, 24, 27, 0.85)' : 'rgba(255, 255, 255, 0.9)',
+            color: isDark ? '#a1a1aa' : '#52525b',
+            pointerEvents: 'none'
+          }}>
+            {bar ? (
+              <>
+                <div style={{
+                  width: bar.length,
+                  height: 6,
+                  border: `2px solid ${isDark ? '#fafafa' : '#18181b'}`,
+                  borderTop: 'none'
+                }} />
+                <div style={{ marginTop: 2 }}>{bar.label} · grid {formatDrawingDistance(gridSpacing, currentLevel)}</div>
+              </>
+            ) : 'Scale not calibrated'}
+          </div>
+        );
+      })()}
+
       {/* Prompt to upload if no background */}
       {!currentLevel.bgImage && (
         <div
@@ -459,34 +1750,43 @@ const MapCanvas = ({ mapFilter }) => {
       )}
 
       <Stage
+        ref={stageRef}
         width={dimensions.width}
         height={dimensions.height}
+        scaleX={currentView.scale}
+        scaleY={currentView.scale}
+        x={currentView.x}
+        y={currentView.y}
+        onWheel={handleWheel}
+        onMouseDown={handleStageMouseDown}
+        onMouseMove={handleStageMouseMove}
+        onMouseUp={finishMarquee}
         onClick={handleStageClick}
-        style={{ cursor: 'default' }}
+        style={{ cursor: isPanning ? 'grabbing' : spaceHeld ? 'grab' : tool ? 'crosshair' : 'default' }}
       >
         <Layer>
           {/* Background */}
           {bgImg && (
             <KonvaImage
               image={bgImg}
-              width={dimensions.width}
-              height={dimensions.height}
+              width={drawingWidth}
+              height={drawingHeight}
               listening={false}
             />
           )}
           {!bgImg && (
             <Rect
               name="background"
-              width={dimensions.width}
-              height={dimensions.height}
+              width={drawingWidth}
+              height={drawingHeight}
               fill={isDark ? '#1a1a1c' : '#f4f4f5'}
             />
           )}
           {bgImg && (
             <Rect
               name="background"
-              width={dimensions.width}
-              height={dimensions.height}
+              width={drawingWidth}
+              height={drawingHeight}
               fill="transparent"
             />
           )}
@@ -494,17 +1794,170 @@ const MapCanvas = ({ mapFilter }) => {
           {/* Grid */}
           {renderGrid()}
 
-          {/* Devices (cameras, signs, space monitors, servers) - skip devices pending placement, apply map filter */}
-          {currentLevel.devices?.filter(device => {
-            if (device.pendingPlacement) return false;
-            if (!mapFilter || mapFilter.length === 0) return true; // No filter, show all
-            // Multi-select: show device if it matches ANY active filter
-            if (mapFilter.includes('cameras') && device.type?.startsWith('cam-')) return true;
-            if (mapFilter.includes('spaceMonitoring') && device.type?.startsWith('sensor-')) return true;
-            if (mapFilter.includes('signs') && device.type?.startsWith('sign-')) return true;
-            if (mapFilter.includes('servers') && device.type === 'server') return true;
-            return false;
-          }).map(device => renderDevice(device))}
+          {/* Coverage heatmap (one image pixel per grid cell) and zones */}
+          {coverageHeatmap && (
+            <KonvaImage
+              image={coverageHeatmap}
+              width={coverage.grid.cols * coverage.grid.cellSize}
+              height={coverage.grid.rows * coverage.grid.cellSize}
+              imageSmoothingEnabled={false}
+              listening={false}
+            />
+          )}
+          {(showCoverage || tool === 'zone') && (currentLevel.coverageZones || []).map(zone => {
+            const blind = coverage?.report.zones.find(z => z.id === zone.id)?.blind;
+            const color = blind ? '#ef4444' : (ZONE_COLORS[zone.kind] || '#71717a');
+            return (
+              <Group key={`zone-${zone.id}`} listening={false}>
+                <Line points={zone.points} closed stroke={color} strokeWidth={2} dash={[8, 4]} strokeScaleEnabled={false} opacity={0.8} />
+                <Text
+                  x={zone.points[0]}
+                  y={zone.points[1]}
+                  text={zone.name}
+                  fontSize={11}
+                  fontStyle="bold"
+                  fill={color}
+                  scaleX={1 / currentView.scale}
+                  scaleY={1 / currentView.scale}
+                  offsetY={14}
+                />
+              </Group>
+            );
+          })}
+
+          {/* Walls, columns and obstructions (click one with the obstruction tool to delete it) */}
+          {(currentLevel.obstructions || []).filter(isObstructionComplete).map(obstruction => {
+            const deletable = tool === 'obstruction' && toolPoints.length === 0;
+            const isWall = obstruction.kind === OBSTRUCTION_KINDS.WALL;
+            return (
+              <Line
+                key={`obstruction-${obstruction.id}`}
+                points={obstruction.points}
+                closed={!isWall}
+                stroke={OBSTRUCTION_COLOR}
+                strokeWidth={isWall ? 4 : 2}
+                strokeScaleEnabled={false}
+                fill={isWall ? undefined : 'rgba(148, 163, 184, 0.35)'}
+                lineCap="round"
+                lineJoin="round"
+                hitStrokeWidth={12}
+                listening={deletable}
+                onClick={(e) => {
+                  e.cancelBubble = true;
+                  deleteObstruction(obstruction);
+                }}
+                onMouseEnter={(e) => { e.target.getStage().container().style.cursor = 'pointer'; }}
+                onMouseLeave={(e) => { e.target.getStage().container().style.cursor = 'default'; }}
+              />
+            );
+          })}
+
+          {/* Sensor group members: links to their controller, then spot markers */}
+          {renderSensorLinks()}
+          {sensorGroups.flatMap(group => group.sensors
+            .map((sensor, index) => (isSensorPlaced(sensor) ? renderSensorSpot(group, sensor, index) : null))
+            .filter(Boolean))}
+
+          {/* Devices (cameras, signs, space monitors, servers) */}
+          {visibleDevices.map(device => renderDevice(withConeDrag(device)))}
+
+          {/* Rotation and range handles of the selected camera */}
+          {handleCamera && renderCameraHandles(withConeDrag(handleCamera))}
+
+          {/* Calibration / measurement points */}
+          {tool && toolPoints.length > 0 && (
+            <>
+              {(tool === 'zone' || tool === 'obstruction') && toolPoints.length > 1 && (
+                <Line
+                  points={toolPoints.flatMap(p => [p.x, p.y])}
+                  stroke={tool === 'zone' ? ZONE_COLORS[zoneDraft.kind] : OBSTRUCTION_COLOR}
+                  strokeWidth={2}
+                  strokeScaleEnabled={false}
+                  listening={false}
+                />
+              )}
+              {tool !== 'zone' && tool !== 'obstruction' && toolPoints.length === 2 && (
+                <Line
+                  points={[toolPoints[0].x, toolPoints[0].y, toolPoints[1].x, toolPoints[1].y]}
+                  stroke={tool === 'calibrate' ? '#f59e0b' : '#ec4899'}
+                  strokeWidth={2}
+                  dash={[6, 4]}
+                  strokeScaleEnabled={false}
+                  listening={false}
+                />
+              )}
+              {toolPoints.map((p, i) => (
+                <Circle
+                  key={i}
+                  x={p.x}
+                  y={p.y}
+                  radius={5 / currentView.scale}
+                  fill={tool === 'calibrate' ? '#f59e0b' : '#ec4899'}
+                  stroke="white"
+                  strokeWidth={1}
+                  strokeScaleEnabled={false}
+                  listening={false}
+                />
+              ))}
+              {tool === 'measure' && toolPoints.length === 2 && (
+                <Text
+                  x={(toolPoints[0].x + toolPoints[1].x) / 2}
+                  y={(toolPoints[0].y + toolPoints[1].y) / 2}
+                  text={formatDrawingDistance(Math.hypot(toolPoints[1].x - toolPoints[0].x, toolPoints[1].y - toolPoints[0].y), currentLevel)}
+                  fontSize={12}
+                  fontStyle="bold"
+                  fill="#ec4899"
+                  scaleX={1 / currentView.scale}
+                  scaleY={1 / currentView.scale}
+                  offsetY={18}
+                  listening={false}
+                />
+              )}
+            </>
+          )}
+
+          {/* Spot row preview */}
+          {spotRowLayout && (
+            <>
+              {spotRowLayout.dividers.map((points, i) => (
+                <Line
+                  key={`stall-${i}`}
+                  points={points}
+                  stroke="#f59e0b"
+                  strokeWidth={1}
+                  strokeScaleEnabled={false}
+                  listening={false}
+                />
+              ))}
+              {spotRowLayout.spots.map((spot, i) => (
+                <Circle
+                  key={`spot-${i}`}
+                  x={spot.x}
+                  y={spot.y}
+                  radius={4 / currentView.scale}
+                  fill="#f59e0b"
+                  opacity={0.8}
+                  listening={false}
+                />
+              ))}
+            </>
+          )}
+
+          {/* Rubber-band selection */}
+          {marquee && (
+            <Rect
+              x={Math.min(marquee.x1, marquee.x2)}
+              y={Math.min(marquee.y1, marquee.y2)}
+              width={Math.abs(marquee.x2 - marquee.x1)}
+              height={Math.abs(marquee.y2 - marquee.y1)}
+              fill="rgba(59, 130, 246, 0.1)"
+              stroke="#3b82f6"
+              strokeWidth={1}
+              dash={[4, 4]}
+              strokeScaleEnabled={false}
+              listening={false}
+            />
+          )}
         </Layer>
       </Stage>
 
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { Modal, ModalDialog, Button } from '@mui/joy';
+import { SEVERITY, countProblems } from '../services/ValidationService';
+
+// ========================= CONSTANTS =========================
+
+const MODAL_SX = Object.freeze({
+  borderRadius: '12px',
+  p: 0,
+  width: '100%',
+  maxWidth: 560,
+  bgcolor: '#18181b',
+  border: '1px solid #3f3f46',
+  overflow: 'hidden'
+});
+
+const SEVERITY_COLORS = Object.freeze({
+  [SEVERITY.ERROR]: '#ef4444',
+  [SEVERITY.WARNING]: '#f59e0b'
+});
+
+const FILTERS = Object.freeze([
+  { id: 'all', label: 'All' },
+  { id: SEVERITY.ERROR, label: 'Errors' },
+  { id: SEVERITY.WARNING, label: 'Warnings' }
+]);
+
+// ========================= COMPONENT =========================
+
+/**
+ * Site-wide validation results. Clicking a problem jumps to its device.
+ * When opened from a blocked export, `onExportAnyway` adds an override button.
+ */
+const ProblemsPanel = ({ open, onClose, theme, problems, onSelect, onExportAnyway }) => {
+  const [filter, setFilter] = useState('all');
+  const counts = countProblems(problems);
+  const visible = filter === 'all' ? problems : problems.filter(p => p.severity === filter);
+
+  return (
+    <Modal open={open} onClose={onClose}>
+      <ModalDialog sx={{
+        ...MODAL_SX,
+        bgcolor: theme.bgSurface,
+        border: `1px solid ${theme.borderSubtle}`
+      }}>
+        <div style={{ padding: '16px 20px', borderBottom: `1px solid ${theme.borderSubtle}`, background: theme.bgHover }}>
+          <h3 style={{ margin: 0, fontSize: 16, fontWeight: 600, color: theme.text }}>Problems</h3>
+          <p style={{ margin: '4px 0 0', fontSize: 12, color: theme.textMuted }}>
+            {onExportAnyway
+              ? 'Export was stopped because the configs would contain errors. Fix them or export anyway.'
+              : `${counts.errors} error(s) block config export; ${counts.warnings} warning(s) do not.`}
+          </p>
+          <div style={{ display: 'flex', gap: 6, marginTop: 10 }}>
+            {FILTERS.map(f => (
+              <button
+                key={f.id}
+                onClick={() => setFilter(f.id)}
+                style={{
+                  padding: '4px 10px',
+                  borderRadius: 6,
+                  border: filter === f.id ? '1px solid #3b82f6' : `1px solid ${theme.borderSubtle}`,
+                  background: filter === f.id ? 'rgba(59, 130, 246, 0.15)' : 'transparent',
+                  color: theme.text,
+                  fontSize: 12,
+                  cursor: 'pointer'
+                }}
+              >
+                {f.label} ({f.id === 'all' ? problems.length : f.id === SEVERITY.ERROR ? counts.errors : counts.warnings})
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div style={{ maxHeight: 400, overflowY: 'auto', padding: '8px 0' }}>
+          {visible.length === 0 && (
+            <div style={{ padding: '16px 20px', fontSize: 13, color: theme.textMuted }}>No problems found.</div>
+          )}
+          {visible.map(problem => (
+            <button
+              key={problem.id}
+              onClick={() => onSelect(problem)}
+              style={{
+                display: 'flex',
+                alignItems: 'flex-start',
+                gap: 10,
+                width: '100%',
+                padding: '8px 20px',
+                background: 'transparent',
+                border: 'none',
+                borderLeft: `3px solid ${SEVERITY_COLORS[problem.severity]}`,
+                color: theme.text,
+                fontSize: 13,
+                textAlign: 'left',
+                cursor: 'pointer'
+              }}
+            >
+              <span style={{ fontSize: 10, fontWeight: 700, color: SEVERITY_COLORS[problem.severity], textTransform: 'uppercase', minWidth: 56, paddingTop: 2 }}>
+                {problem.severity}
+              </span>
+              <span style={{ flex: 1 }}>
+                <span style={{ fontWeight: 500 }}>{problem.deviceName || 'Unnamed device'}</span>
+                <span style={{ fontSize: 11, color: theme.textMuted }}> · {problem.levelName}</span>
+                <div style={{ fontSize: 12, color: theme.textSecondary, marginTop: 2 }}>{problem.message}</div>
+              </span>
+            </button>
+          ))}
+        </div>
+
+        <div style={{ display: 'flex', gap: 10, justifyContent: 'flex-end', padding: '14px 20px', borderTop: '1px solid #3f3f46', background: '#27272a' }}>
+          {onExportAnyway && (
+            <Button
+              size="sm"
+              variant="outlined"
+              color="danger"
+              onClick={onExportAnyway}
+            >
+              Export Anyway
+            </Button>
+          )}
+          <Button
+            size="sm"
+            onClick={onClose}
+            sx={{ bgcolor: '#3b82f6', '&:hover': { bgcolor: '#2563eb' } }}
+          >
+            Close
+          </Button>
+        </div>
+      </ModalDialog>
+    </Modal>
+  );
+};
+
+export default ProblemsPanel;
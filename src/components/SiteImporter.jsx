@@ -1,4 +1,4 @@
-import React, { useContext, useState, useCallback, useRef, useEffect } from 'react';
+import React, { useContext, useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import { Button, Modal, ModalDialog } from '@mui/joy';
 import { AppContext } from '../App';
 import {
@@ -8,7 +8,8 @@ import {
   downloadFile,
   CLIENT_ID,
 } from '../services/GoogleDriveService';
-import { parseExcelFile, getImportSummary } from '../services/ExcelParserService';
+import { parseExcelFile, getImportSummary, csvFilesToWorkbook } from '../services/ExcelParserService';
+import { mergeImportedGarages, summarizeMergeDiff } from '../services/SiteMergeService';
 
 // ========================= CONSTANTS =========================
 
@@ -22,6 +23,9 @@ const MODAL_SX = Object.freeze({
   overflow: 'hidden',
 });
 
+/** Same limit as Drive downloads */
+const MAX_LOCAL_FILE_BYTES = 50 * 1024 * 1024;
+
 // ========================= HELPERS =========================
 
 function formatFileSize(bytes) {
@@ -44,10 +48,20 @@ function formatDate(isoString) {
   });
 }
 
+function formatDiffValue(value) {
+  if (value == null || value === '') return '(empty)';
+  if (Array.isArray(value)) return `${value.length} item(s)`;
+  if (typeof value === 'object') return '{…}';
+  const text = String(value);
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+const garageKey = (garage) => String(garage?.internalName || garage?.name || '').trim().toLowerCase();
+
 // ========================= COMPONENT =========================
 
 export default function SiteImporter() {
-  const { setGarages, setCurrentView } = useContext(AppContext);
+  const { garages: existingGarages, setGarages, setCurrentView } = useContext(AppContext);
 
   // Auth state
   const [authenticated, setAuthenticated] = useState(false);
@@ -65,6 +79,11 @@ export default function SiteImporter() {
   const [importing, setImporting] = useState(false);
   const [importResult, setImportResult] = useState(null);
   const [showConfirmModal, setShowConfirmModal] = useState(false);
+  const [importMode, setImportMode] = useState('merge'); // 'merge' | 'replace'
+
+  // Local file state
+  const [dragActive, setDragActive] = useState(false);
+  const localFileInputRef = useRef(null);
 
   // ---- Auth handlers ----
 
@@ -152,7 +171,8 @@ export default function SiteImporter() {
       const buffer = await downloadFile(selectedFile.id);
       const parsed = parseExcelFile(buffer);
       const summary = getImportSummary(parsed);
-      setImportResult({ parsed, summary, fileName: selectedFile.name });
+      setImportResult({ parsed, summary, fileName: selectedFile.name, driveFile: selectedFile });
+      setImportMode('merge');
       setShowConfirmModal(true);
     } catch (err) {
       setError(err.message || 'Failed to import file');
@@ -161,35 +181,108 @@ export default function SiteImporter() {
     }
   }, [selectedFile]);
 
+  // One .xlsx workbook, or the per-tab CSV files exported from it
+  const handleLocalFiles = useCallback(async (fileList) => {
+    const picked = Array.from(fileList || []);
+    if (picked.length === 0) return;
+    setError('');
+
+    const workbooks = picked.filter((f) => /\.xlsx?$/i.test(f.name));
+    const csvFiles = picked.filter((f) => /\.csv$/i.test(f.name));
+    if (workbooks.length + csvFiles.length !== picked.length
+      || workbooks.length > 1
+      || (workbooks.length === 1 && csvFiles.length > 0)) {
+      setError('Choose one .xlsx workbook, or the .csv files of its tabs.');
+      return;
+    }
+    const tooLarge = picked.find((f) => f.size > MAX_LOCAL_FILE_BYTES);
+    if (tooLarge) {
+      setError(`${tooLarge.name} is too large. Maximum size is ${MAX_LOCAL_FILE_BYTES / (1024 * 1024)}MB.`);
+      return;
+    }
+
+    setImporting(true);
+    try {
+      const buffer = workbooks.length === 1
+        ? await workbooks[0].arrayBuffer()
+        : csvFilesToWorkbook(await Promise.all(csvFiles.map(async (f) => ({ name: f.name, text: await f.text() }))));
+      const parsed = parseExcelFile(buffer);
+      const summary = getImportSummary(parsed);
+      const fileName = workbooks.length === 1 ? workbooks[0].name : csvFiles.map((f) => f.name).join(', ');
+      setImportResult({ parsed, summary, fileName, driveFile: null });
+      setImportMode('merge');
+      setShowConfirmModal(true);
+    } catch (err) {
+      setError(err.message || 'Failed to import file');
+    } finally {
+      setImporting(false);
+    }
+  }, []);
+
+  const handleLocalInputChange = useCallback((e) => {
+    const { files: picked } = e.target;
+    handleLocalFiles(picked).finally(() => { e.target.value = ''; });
+  }, [handleLocalFiles]);
+
+  const handleDragOver = useCallback((e) => {
+    e.preventDefault();
+    setDragActive(true);
+  }, []);
+
+  const handleDragLeave = useCallback((e) => {
+    e.preventDefault();
+    setDragActive(false);
+  }, []);
+
+  const handleDrop = useCallback((e) => {
+    e.preventDefault();
+    setDragActive(false);
+    handleLocalFiles(e.dataTransfer?.files);
+  }, [handleLocalFiles]);
+
+  // Merge preview against the garages imported from a workbook before. Without any
+  // (first import, demo or hand-made garages only) the import replaces everything.
+  const mergePreview = useMemo(() => {
+    if (!importResult || !Array.isArray(existingGarages) || !existingGarages.some((g) => g?.rawWorkbook)) return null;
+    const merged = mergeImportedGarages(existingGarages, importResult.parsed.garages);
+    return { ...merged, counts: summarizeMergeDiff(merged.diff) };
+  }, [importResult, existingGarages]);
+  const merging = Boolean(mergePreview) && importMode === 'merge';
+
   const handleConfirmImport = useCallback(() => {
     if (!importResult) return;
+    const { driveFile, parsed } = importResult;
+    const target = parsed.garages[0];
+    const result = merging ? mergePreview.garages : parsed.garages;
     
-    // Add the Google Sheet as a quick link to the first garage
-    const garagesWithLink = importResult.parsed.garages.map((garage, index) => {
-      if (index === 0 && selectedFile) {
+    // Add the Google Sheet as a quick link to the first imported garage
+    const garagesWithLink = result.map((garage) => {
+      if (driveFile && target && garageKey(garage) === garageKey(target)) {
         // Create Google Drive link for the imported file
-        const driveLink = selectedFile.webViewLink || 
-          `https://drive.google.com/file/d/${selectedFile.id}/view`;
+        const driveLink = driveFile.webViewLink || 
+          `https://drive.google.com/file/d/${driveFile.id}/view`;
         
+        const quickLinks = Array.isArray(garage.quickLinks) ? garage.quickLinks : [];
+        if (quickLinks.some((link) => link.url === driveLink)) return garage;
         const newQuickLink = {
-          id: 1,
-          name: selectedFile.name.replace(/\.xlsx?$/i, '') || 'Configuration Sheet',
+          id: quickLinks.reduce((max, link) => Math.max(max, Number(link.id) || 0), 0) + 1,
+          name: driveFile.name.replace(/\.xlsx?$/i, '') || 'Configuration Sheet',
           url: driveLink,
           icon: 'sheets'
         };
         
         return {
           ...garage,
-          quickLinks: [newQuickLink, ...garage.quickLinks]
+          quickLinks: [newQuickLink, ...quickLinks]
         };
       }
       return garage;
     });
     
-    setGarages(garagesWithLink);
+    setGarages(garagesWithLink, merging ? 'Merge workbook' : 'Import workbook');
     setShowConfirmModal(false);
     setCurrentView('garages');
-  }, [importResult, selectedFile, setGarages, setCurrentView]);
+  }, [importResult, merging, mergePreview, setGarages, setCurrentView]);
 
   // ---- Skip / manual mode ----
   const handleSkip = useCallback(() => {
@@ -207,6 +300,14 @@ export default function SiteImporter() {
 
   return (
     <div className="selector-view site-importer-fullpage">
+      <input
+        ref={localFileInputRef}
+        type="file"
+        accept=".xlsx,.xls,.csv"
+        multiple
+        style={{ display: 'none' }}
+        onChange={handleLocalInputChange}
+      />
       {/* Main Content */}
       <div className="site-importer-content">
         {!authenticated ? (
@@ -251,6 +352,25 @@ export default function SiteImporter() {
                     <path d="M5 12h14M12 5l7 7-7 7" />
                   </svg>
                 </button>
+
+                {/* Local file import (no Drive access needed) */}
+                <button
+                  className={`site-importer-local-drop ${dragActive ? 'drag-active' : ''}`}
+                  onClick={() => localFileInputRef.current?.click()}
+                  onDragOver={handleDragOver}
+                  onDragLeave={handleDragLeave}
+                  onDrop={handleDrop}
+                  disabled={importing}
+                >
+                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+                    <polyline points="17 8 12 3 7 8" />
+                    <line x1="12" y1="3" x2="12" y2="15" />
+                  </svg>
+                  <span>
+                    {importing ? 'Reading file...' : 'Drop a .xlsx workbook or its .csv tabs, or click to browse'}
+                  </span>
+                </button>
               </div>
               
               {/* Features Section */}
@@ -265,7 +385,7 @@ export default function SiteImporter() {
                   </div>
                   <div className="feature-text">
                     <strong>Import Config</strong>
-                    <span>From Google Drive</span>
+                    <span>From Drive or local file</span>
                   </div>
                 </div>
                 <div className="site-importer-feature">
@@ -358,9 +478,18 @@ export default function SiteImporter() {
                 </svg>
                 Select Configuration File
               </h2>
-              <button className="site-importer-skip-btn-small" onClick={handleSkip}>
-                Skip &rarr;
-              </button>
+              <div style={{ display: 'flex', gap: 8 }}>
+                <button
+                  className="site-importer-skip-btn-small"
+                  onClick={() => localFileInputRef.current?.click()}
+                  disabled={importing}
+                >
+                  Open Local File
+                </button>
+                <button className="site-importer-skip-btn-small" onClick={handleSkip}>
+                  Skip &rarr;
+                </button>
+              </div>
             </div>
 
             {/* Search Bar */}
@@ -585,6 +714,87 @@ export default function SiteImporter() {
                 </div>
               </div>
 
+              {/* Row-level diagnostics */}
+              {importResult.parsed.diagnostics?.length > 0 && (
+                <div className="import-modal-sheets">
+                  <div className="import-modal-sheets-header">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                      <circle cx="12" cy="12" r="10" />
+                      <line x1="12" y1="8" x2="12" y2="12" />
+                      <line x1="12" y1="16" x2="12.01" y2="16" />
+                    </svg>
+                    Diagnostics
+                    <span className="import-modal-diagnostic-counts">
+                      {importResult.summary.diagnosticCounts.errors} not imported · {importResult.summary.diagnosticCounts.warnings} defaulted
+                    </span>
+                  </div>
+                  <div className="import-modal-sheets-list">
+                    {importResult.parsed.diagnostics.map((d, i) => (
+                      <div key={i} className="import-modal-sheet-row import-modal-diagnostic-row">
+                        <span className={`import-modal-diagnostic-severity ${d.severity}`}>{d.severity}</span>
+                        <div className="import-modal-diagnostic-text">
+                          <div className="import-modal-diagnostic-location">
+                            {d.sheet}{d.row != null ? ` · row ${d.row}` : ''}{d.column ? ` · ${d.column}` : ''}
+                          </div>
+                          <div>{d.message}</div>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Merge or replace */}
+              {mergePreview && (
+                <div className="import-modal-sheets">
+                  <div className="import-modal-mode">
+                    <button
+                      className={`import-modal-mode-btn ${importMode === 'merge' ? 'active' : ''}`}
+                      onClick={() => setImportMode('merge')}
+                    >
+                      Merge into existing garages
+                    </button>
+                    <button
+                      className={`import-modal-mode-btn ${importMode === 'replace' ? 'active' : ''}`}
+                      onClick={() => setImportMode('replace')}
+                    >
+                      Replace everything
+                    </button>
+                  </div>
+
+                  {merging && (
+                    <>
+                      <div className="import-modal-sheets-header">
+                        Changes
+                        <span className="import-modal-diagnostic-counts">
+                          {mergePreview.counts.added} added · {mergePreview.counts.changed} changed · {mergePreview.counts.moved} moved · {mergePreview.counts.removed} removed
+                        </span>
+                      </div>
+                      <div className="import-modal-sheets-list">
+                        {mergePreview.diff.length === 0 && (
+                          <div className="import-modal-sheet-row import-modal-diagnostic-row">
+                            Nothing changed since the last import.
+                          </div>
+                        )}
+                        {mergePreview.diff.map((entry, i) => (
+                          <div key={i} className="import-modal-sheet-row import-modal-diagnostic-row">
+                            <span className={`import-modal-merge-kind ${entry.kind}`}>{entry.kind}</span>
+                            <div className="import-modal-diagnostic-text">
+                              <div>{entry.path} <span className="import-modal-diagnostic-location">{entry.entity}</span></div>
+                              {entry.changes.map((change) => (
+                                <div key={change.field} className="import-modal-diagnostic-location">
+                                  {change.field}: {change.from == null ? '' : `${formatDiffValue(change.from)} → `}{formatDiffValue(change.to)}
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
+
               {/* Warning */}
               <div className="import-modal-warning">
                 <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
@@ -592,7 +802,11 @@ export default function SiteImporter() {
                   <line x1="12" y1="9" x2="12" y2="13" />
                   <line x1="12" y1="17" x2="12.01" y2="17" />
                 </svg>
-                <span>This will replace all existing garages and levels with the imported data.</span>
+                <span>
+                  {merging
+                    ? 'Placements, drawings, contacts and servers are kept. Devices no longer in the workbook stay on the map, flagged as removed.'
+                    : 'This will replace all existing garages and levels with the imported data.'}
+                </span>
               </div>
             </div>
           )}
@@ -612,7 +826,7 @@ export default function SiteImporter() {
               <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
                 <polyline points="20 6 9 17 4 12" />
               </svg>
-              Confirm Import
+              {merging ? 'Apply Merge' : 'Confirm Import'}
             </button>
           </div>
         </ModalDialog>
@@ -0,0 +1,98 @@
+import { useState, useCallback, useRef } from 'react';
+
+// ========================= CONSTANTS =========================
+
+/** Maximum number of history entries kept (oldest are dropped first) */
+const DEFAULT_HISTORY_LIMIT = 100;
+
+/**
+ * Consecutive changes with the same coalesce key inside this window are merged
+ * into one entry, so a slider drag or a typed field is undone in a single step.
+ */
+const COALESCE_WINDOW_MS = 1000;
+
+const INITIAL_LABEL = 'Opened';
+
+// ========================= HOOK =========================
+
+/**
+ * useState with an undo/redo history.
+ *
+ * Every `set(next, label, { coalesceKey })` call records a new entry, unless it
+ * is merged into the previous one: only changes that pass the same coalesce key
+ * (e.g. the edited device id and field) are merged, see COALESCE_WINDOW_MS.
+ * `reset(value)` replaces the state and clears the history, for loads that
+ * should not be undoable.
+ *
+ * @param {*} initialValue
+ * @param {{ limit?: number }} [options]
+ */
+export default function useUndoableState(initialValue, { limit = DEFAULT_HISTORY_LIMIT } = {}) {
+  const [history, setHistory] = useState(() => ({
+    entries: [{ label: INITIAL_LABEL, state: initialValue, time: Date.now() }],
+    index: 0
+  }));
+  const lastCommitRef = useRef({ key: null, time: 0 });
+
+  const set = useCallback((next, label = 'Edit', { coalesceKey = null } = {}) => {
+    const now = Date.now();
+    const last = lastCommitRef.current;
+    const coalesce = coalesceKey != null && last.key === coalesceKey && now - last.time < COALESCE_WINDOW_MS;
+    lastCommitRef.current = { key: coalesceKey, time: now };
+
+    setHistory(prev => {
+      const current = prev.entries[prev.index].state;
+      const value = typeof next === 'function' ? next(current) : next;
+      if (value === current) return prev;
+
+      // Anything after the current position is discarded once a new change is made
+      const kept = prev.entries.slice(0, prev.index + 1);
+
+      if (coalesce && prev.index > 0 && prev.index === prev.entries.length - 1) {
+        kept[kept.length - 1] = { ...kept[kept.length - 1], state: value, time: now };
+        return { entries: kept, index: kept.length - 1 };
+      }
+
+      kept.push({ label, state: value, time: now });
+      const overflow = Math.max(0, kept.length - limit);
+      const entries = overflow > 0 ? kept.slice(overflow) : kept;
+      return { entries, index: entries.length - 1 };
+    });
+  }, [limit]);
+
+  const reset = useCallback((value, label = INITIAL_LABEL) => {
+    lastCommitRef.current = { key: null, time: 0 };
+    setHistory({ entries: [{ label, state: value, time: Date.now() }], index: 0 });
+  }, []);
+
+  const jumpTo = useCallback((index) => {
+    lastCommitRef.current = { key: null, time: 0 };
+    setHistory(prev => {
+      if (index < 0 || index >= prev.entries.length || index === prev.index) return prev;
+      return { ...prev, index };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    lastCommitRef.current = { key: null, time: 0 };
+    setHistory(prev => (prev.index > 0 ? { ...prev, index: prev.index - 1 } : prev));
+  }, []);
+
+  const redo = useCallback(() => {
+    lastCommitRef.current = { key: null, time: 0 };
+    setHistory(prev => (prev.index < prev.entries.length - 1 ? { ...prev, index: prev.index + 1 } : prev));
+  }, []);
+
+  return {
+    state: history.entries[history.index].state,
+    set,
+    reset,
+    undo,
+    redo,
+    jumpTo,
+    canUndo: history.index > 0,
+    canRedo: history.index < history.entries.length - 1,
+    entries: history.entries,
+    index: history.index
+  };
+}
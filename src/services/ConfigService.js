@@ -11,23 +11,33 @@
  * - Space Monitors (Sensor Groups: NWAVE, Parksol, Proco, Ensight Vision):
  *   - C:\Ensight\EPIC\Config\DevicesConfig.xml
  *   - NWAVE sensors use type SENSORCONTROLLER with API key as controllerKey
+ *   - Workbook sensor groups write their controller (SENSORCONTROLLER with a
+ *     SensorProtocol) followed by one SENSOR per member, linked by <Controller>
+ *
+ * Imported DevicesConfig/CameraHub entries round-trip: elements and attributes the
+ * app does not edit are written back exactly as they were read (see ROUND-TRIP).
  */
 
 import { js2xml, xml2js } from 'xml-js';
+import { zipSync, strToU8 } from 'fflate';
+import { buildCameraRtspUrl } from './CredentialService';
+import { getParkingKind, isSensorGroup } from './SensorService';
 
 // ========================= CONSTANTS =========================
 
 const XML_OPTIONS = {
   compact: true,
-  ignoreComment: true,
+  ignoreComment: false,
   spaces: 2
 };
 
+// Values stay as the exact text from the file (no "True" -> true, "0.10" -> 0.1)
+// and comments are kept, so imported elements can be written back unchanged
 const XML_PARSE_OPTIONS = {
   compact: true,
-  ignoreComment: true,
+  ignoreComment: false,
   alwaysArray: false,
-  nativeType: true,
+  nativeType: false,
   trim: true
 };
 
@@ -40,7 +50,7 @@ const DEFAULT_CAMERA_SETTINGS = {
 };
 
 // Default FLI plugin config settings
-const DEFAULT_FLI_CONFIG = {
+export const DEFAULT_FLI_CONFIG = {
   EnhancedVisuals: true,
   ResizeWidth: 0,
   FLIConfig: {
@@ -97,12 +107,13 @@ const extractPortFromRTSP = (rtspUrl) => {
   return match ? match[1] : '554';
 };
 
-/**
- * Build RTSP URL from components
- */
-const buildRTSPUrl = (ipAddress, port = '554', username = 'admin', password = 'Schneider1!') => {
-  return `rtsp://${username}:${password}@${ipAddress}:${port}/0/onvif/profile2/media.smp`;
-};
+/** DevicesConfig SensorProtocol of each sensor group type */
+const SENSOR_GROUP_PROTOCOLS = Object.freeze({
+  'sensor-nwave': 'NWAVE',
+  'sensor-parksol': 'PARKSOL',
+  'sensor-proco': 'PROCO',
+  'sensor-ensight': 'ENSIGHT'
+});
 
 /**
  * Map camera type to config type
@@ -143,87 +154,126 @@ const getTextContent = (element) => {
   return '';
 };
 
+// ========================= ROUND-TRIP =========================
+
+/*
+ * Imported devices keep the XML element they came from so exports write back
+ * everything the app does not edit (FPS, MotionThreshold, vendor extras, ...):
+ *
+ *   device.rawConfig[section] = { element, fields }
+ *
+ * `section` is 'devicesConfig', 'cameraHub' or 'cameraHubFli'. `fields` are the
+ * values the app would have written for the device right after import. On export
+ * a field is only rewritten when the device's value differs from that snapshot;
+ * everything else comes from the original element, in its original order.
+ */
+
+const toFieldText = (value) => (value === undefined || value === null || value === '' ? null : String(value));
+
+const snapshotFields = (fields) => Object.fromEntries(
+  Object.entries(fields).map(([key, value]) => [key, toFieldText(value)])
+);
+
+const withRawConfig = (device, section, element, fields) => ({
+  ...device,
+  rawConfig: { ...device.rawConfig, [section]: { element, fields: snapshotFields(fields) } }
+});
+
+/**
+ * Build an XML element from app `fields` (undefined = omit), merged over the
+ * imported element in `raw` when there is one.
+ */
+const mergeConfigElement = (fields, raw) => {
+  if (!raw?.element) {
+    return Object.fromEntries(
+      Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [key, { _text: value }])
+    );
+  }
+
+  const element = { ...raw.element };
+  Object.entries(fields).forEach(([key, value]) => {
+    if (toFieldText(value) === (raw.fields?.[key] ?? null)) return; // Not edited since import
+    if (value === undefined) {
+      delete element[key];
+      return;
+    }
+    const attributes = element[key]?._attributes;
+    element[key] = { ...(attributes && { _attributes: attributes }), _text: value };
+  });
+  return element;
+};
+
 // ========================= CAMERAHUB CONFIG =========================
 
+/**
+ * One entry per CameraHub stream of a camera: both configured streams of a
+ * dual-lens camera, or the single stream of a bullet camera.
+ */
+const getCameraHubStreams = (cam, garage) => {
+  if (cam.hardwareType === 'dual-lens') {
+    return [1, 2].map(streamNum => {
+      const stream = streamNum === 1 ? cam.stream1 : cam.stream2;
+      if (!stream?.ipAddress) return null; // Skip if stream not configured
+
+      const ipAddress = stream.ipAddress || '';
+      const port = stream.port || '554';
+      return {
+        name: `${cam.name}-S${streamNum}`,
+        rtspUrl: stream.externalUrl || buildCameraRtspUrl(cam, { ipAddress, port }, streamNum, garage),
+        streamType: stream.streamType || cam.type || 'cam-fli',
+        rawConfig: stream.rawConfig
+      };
+    }).filter(Boolean);
+  }
+
+  const ipAddress = cam.stream1?.ipAddress || cam.ipAddress || '';
+  const port = cam.stream1?.port || cam.port || '554';
+  return [{
+    name: cam.name,
+    rtspUrl: cam.stream1?.externalUrl || buildCameraRtspUrl(cam, { ipAddress, port }, 1, garage),
+    streamType: cam.type,
+    rawConfig: cam.rawConfig
+  }];
+};
+
+const cameraHubFields = (cam, stream, configType) => ({
+  Name: stream.name,
+  RTSPUrl: stream.rtspUrl,
+  FPS: DEFAULT_CAMERA_SETTINGS.FPS,
+  Type: configType,
+  RecordRawClips: DEFAULT_CAMERA_SETTINGS.RecordRawClips,
+  Enabled: DEFAULT_CAMERA_SETTINGS.Enabled,
+  MotionThreshold: DEFAULT_CAMERA_SETTINGS.MotionThreshold,
+  MACAddress: cam.macAddress || undefined
+});
+
 /**
  * Generate CameraHub config XML content
  * For dual-lens cameras, generates separate entries for each stream
+ * @param {Array} cameras - Camera devices
+ * @param {Object} garage - Owning garage, supplies credential profiles and RTSP path templates
  */
-export const generateCameraHubConfig = (cameras) => {
+export const generateCameraHubConfig = (cameras, garage = null) => {
   const cameraElements = [];
   const fliCameraElements = [];
 
   cameras.forEach(cam => {
-    const isDualLens = cam.hardwareType === 'dual-lens';
-
-    if (isDualLens) {
-      // Generate entries for both streams
-      [1, 2].forEach(streamNum => {
-        const stream = streamNum === 1 ? cam.stream1 : cam.stream2;
-        if (!stream?.ipAddress) return; // Skip if stream not configured
-
-        const ipAddress = stream.ipAddress || '';
-        const port = stream.port || '554';
-        const rtspUrl = stream.externalUrl || buildRTSPUrl(ipAddress, port);
-        const streamType = stream.streamType || cam.type || 'cam-fli';
-        const streamName = `${cam.name}-S${streamNum}`;
-
-        cameraElements.push({
-          Name: { _text: streamName },
-          RTSPUrl: { _text: rtspUrl },
-          FPS: { _text: DEFAULT_CAMERA_SETTINGS.FPS },
-          Type: { _text: getCameraConfigType(streamType) },
-          RecordRawClips: { _text: DEFAULT_CAMERA_SETTINGS.RecordRawClips },
-          Enabled: { _text: DEFAULT_CAMERA_SETTINGS.Enabled },
-          MotionThreshold: { _text: DEFAULT_CAMERA_SETTINGS.MotionThreshold },
-          ...(cam.macAddress && { MACAddress: { _text: cam.macAddress } })
-        });
-
-        // Add to FLI cameras if type is FLI
-        if (streamType === 'cam-fli') {
-          fliCameraElements.push({
-            Name: { _text: streamName },
-            RTSPUrl: { _text: rtspUrl },
-            FPS: { _text: DEFAULT_CAMERA_SETTINGS.FPS },
-            Type: { _text: 'FLI' },
-            RecordRawClips: { _text: DEFAULT_CAMERA_SETTINGS.RecordRawClips },
-            Enabled: { _text: DEFAULT_CAMERA_SETTINGS.Enabled },
-            MotionThreshold: { _text: DEFAULT_CAMERA_SETTINGS.MotionThreshold },
-            ...(cam.macAddress && { MACAddress: { _text: cam.macAddress } })
-          });
-        }
-      });
-    } else {
-      // Single stream camera (bullet)
-      const ipAddress = cam.stream1?.ipAddress || cam.ipAddress || '';
-      const port = cam.stream1?.port || cam.port || '554';
-      const rtspUrl = cam.stream1?.externalUrl || buildRTSPUrl(ipAddress, port);
-
-      cameraElements.push({
-        Name: { _text: cam.name },
-        RTSPUrl: { _text: rtspUrl },
-        FPS: { _text: DEFAULT_CAMERA_SETTINGS.FPS },
-        Type: { _text: getCameraConfigType(cam.type) },
-        RecordRawClips: { _text: DEFAULT_CAMERA_SETTINGS.RecordRawClips },
-        Enabled: { _text: DEFAULT_CAMERA_SETTINGS.Enabled },
-        MotionThreshold: { _text: DEFAULT_CAMERA_SETTINGS.MotionThreshold },
-        ...(cam.macAddress && { MACAddress: { _text: cam.macAddress } })
-      });
+    getCameraHubStreams(cam, garage).forEach(stream => {
+      cameraElements.push(mergeConfigElement(
+        cameraHubFields(cam, stream, getCameraConfigType(stream.streamType)),
+        stream.rawConfig?.cameraHub
+      ));
 
       // Add to FLI cameras if type is FLI
-      if (cam.type === 'cam-fli') {
-        fliCameraElements.push({
-          Name: { _text: cam.name },
-          RTSPUrl: { _text: rtspUrl },
-          FPS: { _text: DEFAULT_CAMERA_SETTINGS.FPS },
-          Type: { _text: 'FLI' },
-          RecordRawClips: { _text: DEFAULT_CAMERA_SETTINGS.RecordRawClips },
-          Enabled: { _text: DEFAULT_CAMERA_SETTINGS.Enabled },
-          MotionThreshold: { _text: DEFAULT_CAMERA_SETTINGS.MotionThreshold },
-          ...(cam.macAddress && { MACAddress: { _text: cam.macAddress } })
-        });
+      if (stream.streamType === 'cam-fli') {
+        fliCameraElements.push(mergeConfigElement(
+          cameraHubFields(cam, stream, 'FLI'),
+          stream.rawConfig?.cameraHubFli
+        ));
       }
-    }
+    });
   });
 
   const config = {
@@ -253,6 +303,13 @@ export const parseCameraHubConfig = (xmlContent) => {
     // Parse Cameras section - support both CameraHubConfig and CameraHub root elements
     const root = result?.CameraHubConfig || result?.CameraHub;
     const camerasSection = root?.Cameras?.Camera;
+
+    // FLI entries are matched to their camera by name and kept for the round-trip
+    const fliSection = root?.FLICameras?.CameraConfig;
+    const fliByName = new Map(
+      (Array.isArray(fliSection) ? fliSection : fliSection ? [fliSection] : [])
+        .map(entry => [getTextContent(entry.Name), entry])
+    );
     if (camerasSection) {
       const cameraArray = Array.isArray(camerasSection) ? camerasSection : [camerasSection];
       cameraArray.forEach(cam => {
@@ -264,7 +321,7 @@ export const parseCameraHubConfig = (xmlContent) => {
         const ipAddress = extractIPFromRTSP(rtspUrl);
         const port = extractPortFromRTSP(rtspUrl);
 
-        cameras.push({
+        const camera = {
           id: Date.now() + Math.random(),
           name,
           type: type === 'FLI' ? 'cam-fli' : type === 'LPR' ? 'cam-lpr' : 'cam-people',
@@ -283,7 +340,14 @@ export const parseCameraHubConfig = (xmlContent) => {
           },
           // No x,y coordinates - device is pending placement on canvas
           pendingPlacement: true
-        });
+        };
+
+        const [stream] = getCameraHubStreams(camera, null);
+        let imported = withRawConfig(camera, 'cameraHub', cam, cameraHubFields(camera, stream, getCameraConfigType(stream.streamType)));
+        if (fliByName.has(name)) {
+          imported = withRawConfig(imported, 'cameraHubFli', fliByName.get(name), cameraHubFields(camera, stream, 'FLI'));
+        }
+        cameras.push(imported);
       });
     }
 
@@ -297,74 +361,144 @@ export const parseCameraHubConfig = (xmlContent) => {
 // ========================= DEVICES CONFIG =========================
 
 /**
- * Generate DevicesConfig.xml content
- * For dual-lens cameras, generates separate entries for each stream
+ * DevicesConfig <Device> fields for a device, one set per configured stream of a
+ * dual-lens camera. Optional fields are undefined when not written.
  */
-export const generateDevicesConfig = (devices) => {
-  const deviceElements = [];
+const getDevicesConfigEntries = (device) => {
+  const isCamera = device.type?.startsWith('cam-');
+  const isDualLens = device.hardwareType === 'dual-lens';
 
-  devices.forEach(device => {
-    const isCamera = device.type?.startsWith('cam-');
-    const isDualLens = device.hardwareType === 'dual-lens';
+  if (isCamera && isDualLens) {
+    return [1, 2].map(streamNum => {
+      const stream = streamNum === 1 ? device.stream1 : device.stream2;
+      if (!stream?.ipAddress) return null; // Skip if stream not configured
+
+      return {
+        fields: {
+          Name: `${device.name}-S${streamNum}`,
+          IPAddress: stream.ipAddress || '',
+          Port: stream.port || '554',
+          Type: 'CAMERA',
+          MACAddress: device.macAddress || undefined
+        },
+        raw: stream.rawConfig?.devicesConfig
+      };
+    }).filter(Boolean);
+  }
 
-    if (isCamera && isDualLens) {
-      // Generate entries for both streams
-      [1, 2].forEach(streamNum => {
-        const stream = streamNum === 1 ? device.stream1 : device.stream2;
-        if (!stream?.ipAddress) return; // Skip if stream not configured
-
-        const ipAddress = stream.ipAddress || '';
-        const port = stream.port || '554';
-        const streamName = `${device.name}-S${streamNum}`;
-
-        deviceElements.push({
-          Name: { _text: streamName },
-          IPAddress: { _text: ipAddress },
-          Port: { _text: port },
-          Type: { _text: 'CAMERA' },
-          ...(device.macAddress && { MACAddress: { _text: device.macAddress } })
-        });
-      });
-    } else {
-      // Single stream camera or non-camera device
-      const ipAddress = device.stream1?.ipAddress || device.ipAddress || '';
-      const port = device.stream1?.port || device.port || (device.type?.startsWith('sign-') ? '10001' : '554');
-      const configType = getDeviceConfigType(device.type, device);
-
-      const deviceElement = {
-        Name: { _text: device.name },
-        IPAddress: { _text: ipAddress },
-        Port: { _text: port },
-        Type: { _text: configType }
+  if (isSensorGroup(device)) return getSensorGroupEntries(device);
+
+  // Single stream camera or non-camera device
+  const isSensor = device.type?.startsWith('sensor-');
+  const isNwave = device.type === 'sensor-nwave' || device.sensorGroup === 'sensor-nwave';
+  return [{
+    fields: {
+      Name: device.name,
+      IPAddress: device.stream1?.ipAddress || device.ipAddress || '',
+      Port: device.stream1?.port || device.port || (device.type?.startsWith('sign-') ? '10001' : '554'),
+      Type: getDeviceConfigType(device.type, device),
+      // MAC Address for cameras and signs
+      MACAddress: (isCamera || device.type?.startsWith('sign-')) && device.macAddress ? device.macAddress : undefined,
+      // Sensor-specific fields
+      SensorID: isSensor && device.sensorId ? device.sensorId : undefined,
+      SerialAddress: isSensor && device.serialAddress ? device.serialAddress : undefined,
+      ParkingType: isSensor && device.parkingType ? device.parkingType.toUpperCase() : undefined,
+      TempParkingTimeMinutes: isSensor && device.tempParkingTimeMinutes ? device.tempParkingTimeMinutes : undefined,
+      // For NWAVE, controllerKey is the API Key
+      ControllerKey: isSensor && isNwave && device.controllerKey ? device.controllerKey : undefined
+    },
+    raw: device.rawConfig?.devicesConfig
+  }];
+};
+
+/**
+ * Name of a group member in DevicesConfig; members without a name are named
+ * after their controller.
+ */
+const getGroupSensorConfigName = (device, sensor, index) => (
+  sensor.sensorName || `${device.name}-${sensor.sensorId || index + 1}`
+);
+
+/**
+ * DevicesConfig entries of a sensor group: the controller, then every member
+ * sensor. Members carry their own rawConfig so imported elements round-trip.
+ */
+const getSensorGroupEntries = (device) => [
+  {
+    fields: {
+      Name: device.name,
+      IPAddress: device.controllerAddress || device.ipAddress || '',
+      Port: device.port || undefined,
+      Type: 'SENSORCONTROLLER',
+      SensorProtocol: SENSOR_GROUP_PROTOCOLS[device.type],
+      SerialAddress: device.serialAddress || undefined,
+      ControllerKey: device.controllerKey || undefined
+    },
+    raw: device.rawConfig?.devicesConfig
+  },
+  ...device.sensors.map((sensor, index) => ({
+    fields: {
+      Name: getGroupSensorConfigName(device, sensor, index),
+      Type: 'SENSOR',
+      Controller: device.name,
+      SensorID: sensor.sensorId || undefined,
+      ParkingType: sensor.parkingType ? getParkingKind(sensor.parkingType).toUpperCase() : undefined,
+      TempParkingTimeMinutes: sensor.tempParkingTimeInMinutes ?? undefined
+    },
+    raw: sensor.rawConfig?.devicesConfig
+  }))
+];
+
+/**
+ * Sensor group device for a SENSORCONTROLLER element and its member elements.
+ */
+const parseSensorGroup = (controller, members) => {
+  const name = getTextContent(controller.Name);
+  const protocol = getTextContent(controller.SensorProtocol).toUpperCase();
+  const type = Object.keys(SENSOR_GROUP_PROTOCOLS).find(key => SENSOR_GROUP_PROTOCOLS[key] === protocol) || 'sensor-nwave';
+
+  const device = {
+    id: Date.now() + Math.random(),
+    name,
+    type,
+    sensorGroup: type,
+    groupId: name.replace(/^SensorGroup-/, ''),
+    controllerAddress: getTextContent(controller.IPAddress),
+    port: getTextContent(controller.Port),
+    serialAddress: getTextContent(controller.SerialAddress),
+    controllerKey: getTextContent(controller.ControllerKey),
+    sensorCount: members.length,
+    sensors: members.map(member => {
+      const tempParkingTime = getTextContent(member.TempParkingTimeMinutes);
+      return {
+        sensorName: getTextContent(member.Name),
+        sensorId: getTextContent(member.SensorID),
+        parkingType: getTextContent(member.ParkingType).toLowerCase(),
+        tempParkingTimeInMinutes: tempParkingTime === '' ? null : Number(tempParkingTime)
       };
+    }),
+    // No x,y coordinates - device is pending placement on canvas
+    pendingPlacement: true
+  };
 
-      // Add MAC Address for cameras and signs
-      if ((device.type?.startsWith('cam-') || device.type?.startsWith('sign-')) && device.macAddress) {
-        deviceElement.MACAddress = { _text: device.macAddress };
-      }
+  const [controllerEntry, ...memberEntries] = getSensorGroupEntries(device);
+  return withRawConfig({
+    ...device,
+    sensors: device.sensors.map((sensor, i) => withRawConfig(sensor, 'devicesConfig', members[i], memberEntries[i].fields))
+  }, 'devicesConfig', controller, controllerEntry.fields);
+};
 
-      // Add sensor-specific fields
-      if (device.type?.startsWith('sensor-')) {
-        if (device.sensorId) {
-          deviceElement.SensorID = { _text: device.sensorId };
-        }
-        if (device.serialAddress) {
-          deviceElement.SerialAddress = { _text: device.serialAddress };
-        }
-        if (device.parkingType) {
-          deviceElement.ParkingType = { _text: device.parkingType.toUpperCase() };
-        }
-        if (device.tempParkingTimeMinutes) {
-          deviceElement.TempParkingTimeMinutes = { _text: device.tempParkingTimeMinutes };
-        }
-        // For NWAVE, controllerKey is the API Key
-        if (device.controllerKey && (device.type === 'sensor-nwave' || device.sensorGroup === 'sensor-nwave')) {
-          deviceElement.ControllerKey = { _text: device.controllerKey };
-        }
-      }
+/**
+ * Generate DevicesConfig.xml content
+ * For dual-lens cameras, generates separate entries for each stream
+ */
+export const generateDevicesConfig = (devices) => {
+  const deviceElements = [];
 
-      deviceElements.push(deviceElement);
-    }
+  devices.forEach(device => {
+    getDevicesConfigEntries(device).forEach(({ fields, raw }) => {
+      deviceElements.push(mergeConfigElement(fields, raw));
+    });
   });
 
   const config = {
@@ -388,7 +522,26 @@ export const parseDevicesConfig = (xmlContent) => {
     const devicesSection = result?.Devices?.Device;
     if (devicesSection) {
       const deviceArray = Array.isArray(devicesSection) ? devicesSection : [devicesSection];
+
+      // Sensors linked to a controller in the file become members of its group
+      const controllerNames = new Set(deviceArray
+        .filter(dev => getTextContent(dev.Type) === 'SENSORCONTROLLER')
+        .map(dev => getTextContent(dev.Name)));
+      const membersOf = (name) => deviceArray.filter(dev => (
+        getTextContent(dev.Type) === 'SENSOR' && getTextContent(dev.Controller) === name
+      ));
+
       deviceArray.forEach(dev => {
+        const linkedController = getTextContent(dev.Controller);
+        if (getTextContent(dev.Type) === 'SENSOR' && controllerNames.has(linkedController)) return;
+        if (getTextContent(dev.Type) === 'SENSORCONTROLLER') {
+          const members = membersOf(getTextContent(dev.Name));
+          if (getTextContent(dev.SensorProtocol) || members.length > 0) {
+            devices.push(parseSensorGroup(dev, members));
+            return;
+          }
+        }
+
         const name = getTextContent(dev.Name);
         const ipAddress = getTextContent(dev.IPAddress);
         const port = getTextContent(dev.Port);
@@ -415,7 +568,7 @@ export const parseDevicesConfig = (xmlContent) => {
         const controllerKey = getTextContent(dev.ControllerKey);
         const macAddress = getTextContent(dev.MACAddress);
 
-        devices.push({
+        const device = {
           id: Date.now() + Math.random(),
           name,
           type: deviceType,
@@ -437,7 +590,10 @@ export const parseDevicesConfig = (xmlContent) => {
           },
           // No x,y coordinates - device is pending placement on canvas
           pendingPlacement: true
-        });
+        };
+
+        const [entry] = getDevicesConfigEntries(device);
+        devices.push(withRawConfig(device, 'devicesConfig', dev, entry.fields));
       });
     }
 
@@ -450,12 +606,69 @@ export const parseDevicesConfig = (xmlContent) => {
 
 // ========================= FLI CAMERA CONFIG =========================
 
+// FLI settings are stored per camera as `device.fliConfig` (or `streamN.fliConfig`
+// for each stream of a dual-lens camera), shaped like DEFAULT_FLI_CONFIG. Only the
+// stored values override the defaults, so partial settings are fine.
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const mergeSettings = (base, overrides) => {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base?.[key]) ? mergeSettings(base[key], value) : value;
+  });
+  return merged;
+};
+
+// Plain settings object -> compact xml-js elements ("_attributes" passes through)
+const settingsToXml = (value) => {
+  if (Array.isArray(value)) return value.map(settingsToXml);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, child]) => [key, key.startsWith('_') ? child : settingsToXml(child)])
+    );
+  }
+  return { _text: value };
+};
+
+const parseSettingValue = (text) => {
+  if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+  if (text !== '' && !Number.isNaN(Number(text))) return Number(text);
+  return text;
+};
+
+// Compact xml-js element -> plain settings object with typed values
+const xmlToSettings = (element) => {
+  if (Array.isArray(element)) return element.map(xmlToSettings);
+  if (!isPlainObject(element)) return element;
+  const keys = Object.keys(element).filter(key => key !== '_comment');
+  if ('_text' in element && keys.every(key => key === '_text' || key === '_attributes')) {
+    return parseSettingValue(String(element._text));
+  }
+  return Object.fromEntries(
+    keys.map(key => [key, key === '_attributes' ? element[key] : xmlToSettings(element[key])])
+  );
+};
+
+/**
+ * Effective FLI plugin settings for a camera, or for one stream of a dual-lens camera.
+ * @param {Object} camera
+ * @param {number} [streamNum] - 1 or 2 for dual-lens streams
+ */
+export const getFliSettings = (camera, streamNum = null) => {
+  const stored = camera?.hardwareType === 'dual-lens' && streamNum
+    ? camera[`stream${streamNum}`]?.fliConfig
+    : camera?.fliConfig;
+  return mergeSettings(DEFAULT_FLI_CONFIG, stored);
+};
+
 /**
  * Generate individual FLI camera config XML
  * @param {Object} camera - Camera object
  * @param {string} [overrideName] - Optional name override for dual-lens stream naming
+ * @param {number} [streamNum] - Dual-lens stream whose FLI settings to use
  */
-export const generateFLICameraConfig = (camera, overrideName = null) => {
+export const generateFLICameraConfig = (camera, overrideName = null, streamNum = null) => {
   const config = {
     _declaration: { _attributes: { version: '1.0', encoding: 'utf-8' } },
     PluginConfig: {
@@ -464,62 +677,67 @@ export const generateFLICameraConfig = (camera, overrideName = null) => {
         'xmlns:xsd': 'http://www.w3.org/2001/XMLSchema'
       },
       CameraName: { _text: overrideName || camera.name },
-      EnhancedVisuals: { _text: DEFAULT_FLI_CONFIG.EnhancedVisuals },
-      ResizeWidth: { _text: DEFAULT_FLI_CONFIG.ResizeWidth },
-      FLIConfig: {
-        DetectionInterval: { _text: DEFAULT_FLI_CONFIG.FLIConfig.DetectionInterval },
-        ConfidenceThreshold: { _text: DEFAULT_FLI_CONFIG.FLIConfig.ConfidenceThreshold },
-        Frame: {
-          Width: { _text: DEFAULT_FLI_CONFIG.FLIConfig.Frame.Width },
-          Height: { _text: DEFAULT_FLI_CONFIG.FLIConfig.Frame.Height }
-        },
-        ReportFLI: { _text: DEFAULT_FLI_CONFIG.FLIConfig.ReportFLI },
-        ROI: {
-          Location: {
-            X: { _text: DEFAULT_FLI_CONFIG.FLIConfig.ROI.Location.X },
-            Y: { _text: DEFAULT_FLI_CONFIG.FLIConfig.ROI.Location.Y }
-          },
-          Size: {
-            Width: { _text: DEFAULT_FLI_CONFIG.FLIConfig.ROI.Size.Width },
-            Height: { _text: DEFAULT_FLI_CONFIG.FLIConfig.ROI.Size.Height }
-          },
-          X: { _text: DEFAULT_FLI_CONFIG.FLIConfig.ROI.X },
-          Y: { _text: DEFAULT_FLI_CONFIG.FLIConfig.ROI.Y },
-          Width: { _text: DEFAULT_FLI_CONFIG.FLIConfig.ROI.Width },
-          Height: { _text: DEFAULT_FLI_CONFIG.FLIConfig.ROI.Height }
-        },
-        MotionDetectionSensitivity: { _text: DEFAULT_FLI_CONFIG.FLIConfig.MotionDetectionSensitivity },
-        ROEs: {},
-        CountLineUp: {
-          X1: { _text: DEFAULT_FLI_CONFIG.FLIConfig.CountLineUp.X1 },
-          Y1: { _text: DEFAULT_FLI_CONFIG.FLIConfig.CountLineUp.Y1 },
-          X2: { _text: DEFAULT_FLI_CONFIG.FLIConfig.CountLineUp.X2 },
-          Y2: { _text: DEFAULT_FLI_CONFIG.FLIConfig.CountLineUp.Y2 }
-        },
-        CountLineDown: {
-          X1: { _text: DEFAULT_FLI_CONFIG.FLIConfig.CountLineDown.X1 },
-          Y1: { _text: DEFAULT_FLI_CONFIG.FLIConfig.CountLineDown.Y1 },
-          X2: { _text: DEFAULT_FLI_CONFIG.FLIConfig.CountLineDown.X2 },
-          Y2: { _text: DEFAULT_FLI_CONFIG.FLIConfig.CountLineDown.Y2 }
-        },
-        LargeBoundingBoxMaxWidth: { _text: DEFAULT_FLI_CONFIG.FLIConfig.LargeBoundingBoxMaxWidth },
-        LargeBoundingBoxMaxHeight: { _text: DEFAULT_FLI_CONFIG.FLIConfig.LargeBoundingBoxMaxHeight },
-        MaximumAllowedCountedDistance: { _text: DEFAULT_FLI_CONFIG.FLIConfig.MaximumAllowedCountedDistance },
-        MinimumSameObjectOverlap: { _text: DEFAULT_FLI_CONFIG.FLIConfig.MinimumSameObjectOverlap },
-        RecordCountFrames: { _text: DEFAULT_FLI_CONFIG.FLIConfig.RecordCountFrames },
-        RecordLowConfidenceFrames: { _text: DEFAULT_FLI_CONFIG.FLIConfig.RecordLowConfidenceFrames },
-        DetectionBoxScale: { _text: DEFAULT_FLI_CONFIG.FLIConfig.DetectionBoxScale },
-        FramesReceivedTimeoutMs: { _text: DEFAULT_FLI_CONFIG.FLIConfig.FramesReceivedTimeoutMs },
-        AllowTurnarounds: { _text: DEFAULT_FLI_CONFIG.FLIConfig.AllowTurnarounds },
-        PersistDetections: { _text: DEFAULT_FLI_CONFIG.FLIConfig.PersistDetections },
-        MaxAllowedBoxJump: { _text: DEFAULT_FLI_CONFIG.FLIConfig.MaxAllowedBoxJump }
-      }
+      ...settingsToXml(getFliSettings(camera, streamNum))
     }
   };
 
   return js2xml(config, XML_OPTIONS);
 };
 
+/**
+ * Parse an FLI plugin config (C:\Ensight\FLI\Config\{CameraName}.xml)
+ * @returns {{ cameraName: string, settings: Object } | null} settings shaped like DEFAULT_FLI_CONFIG
+ */
+export const parseFLICameraConfig = (xmlContent) => {
+  try {
+    const root = xml2js(xmlContent, XML_PARSE_OPTIONS)?.PluginConfig;
+    if (!root) return null;
+    const { _attributes, _comment, CameraName, ...settings } = root;
+    return {
+      cameraName: getTextContent(CameraName),
+      settings: xmlToSettings(settings)
+    };
+  } catch (error) {
+    console.error('Error parsing FLI config:', error);
+    return null;
+  }
+};
+
+/**
+ * Apply parsed FLI configs to the cameras they belong to, matched by camera name
+ * ({Name}-S1/-S2 for the streams of a dual-lens camera).
+ * @param {Array} devices
+ * @param {Array<{ cameraName: string, settings: Object }>} fliConfigs - From parseFLICameraConfig
+ * @returns {{ devices: Array, matched: string[], unmatched: string[] }}
+ */
+export const applyFliConfigsToDevices = (devices, fliConfigs) => {
+  const byName = new Map(fliConfigs.map(c => [c.cameraName, c.settings]));
+  const matched = new Set();
+
+  const updated = devices.map(device => {
+    if (!device.type?.startsWith('cam-')) return device;
+    if (device.hardwareType !== 'dual-lens') {
+      if (!byName.has(device.name)) return device;
+      matched.add(device.name);
+      return { ...device, fliConfig: byName.get(device.name) };
+    }
+    const next = { ...device };
+    [1, 2].forEach(streamNum => {
+      const streamName = `${device.name}-S${streamNum}`;
+      if (!byName.has(streamName)) return;
+      matched.add(streamName);
+      next[`stream${streamNum}`] = { ...device[`stream${streamNum}`], fliConfig: byName.get(streamName) };
+    });
+    return next;
+  });
+
+  return {
+    devices: updated,
+    matched: [...matched],
+    unmatched: fliConfigs.map(c => c.cameraName).filter(name => !matched.has(name))
+  };
+};
+
 // ========================= FILE OPERATIONS =========================
 
 /**
@@ -551,66 +769,184 @@ export const readFileAsText = (file) => {
 
 // ========================= EXPORT ALL CONFIGS =========================
 
+/** Bundle folders, mirroring the install locations under C:\ */
+export const CONFIG_BUNDLE_DIRS = Object.freeze({
+  cameraHub: 'Ensight/CameraHub',
+  epic: 'Ensight/EPIC/Config',
+  fli: 'Ensight/FLI/Config'
+});
+
+const UNASSIGNED_SERVER_FOLDER = 'Unassigned';
+
+// Characters Windows does not allow in file or folder names
+export const sanitizeFileName = (name) => String(name || '').replace(/[\\/:*?"<>|]/g, '_').trim() || 'Unnamed';
+
+const toInstallPath = (bundlePath) => `C:\\${bundlePath.split('/').join('\\')}`;
+
 /**
- * Export all device configs as a ZIP-like bundle (downloads each file)
- * Handles dual-lens cameras by generating separate configs for each FLI stream
+ * FLI configs a camera needs: one per FLI stream of a dual-lens camera
+ * (configured streams only), or one for a single-lens FLI camera.
+ * @returns {Array<{ name: string, overrideName: string|null, streamNum: number|null }>}
  */
-export const exportAllConfigs = (allDevices) => {
+export const getFliConfigNames = (camera) => {
+  if (camera.hardwareType === 'dual-lens') {
+    return [1, 2]
+      .filter(streamNum => {
+        const stream = streamNum === 1 ? camera.stream1 : camera.stream2;
+        return (stream?.streamType || camera.type) === 'cam-fli' && stream?.ipAddress;
+      })
+      .map(streamNum => ({ name: `${camera.name}-S${streamNum}`, overrideName: `${camera.name}-S${streamNum}`, streamNum }));
+  }
+  return camera.type === 'cam-fli' ? [{ name: camera.name, overrideName: null, streamNum: null }] : [];
+};
+
+/**
+ * Build every config file for a set of devices as `{ path, content, type, devices }`
+ * entries, with `path` relative to the bundle root.
+ *
+ * Without `splitByServer` the bundle mirrors a single install:
+ *   Ensight/CameraHub/camerahub-config.xml
+ *   Ensight/EPIC/Config/DevicesConfig.xml
+ *   Ensight/FLI/Config/{CameraName}.xml
+ *
+ * With `splitByServer` each recording server gets its own folder holding only its
+ * cameras' CameraHub and FLI configs ({ServerName}/Ensight/...), cameras without a
+ * server go under Unassigned/, and DevicesConfig.xml stays site-wide at the root.
+ *
+ * A file whose path is already taken (two cameras whose FLI names only differ
+ * in case or in characters Windows does not allow) is left out and reported in
+ * `warnings`; FLI reads its config by camera name, so a renamed file would not
+ * be picked up.
+ *
+ * @param {Array} allDevices - Devices to export
+ * @param {Object} garage - Owning garage, supplies servers and camera credentials
+ * @param {Object} [options]
+ * @param {boolean} [options.splitByServer=false]
+ * @returns {{ files: Array<Object>, warnings: string[] }}
+ */
+export const buildConfigBundle = (allDevices, garage = null, { splitByServer = false } = {}) => {
+  const files = [];
+  const warnings = [];
+  const pathOwners = new Map();
+
+  const addFile = (folder, fileName, content, type, devices, extra = {}) => {
+    const path = `${folder}/${sanitizeFileName(fileName.replace(/\.xml$/i, ''))}.xml`;
+    const owner = pathOwners.get(path.toLowerCase());
+    if (owner) {
+      warnings.push(`${path} for ${devices.join(', ')} was not written: ${owner.join(', ')} already uses that file name`);
+      return;
+    }
+    pathOwners.set(path.toLowerCase(), devices);
+    files.push({ path, content, type, devices, ...extra });
+  };
+
   const cameras = allDevices.filter(d => d.type?.startsWith('cam-'));
-  const signs = allDevices.filter(d => d.type?.startsWith('sign-'));
-  const sensors = allDevices.filter(d => d.type?.startsWith('sensor-'));
 
-  // Generate and download CameraHub config
-  if (cameras.length > 0) {
-    const cameraHubConfig = generateCameraHubConfig(cameras);
-    downloadFile(cameraHubConfig, 'camerahub-config.xml');
+  // `serverInfo` is `{ server: name }` for a per-server folder (null name for Unassigned)
+  const addCameraFiles = (groupCameras, prefix, serverInfo = {}) => {
+    if (groupCameras.length === 0) return;
+    addFile(
+      `${prefix}${CONFIG_BUNDLE_DIRS.cameraHub}`,
+      'camerahub-config.xml',
+      generateCameraHubConfig(groupCameras, garage),
+      'cameraHub',
+      groupCameras.map(c => c.name),
+      serverInfo
+    );
+    groupCameras.forEach(camera => {
+      getFliConfigNames(camera).forEach(({ name, overrideName, streamNum }) => {
+        addFile(`${prefix}${CONFIG_BUNDLE_DIRS.fli}`, name, generateFLICameraConfig(camera, overrideName, streamNum), 'fli', [camera.name], serverInfo);
+      });
+    });
+  };
+
+  if (splitByServer) {
+    const servers = Array.isArray(garage?.servers) ? garage.servers : [];
+    const usedFolders = new Set();
+    const folderFor = (name) => {
+      let folder = sanitizeFileName(name);
+      for (let n = 2; usedFolders.has(folder.toLowerCase()); n++) folder = `${sanitizeFileName(name)} (${n})`;
+      usedFolders.add(folder.toLowerCase());
+      return folder;
+    };
+
+    servers.forEach(server => {
+      const serverCameras = cameras.filter(c => String(c.serverId) === String(server.id));
+      if (serverCameras.length > 0) addCameraFiles(serverCameras, `${folderFor(server.name)}/`, { server: server.name });
+    });
+    const unassigned = cameras.filter(c => !servers.some(s => String(s.id) === String(c.serverId)));
+    if (unassigned.length > 0) addCameraFiles(unassigned, `${folderFor(UNASSIGNED_SERVER_FOLDER)}/`, { server: null });
+  } else {
+    addCameraFiles(cameras, '');
   }
 
-  // Generate and download DevicesConfig (all devices)
-  const devicesConfig = generateDevicesConfig(allDevices);
-  downloadFile(devicesConfig, 'DevicesConfig.xml');
+  addFile(CONFIG_BUNDLE_DIRS.epic, 'DevicesConfig.xml', generateDevicesConfig(allDevices), 'devicesConfig', allDevices.map(d => d.name));
 
-  // Generate and download individual FLI camera configs
-  let fliConfigCount = 0;
-  cameras.forEach(camera => {
-    const isDualLens = camera.hardwareType === 'dual-lens';
+  return { files, warnings };
+};
 
-    if (isDualLens) {
-      // Check each stream for FLI type
-      [1, 2].forEach(streamNum => {
-        const stream = streamNum === 1 ? camera.stream1 : camera.stream2;
-        const streamType = stream?.streamType || camera.type;
-        if (streamType === 'cam-fli' && stream?.ipAddress) {
-          const streamName = `${camera.name}-S${streamNum}`;
-          const fliConfig = generateFLICameraConfig(camera, streamName);
-          downloadFile(fliConfig, `${streamName}.xml`);
-          fliConfigCount++;
-        }
-      });
-    } else if (camera.type === 'cam-fli') {
-      const fliConfig = generateFLICameraConfig(camera);
-      downloadFile(fliConfig, `${camera.name}.xml`);
-      fliConfigCount++;
-    }
-  });
+/**
+ * Manifest listing every file in a config bundle and where it is installed,
+ * plus the bundle's warnings (files left out).
+ */
+export const generateBundleManifest = (files, garage = null, { splitByServer = false, warnings = [] } = {}) => {
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    site: garage?.name || '',
+    splitByServer,
+    warnings,
+    files: files.map(f => ({
+      path: f.path,
+      // Per-server files install relative to that server's C:\\, without the server folder
+      installPath: toInstallPath(f.server !== undefined ? f.path.slice(f.path.indexOf('/') + 1) : f.path),
+      type: f.type,
+      ...(f.server !== undefined && { server: f.server }),
+      devices: f.devices
+    }))
+  };
+  return JSON.stringify(manifest, null, 2);
+};
+
+/**
+ * Export all device configs as one ZIP bundle (see buildConfigBundle for the layout)
+ * with a manifest.json listing every file.
+ * Handles dual-lens cameras by generating separate configs for each FLI stream
+ * @param {Array} allDevices - Devices to export
+ * @param {Object} garage - Owning garage, supplies servers and camera credentials
+ * @param {Object} [options]
+ * @param {boolean} [options.splitByServer=false] - One folder per recording server
+ * @param {string} [options.fileName] - ZIP file name
+ */
+export const exportAllConfigs = (allDevices, garage = null, { splitByServer = false, fileName } = {}) => {
+  const { files, warnings } = buildConfigBundle(allDevices, garage, { splitByServer });
+  const entries = Object.fromEntries(files.map(f => [f.path, strToU8(f.content)]));
+  entries['manifest.json'] = strToU8(generateBundleManifest(files, garage, { splitByServer, warnings }));
+
+  const zipName = fileName || `${sanitizeFileName(garage?.name || 'Site').replace(/\s+/g, '_')}_configs.zip`;
+  downloadFile(zipSync(entries), zipName, 'application/zip');
 
   return {
-    cameraHubConfig: cameras.length > 0,
+    cameraHubConfig: files.some(f => f.type === 'cameraHub'),
     devicesConfig: true,
-    fliConfigs: fliConfigCount
+    fliConfigs: files.filter(f => f.type === 'fli').length,
+    files: files.length,
+    fileName: zipName,
+    warnings
   };
 };
 
 /**
  * Export single device config
  * Handles dual-lens cameras by generating separate configs for each stream
+ * @param {Object} device - Device to export
+ * @param {Object} garage - Owning garage, supplies camera credentials
  */
-export const exportDeviceConfig = (device) => {
+export const exportDeviceConfig = (device, garage = null) => {
   const isDualLens = device.hardwareType === 'dual-lens';
 
   if (device.type?.startsWith('cam-')) {
     // Export camera config
-    const cameraHubConfig = generateCameraHubConfig([device]);
+    const cameraHubConfig = generateCameraHubConfig([device], garage);
     downloadFile(cameraHubConfig, `${device.name}-camerahub.xml`);
 
     // Export FLI configs
@@ -620,7 +956,7 @@ export const exportDeviceConfig = (device) => {
         const streamType = stream?.streamType || device.type;
         if (streamType === 'cam-fli' && stream?.ipAddress) {
           const streamName = `${device.name}-S${streamNum}`;
-          const fliConfig = generateFLICameraConfig(device, streamName);
+          const fliConfig = generateFLICameraConfig(device, streamName, streamNum);
           downloadFile(fliConfig, `${streamName}.xml`);
         }
       });
@@ -676,8 +1012,14 @@ export default {
   generateDevicesConfig,
   parseDevicesConfig,
   generateFLICameraConfig,
+  getFliSettings,
+  parseFLICameraConfig,
+  applyFliConfigsToDevices,
   downloadFile,
   readFileAsText,
+  getFliConfigNames,
+  buildConfigBundle,
+  generateBundleManifest,
   exportAllConfigs,
   exportDeviceConfig,
   getConfigFilePaths
@@ -0,0 +1,253 @@
+/**
+ * CoverageService - Camera coverage of a level
+ *
+ * Camera cones (the wedges drawn on MapCanvas at each lens' field of view, one
+ * per stream of a dual-lens camera) are rasterized onto a grid over the level drawing; each
+ * cell counts the cameras that see it. Coverage is measured over the level's
+ * coverage zones (drive lanes and areas drawn on the level) or, when it has
+ * none, over the whole drawing. Walls and obstructions on the level
+ * (ObstructionService) block the cones.
+ *
+ * Zones are stored on the level in drawing space:
+ *   level.coverageZones = [{ id, name, kind: 'lane' | 'area', points: [x1, y1, x2, y2, ...] }]
+ */
+
+import { DEFAULT_DRAWING_SIZE, getPixelsPerFoot } from './LayoutService';
+import { getConeFov } from './LensService';
+import { getObstructionSegments, getVisibleConePoints } from './ObstructionService';
+
+// ========================= CONSTANTS =========================
+
+export const ZONE_KINDS = Object.freeze({
+  LANE: 'lane',
+  AREA: 'area'
+});
+
+const DEFAULT_CONE_SIZE = 40;
+
+/** Cell size: 2 ft on calibrated levels, otherwise drawing pixels */
+const CELL_FEET = 2;
+const CELL_PIXELS = 8;
+
+/** Larger drawings get coarser cells to stay under this many */
+const MAX_CELLS = 250000;
+
+// ========================= HELPERS =========================
+
+const safeArray = (arr) => (Array.isArray(arr) ? arr : []);
+
+const isCameraType = (type) => type?.startsWith('cam-');
+
+/** Angle of (dx, dy) relative to `rotation`, in -180..180 degrees (screen y points down) */
+const angleFrom = (dx, dy, rotation) => {
+  const diff = (Math.atan2(dy, dx) * 180) / Math.PI - rotation;
+  return ((diff % 360) + 540) % 360 - 180;
+};
+
+/** Even-odd point-in-polygon test on a flat [x1, y1, x2, y2, ...] list */
+const pointInPolygon = (x, y, points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 2; i < points.length; j = i, i += 2) {
+    const xi = points[i];
+    const yi = points[i + 1];
+    const xj = points[j];
+    const yj = points[j + 1];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+// ========================= PUBLIC API =========================
+
+/**
+ * Cones of the placed cameras on a level: { deviceId, lens, x, y, rotation, radius, fov },
+ * where `lens` is 'stream1' / 'stream2' on dual-lens cameras (else 'lens'),
+ * `rotation` is the cone's center line and `fov` its angle, in degrees.
+ */
+export function getCameraCones(level) {
+  return safeArray(level?.devices)
+    .filter(d => isCameraType(d.type) && !d.pendingPlacement && typeof d.x === 'number' && typeof d.y === 'number')
+    .flatMap(d => {
+      if (d.hardwareType === 'dual-lens') {
+        return ['stream1', 'stream2'].map(lens => ({
+          deviceId: d.id,
+          lens,
+          x: d.x,
+          y: d.y,
+          rotation: d[lens]?.rotation ?? d.rotation ?? 0,
+          radius: d[lens]?.coneSize ?? d.coneSize ?? DEFAULT_CONE_SIZE,
+          fov: getConeFov(d, lens)
+        }));
+      }
+      return [{
+        deviceId: d.id,
+        lens: 'lens',
+        x: d.x,
+        y: d.y,
+        rotation: d.rotation || 0,
+        radius: d.coneSize ?? DEFAULT_CONE_SIZE,
+        fov: getConeFov(d)
+      }];
+    })
+    .filter(cone => cone.radius > 0);
+}
+
+/**
+ * Rasterize a level's camera cones over its drawing.
+ *
+ * @param {Object} level
+ * @param {{ width: number, height: number }} drawingSize
+ * @param {number|null} pixelsPerFoot - Level scale (null when uncalibrated)
+ * @returns {{ cellSize: number, cols: number, rows: number, counts: Uint8Array }}
+ */
+export function rasterizeCoverage(level, drawingSize, pixelsPerFoot = null) {
+  let cellSize = pixelsPerFoot ? CELL_FEET * pixelsPerFoot : CELL_PIXELS;
+  const area = drawingSize.width * drawingSize.height;
+  if (area / (cellSize * cellSize) > MAX_CELLS) cellSize = Math.sqrt(area / MAX_CELLS);
+
+  const cols = Math.max(1, Math.ceil(drawingSize.width / cellSize));
+  const rows = Math.max(1, Math.ceil(drawingSize.height / cellSize));
+  const counts = new Uint8Array(cols * rows);
+  const segments = getObstructionSegments(level);
+
+  getCameraCones(level).forEach(cone => {
+    const visible = segments.length > 0 ? getVisibleConePoints(cone, segments) : null;
+    const minCol = Math.max(0, Math.floor((cone.x - cone.radius) / cellSize));
+    const maxCol = Math.min(cols - 1, Math.floor((cone.x + cone.radius) / cellSize));
+    const minRow = Math.max(0, Math.floor((cone.y - cone.radius) / cellSize));
+    const maxRow = Math.min(rows - 1, Math.floor((cone.y + cone.radius) / cellSize));
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const dx = (col + 0.5) * cellSize - cone.x;
+        const dy = (row + 0.5) * cellSize - cone.y;
+        if (dx * dx + dy * dy > cone.radius * cone.radius) continue;
+        if (Math.abs(angleFrom(dx, dy, cone.rotation)) > cone.fov / 2) continue;
+        if (visible && !pointInPolygon(dx, dy, visible)) continue;
+        const index = row * cols + col;
+        if (counts[index] < 255) counts[index]++;
+      }
+    }
+  });
+
+  return { cellSize, cols, rows, counts };
+}
+
+/**
+ * Which cells of the grid each zone covers.
+ *
+ * @returns {Array<{ zone: Object, cells: number[] }>}
+ */
+export function getZoneCells(grid, zones) {
+  return safeArray(zones)
+    .filter(zone => safeArray(zone.points).length >= 6)
+    .map(zone => {
+      const xs = zone.points.filter((_, i) => i % 2 === 0);
+      const ys = zone.points.filter((_, i) => i % 2 === 1);
+      const minCol = Math.max(0, Math.floor(Math.min(...xs) / grid.cellSize));
+      const maxCol = Math.min(grid.cols - 1, Math.floor(Math.max(...xs) / grid.cellSize));
+      const minRow = Math.max(0, Math.floor(Math.min(...ys) / grid.cellSize));
+      const maxRow = Math.min(grid.rows - 1, Math.floor(Math.max(...ys) / grid.cellSize));
+      const cells = [];
+      for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+          if (pointInPolygon((col + 0.5) * grid.cellSize, (row + 0.5) * grid.cellSize, zone.points)) {
+            cells.push(row * grid.cols + col);
+          }
+        }
+      }
+      return { zone, cells };
+    });
+}
+
+/**
+ * Coverage report for a level.
+ *
+ * @returns {{
+ *   percent: number|null, scope: 'zones' | 'drawing',
+ *   zones: Array<{ id, name, kind, percent: number|null, blind: boolean }>,
+ *   blindCells: Set<number>
+ * }} `blindCells` are uncovered cells inside zones
+ */
+export function getCoverageReport(grid, zones) {
+  const zoneCells = getZoneCells(grid, zones);
+  const blindCells = new Set();
+  const measured = new Set();
+
+  const zoneReports = zoneCells.map(({ zone, cells }) => {
+    let covered = 0;
+    cells.forEach(index => {
+      measured.add(index);
+      if (grid.counts[index] > 0) covered++;
+      else blindCells.add(index);
+    });
+    return {
+      id: zone.id,
+      name: zone.name,
+      kind: zone.kind,
+      percent: cells.length ? (covered / cells.length) * 100 : null,
+      blind: cells.length > 0 && covered === 0
+    };
+  });
+
+  let percent = null;
+  if (zoneCells.length > 0) {
+    const covered = [...measured].filter(index => grid.counts[index] > 0).length;
+    percent = measured.size ? (covered / measured.size) * 100 : null;
+  } else {
+    const covered = grid.counts.reduce((sum, count) => sum + (count > 0 ? 1 : 0), 0);
+    percent = (covered / grid.counts.length) * 100;
+  }
+
+  return { percent, scope: zoneCells.length > 0 ? 'zones' : 'drawing', zones: zoneReports, blindCells };
+}
+
+/**
+ * Rasterize and report a level in one step. Levels without a site drawing use
+ * the default sheet. For a drawing that is not loaded (levels not shown on the
+ * canvas) only the zones can be measured, so such levels without zones return
+ * null.
+ *
+ * @returns {{ grid: Object, report: Object }|null}
+ */
+export function getLevelCoverage(level, drawingSize = null) {
+  const zones = safeArray(level?.coverageZones);
+  let size = drawingSize || (level?.bgImage ? null : DEFAULT_DRAWING_SIZE);
+  if (!size) {
+    const points = zones.flatMap(zone => safeArray(zone.points));
+    if (points.length === 0) return null;
+    size = {
+      width: Math.max(...points.filter((_, i) => i % 2 === 0)) + 1,
+      height: Math.max(...points.filter((_, i) => i % 2 === 1)) + 1
+    };
+  }
+  const grid = rasterizeCoverage(level, size, getPixelsPerFoot(level));
+  return { grid, report: getCoverageReport(grid, zones) };
+}
+
+/**
+ * Paint a grid as a heatmap (one pixel per cell) onto a canvas; MapCanvas
+ * stretches it over the drawing. Blind cells inside zones are red.
+ */
+export function paintCoverageHeatmap(canvas, grid, blindCells) {
+  canvas.width = grid.cols;
+  canvas.height = grid.rows;
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(grid.cols, grid.rows);
+  grid.counts.forEach((count, index) => {
+    const offset = index * 4;
+    if (count > 0) {
+      // One camera: green; overlapping cameras shift toward teal and get stronger
+      image.data[offset] = 34;
+      image.data[offset + 1] = Math.max(120, 197 - (count - 1) * 25);
+      image.data[offset + 2] = Math.min(220, 94 + (count - 1) * 50);
+      image.data[offset + 3] = Math.min(200, 70 + count * 40);
+    } else if (blindCells.has(index)) {
+      image.data[offset] = 239;
+      image.data[offset + 1] = 68;
+      image.data[offset + 2] = 68;
+      image.data[offset + 3] = 140;
+    }
+  });
+  context.putImageData(image, 0, 0);
+  return canvas;
+}
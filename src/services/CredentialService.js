@@ -0,0 +1,122 @@
+/**
+ * CredentialService - Camera login profiles and RTSP path templates
+ *
+ * Credentials live on the garage, never in device records:
+ *   garage.credentialProfiles       [{ id, name, username, password }]
+ *   garage.defaultCredentialProfileId
+ *   garage.rtspTemplates            [{ id, name, path }]  (custom, added to RTSP_PATH_TEMPLATES)
+ *   garage.defaultRtspTemplateId
+ *
+ * A camera may override both with `credentialProfileId` / `rtspTemplateId`.
+ * Path templates support {channel} (0-based video channel) and {stream} (1-based).
+ * The channel only advances for the second lens of a dual-lens camera whose two
+ * streams share one IP address; a lens with its own IP is channel 0.
+ */
+
+// ========================= CONSTANTS =========================
+
+export const RTSP_PATH_TEMPLATES = Object.freeze([
+  { id: 'hanwha-wisenet', name: 'Hanwha Wisenet (ONVIF profile 2)', path: '/{channel}/onvif/profile2/media.smp' },
+  { id: 'axis', name: 'Axis', path: '/axis-media/media.amp' },
+  { id: 'hikvision', name: 'Hikvision', path: '/Streaming/Channels/{stream}01' },
+  { id: 'dahua', name: 'Dahua', path: '/cam/realmonitor?channel={stream}&subtype=0' }
+]);
+
+export const DEFAULT_RTSP_TEMPLATE_ID = 'hanwha-wisenet';
+
+/** Camera override value meaning "use the garage default" */
+export const USE_GARAGE_DEFAULT = '';
+
+/** Camera override value meaning "connect without credentials" */
+export const NO_CREDENTIALS = 'none';
+
+const DEFAULT_RTSP_PORT = '554';
+const MASK = '••••••';
+
+/** `scheme://user:password@` in a URL; $1 is `scheme://user` */
+const URL_PASSWORD_PATTERN = /(\w+:\/\/[^\s/:@]+):[^\s/@]*@/g;
+
+// ========================= HELPERS =========================
+
+const safeArray = (arr) => (Array.isArray(arr) ? arr : []);
+
+const str = (val) => (val == null ? '' : String(val));
+
+// ========================= PUBLIC API =========================
+
+/**
+ * Built-in templates followed by the garage's custom ones.
+ */
+export function getRtspTemplates(garage) {
+  return [...RTSP_PATH_TEMPLATES, ...safeArray(garage?.rtspTemplates)];
+}
+
+/**
+ * Credential profile used for a camera: the camera override, else the garage default.
+ *
+ * @returns {Object|null} Profile, or null when the camera connects without credentials
+ */
+export function resolveCredentialProfile(camera, garage) {
+  const profiles = safeArray(garage?.credentialProfiles);
+  const override = camera?.credentialProfileId ?? USE_GARAGE_DEFAULT;
+  if (override === NO_CREDENTIALS) return null;
+  const id = override !== USE_GARAGE_DEFAULT ? override : garage?.defaultCredentialProfileId;
+  if (id == null || id === '') return null;
+  return profiles.find(p => String(p.id) === String(id)) || null;
+}
+
+/**
+ * RTSP path template used for a camera: the camera override, else the garage
+ * default, else DEFAULT_RTSP_TEMPLATE_ID.
+ */
+export function resolveRtspTemplate(camera, garage) {
+  const templates = getRtspTemplates(garage);
+  return (camera?.rtspTemplateId && templates.find(t => t.id === camera.rtspTemplateId))
+    || (garage?.defaultRtspTemplateId && templates.find(t => t.id === garage.defaultRtspTemplateId))
+    || templates.find(t => t.id === DEFAULT_RTSP_TEMPLATE_ID);
+}
+
+/**
+ * Build the RTSP URL for one camera stream from the resolved profile and template.
+ *
+ * @param {Object} camera
+ * @param {Object} stream - `{ ipAddress, port }`
+ * @param {number} streamNum - 1 or 2
+ * @param {Object|null} garage
+ */
+export function buildCameraRtspUrl(camera, stream, streamNum, garage) {
+  const profile = resolveCredentialProfile(camera, garage);
+  const template = resolveRtspTemplate(camera, garage);
+  const sharesIp = camera?.hardwareType === 'dual-lens'
+    && str(camera.stream1?.ipAddress) === str(camera.stream2?.ipAddress);
+  const channel = sharesIp ? streamNum - 1 : 0;
+  const path = str(template?.path)
+    .replace(/\{channel\}/g, String(channel))
+    .replace(/\{stream\}/g, String(channel + 1));
+  const normalizedPath = path.startsWith('/') ? path : `/${path}`;
+  const auth = profile?.username
+    ? `${encodeURIComponent(profile.username)}${profile.password ? `:${encodeURIComponent(profile.password)}` : ''}@`
+    : '';
+  return `rtsp://${auth}${str(stream?.ipAddress)}:${str(stream?.port) || DEFAULT_RTSP_PORT}${normalizedPath}`;
+}
+
+/**
+ * Hide the password in any `scheme://user:password@` URLs inside `text`.
+ */
+export function maskCredentials(text) {
+  return str(text).replace(URL_PASSWORD_PATTERN, `$1:${MASK}@`);
+}
+
+/**
+ * Remove the password from any `scheme://user:password@` URLs inside `text`, keeping the user name.
+ */
+export function stripPasswords(text) {
+  return str(text).replace(URL_PASSWORD_PATTERN, '$1@');
+}
+
+/**
+ * Remove `user:password@` from any URLs inside `text`, for output that leaves the building.
+ */
+export function stripCredentials(text) {
+  return str(text).replace(/(\w+:\/\/)[^\s/@]+@/g, '$1');
+}
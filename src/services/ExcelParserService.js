@@ -6,9 +6,16 @@
  *   Garages, GarageLevels, DisplayGroups, DisplayControllers,
  *   DisplayLevels, DisplaySchedules, Cameras, FLICameras,
  *   SensorGroups, Sensors
+ *
+ * The same workbook can be written back with the app's edits (see WORKBOOK EXPORT).
  */
 
 import * as XLSX from 'xlsx';
+import { downloadFile } from './ConfigService';
+import { SEVERITY, countProblems } from './ValidationService';
+import { getSensorSpotCounts } from './SensorService';
+import { stripCredentials } from './CredentialService';
+import { parseScheduleDays, parseScheduleTime, formatScheduleDays, formatScheduleTime } from './ScheduleService';
 
 // ========================= SECURITY CONSTANTS =========================
 
@@ -51,6 +58,16 @@ function sheetToObjects(workbook, sheetName) {
   return rows;
 }
 
+/**
+ * Header row of a sheet, in column order.
+ */
+function sheetColumns(workbook, sheetName) {
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet) return [];
+  const [header = []] = XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: false });
+  return header.map((col) => (col == null ? '' : String(col).trim())).filter(Boolean);
+}
+
 const str = (val) => (val == null ? '' : String(val).trim());
 /** Sanitized string for values that will be displayed in UI */
 const safeStr = (val) => sanitizeForDisplay(str(val));
@@ -70,13 +87,334 @@ function genId() {
   return nextId++;
 }
 
+// ========================= WORKBOOK ROWS =========================
+
+/*
+ * Imported garages, levels, devices and sensors keep the rows they came from so
+ * the workbook can be written back without losing columns the app does not model:
+ *
+ *   entity.rawWorkbook[tab] = { row, fields }
+ *
+ * `fields` are the column values the app would have written right after import.
+ * On export a column is only rewritten when the entity's value differs from that
+ * snapshot; every other column is copied from `row` as it was read. Each garage
+ * also keeps the workbook's tab order, column order and the rows of tabs the app
+ * does not model:
+ *
+ *   garage.workbookLayout = { sheetNames, columns: { [tab]: [...] }, rows: { [tab]: [...] } }
+ */
+
+const WORKBOOK_TABS = Object.freeze([
+  'Garages', 'GarageLevels', 'DisplayGroups', 'DisplayControllers', 'DisplayLevels',
+  'DisplaySchedules', 'Cameras', 'FLICameras', 'SensorGroups', 'Sensors',
+]);
+
+/** Column layout for tabs the imported workbook did not have */
+const DEFAULT_COLUMNS = Object.freeze({
+  Garages: ['Garage', 'VisibleGarageName', 'Stage', 'Address', 'City', 'State', 'Zip'],
+  GarageLevels: [
+    'Garage', 'Level', 'VisibleLevelName', 'Server', 'LevelType', 'VisibleOnPortal', 'MaximumOccupancy',
+    'AutoResetCountsEnabled', 'AutoResetCountValue', 'AutoResetCountTime', 'ForceFullVacancyThreshold',
+    'VehicleTransitThreshold', 'VehicleTransitThresholdTTLSeconds', 'ShowFullMessage', 'ShowFullMessageRed',
+    'PortalDisplayOrdinal', 'SignDisplayOrdinal', 'PortalRendering', 'VehicleRolesAllowed',
+  ],
+  DisplayGroups: ['DisplayGroupName'],
+  DisplayControllers: [
+    'DisplayName', 'VisibleDisplayName', 'DisplayControllerName', 'DisplayProtocol', 'IPAddress', 'Port',
+    'SerialAddress', 'DisplayMap', 'DisplayGroupName', 'Server', 'InsertHardwareType', 'KeepLevelCountsSeparate',
+  ],
+  DisplayLevels: ['Garage', 'Level', 'DisplayName', 'PositionName', 'LevelName'],
+  DisplaySchedules: ['DisplayName', 'DisplayGroupName', 'DayOfWeek', 'StartTime', 'EndTime', 'State'],
+  Cameras: ['Name', 'VisibleCameraName', 'DetectionType', 'IPAddress', 'Port', 'RTSPURL', 'Resolution', 'Server', 'Status'],
+  FLICameras: ['Garage', 'Level', 'CameraName', 'BackOfCarIs', 'IsEntryExitCamera', 'DependentCameraName'],
+  SensorGroups: ['Garage', 'Level', 'GroupID', 'SensorProtocol', 'ControllerAddress', 'ControllerKey', 'ParentLevel'],
+  Sensors: ['SensorGroupID', 'SensorName', 'SensorId', 'ParkingType', 'TempParkingTimeInMinutes'],
+});
+
+const DETECTION_TYPES = Object.freeze({ 'cam-fli': 'FLI', 'cam-lpr': 'LPR', 'cam-people': 'PeopleCounting' });
+const DISPLAY_PROTOCOLS = Object.freeze({ 'sign-led': 'LED', 'sign-designable': 'DESIGNABLE', 'sign-static': 'STATIC' });
+const SENSOR_PROTOCOLS = Object.freeze({
+  'sensor-nwave': 'NWave',
+  'sensor-parksol': 'ParkSol',
+  'sensor-proco': 'Proco',
+  'sensor-ensight': 'Ensight',
+});
+
+const serverName = (device, ctx) => (
+  (ctx.servers || []).find((s) => String(s.id) === String(device.serverId))?.name || device.server
+);
+
+/**
+ * Column values the app writes for an entity, per tab. `ctx` carries the owning
+ * garage/level names, the garage's servers and, for sensors, the group ID.
+ */
+const WORKBOOK_COLUMNS = {
+  Garages: (garage) => ({
+    Garage: garage.internalName || garage.name,
+    VisibleGarageName: garage.name,
+    Stage: garage.stage,
+    Address: garage.address,
+    City: garage.city,
+    State: garage.state,
+    Zip: garage.zip,
+    ZipCode: garage.zip,
+  }),
+  GarageLevels: (level, ctx) => {
+    const config = level.config || {};
+    return {
+      Garage: ctx.garageName,
+      Level: level.internalName || level.name,
+      VisibleLevelName: level.name,
+      Server: config.server,
+      LevelType: config.levelType,
+      VisibleOnPortal: config.visibleOnPortal,
+      MaximumOccupancy: level.totalSpots,
+      AutoResetCountsEnabled: config.autoResetCountsEnabled,
+      AutoResetCountValue: config.autoResetCountValue,
+      AutoResetCountTime: config.autoResetCountTime,
+      ForceFullVacancyThreshold: config.forceFullVacancyThreshold,
+      VehicleTransitThreshold: config.vehicleTransitThreshold,
+      VehicleTransitThresholdTTLSeconds: config.vehicleTransitThresholdTTLSeconds,
+      ShowFullMessage: config.showFullMessage,
+      ShowFullMessageRed: config.showFullMessageRed,
+      PortalDisplayOrdinal: config.portalDisplayOrdinal,
+      SignDisplayOrdinal: config.signDisplayOrdinal,
+      PortalRendering: config.portalRendering,
+      VehicleRolesAllowed: config.vehicleRolesAllowed,
+    };
+  },
+  Cameras: (camera, ctx) => ({
+    Name: camera.name,
+    VisibleCameraName: camera.visibleName,
+    DetectionType: DETECTION_TYPES[camera.type],
+    IPAddress: camera.stream1?.ipAddress || camera.ipAddress,
+    Port: camera.stream1?.port || camera.port,
+    // The Inspector edits a single-lens camera's URL on the camera itself
+    RTSPURL: camera.externalUrl || camera.stream1?.externalUrl,
+    Resolution: camera.resolution,
+    Server: serverName(camera, ctx),
+    Status: camera.status,
+  }),
+  FLICameras: (camera, ctx) => ({
+    Garage: ctx.garageName,
+    Level: ctx.levelName,
+    CameraName: camera.name,
+    BackOfCarIs: camera.backOfCarIs,
+    IsEntryExitCamera: camera.isEntryExitCamera,
+    DependentCameraName: camera.dependentCameraName,
+  }),
+  DisplayControllers: (sign, ctx) => ({
+    DisplayName: sign.name,
+    VisibleDisplayName: sign.visibleName,
+    DisplayControllerName: sign.controllerName,
+    DisplayProtocol: DISPLAY_PROTOCOLS[sign.type],
+    IPAddress: sign.ipAddress,
+    Port: sign.port,
+    SerialAddress: sign.serialAddress,
+    DisplayMap: sign.displayMap,
+    DisplayGroupName: sign.displayGroupName,
+    Server: serverName(sign, ctx),
+    InsertHardwareType: sign.hardwareType,
+    KeepLevelCountsSeparate: sign.keepLevelCountsSeparate,
+  }),
+  DisplayGroups: (group) => ({
+    DisplayGroupName: group.name,
+  }),
+  // Schedule entries of one display (ctx.displayName) or of a display group (ctx.groupName)
+  DisplaySchedules: (entry, ctx) => ({
+    DisplayName: ctx.displayName,
+    DisplayGroupName: ctx.groupName,
+    DayOfWeek: formatScheduleDays(entry.days),
+    StartTime: formatScheduleTime(entry.start),
+    EndTime: formatScheduleTime(entry.end),
+    State: entry.state,
+  }),
+  DisplayLevels: (sign, ctx) => ({
+    Garage: ctx.garageName,
+    Level: ctx.levelName,
+    DisplayName: sign.name,
+    PositionName: sign.positionName,
+    LevelName: sign.levelDisplayName,
+  }),
+  SensorGroups: (group, ctx) => ({
+    Garage: ctx.garageName,
+    Level: ctx.levelName,
+    GroupID: ctx.groupId,
+    SensorProtocol: SENSOR_PROTOCOLS[group.type],
+    ControllerAddress: group.controllerAddress,
+    ControllerKey: group.controllerKey,
+    ParentLevel: group.parentLevel,
+  }),
+  // Group members ({ sensorName, ... }) and individually added sensor devices
+  Sensors: (sensor, ctx) => ({
+    SensorGroupID: ctx.groupId,
+    SensorName: sensor.sensorName ?? sensor.name,
+    SensorId: sensor.sensorId,
+    ParkingType: sensor.parkingType,
+    TempParkingTimeInMinutes: sensor.tempParkingTimeInMinutes ?? sensor.tempParkingTimeMinutes,
+  }),
+};
+
+/** Tabs rebuilt from app data; all others are passed through */
+const MODELED_TABS = new Set(Object.keys(WORKBOOK_COLUMNS));
+
+/**
+ * URL columns written without `user:password@`: the workbook is shared with
+ * the site, logins stay in the credential profiles.
+ */
+const URL_COLUMNS = Object.freeze({
+  Cameras: ['RTSPURL'],
+});
+
+const toCellText = (value) => (value === undefined || value === null || value === '' ? null : String(value));
+
+const snapshotColumns = (columns) => Object.fromEntries(
+  Object.entries(columns).map(([col, value]) => [col, toCellText(value)])
+);
+
+/**
+ * Attach imported rows (by tab) to an entity, snapshotting the app's column values.
+ */
+const withRawWorkbook = (entity, rows, ctx) => ({
+  ...entity,
+  rawWorkbook: {
+    ...entity.rawWorkbook,
+    ...Object.fromEntries(Object.entries(rows).map(([tab, row]) => [
+      tab,
+      { row, fields: snapshotColumns(WORKBOOK_COLUMNS[tab](entity, ctx)) },
+    ])),
+  },
+});
+
+// ========================= DIAGNOSTICS =========================
+
+/**
+ * Diagnostics of one parse: rows the parser cannot link (errors: not imported)
+ * or had to guess at (warnings: imported with a default). The parse loops
+ * report defaults where they apply them and mark every row they import with
+ * `use`; reportSkippedRows() then explains the rows left unmarked.
+ *
+ * Diagnostics look like `{ severity, sheet, row: number|null, column, message }`,
+ * `row` being the spreadsheet row number (header is row 1). A row and column is
+ * reported once, even when the row is imported on several levels or garages.
+ *
+ * @param {Object<string, Array>} sheetRows - Parsed rows by tab
+ */
+function createDiagnostics(sheetRows) {
+  const diagnostics = [];
+  const reported = new Set();
+  const used = new Map(Object.keys(sheetRows).map((tab) => [tab, new Set()]));
+
+  const add = (severity, sheet, row, column, message) => {
+    const index = row == null ? -1 : sheetRows[sheet].indexOf(row);
+    const rowNumber = index < 0 ? null : index + 2;
+    const key = `${sheet}\u0000${rowNumber}\u0000${column}`;
+    if (reported.has(key)) return;
+    reported.add(key);
+    diagnostics.push({ severity, sheet, row: rowNumber, column, message });
+  };
+
+  return {
+    diagnostics,
+    add,
+    use: (sheet, row) => used.get(sheet).add(row),
+    isUsed: (sheet, row) => used.get(sheet).has(row),
+    unused: (sheet) => sheetRows[sheet].filter((row) => !used.get(sheet).has(row)),
+  };
+}
+
+/**
+ * Report the rows the parse loops did not import, with the reason, and put
+ * all diagnostics in workbook order.
+ */
+function reportSkippedRows(report, data) {
+  const { add, isUsed, unused } = report;
+  const levelKey = (row) => `${str(row.Garage)}\u0000${str(row.Level)}`;
+  const importedLevels = new Set(data.garageLevels.filter((l) => isUsed('GarageLevels', l)).map(levelKey));
+  const firstCamera = new Map();
+  data.cameras.forEach((c) => { if (!firstCamera.has(str(c.Name))) firstCamera.set(str(c.Name), c); });
+  const fliCameraNames = new Set(data.fliCameras.map((f) => str(f.CameraName)));
+  const controllerNames = new Set(data.displayControllers.map((d) => str(d.DisplayName)));
+  const displayLevelNames = new Set(data.displayLevels.map((d) => str(d.DisplayName)));
+  const groupIds = new Set(data.sensorGroups.map((g) => str(g.GroupID)));
+  const groupNames = new Set(data.displayGroups.map((g) => str(g.DisplayGroupName)));
+  const missingLevel = (row) => `No GarageLevels row for garage "${str(row.Garage)}", level "${str(row.Level)}"; row not imported`;
+
+  unused('GarageLevels').forEach((row) => {
+    add(SEVERITY.ERROR, 'GarageLevels', row, 'Garage', `Garage "${str(row.Garage)}" is not in the Garages tab; level not imported`);
+  });
+
+  unused('Cameras').forEach((row) => {
+    const name = str(row.Name);
+    if (firstCamera.get(name) !== row) {
+      add(SEVERITY.WARNING, 'Cameras', row, 'Name', `Duplicate camera "${name}"; only the first row is used`);
+    } else if (!fliCameraNames.has(name)) {
+      add(SEVERITY.ERROR, 'Cameras', row, 'Server', `Not in FLICameras and no level uses server "${str(row.Server)}"; camera not imported`);
+    }
+    // Cameras listed in FLICameras are explained by their FLICameras rows
+  });
+
+  unused('FLICameras').forEach((row) => {
+    if (!firstCamera.has(str(row.CameraName))) {
+      add(SEVERITY.ERROR, 'FLICameras', row, 'CameraName', `Camera "${str(row.CameraName)}" is not in the Cameras tab; row not imported`);
+    } else {
+      add(SEVERITY.ERROR, 'FLICameras', row, 'Level', missingLevel(row));
+    }
+  });
+
+  unused('DisplayControllers').forEach((row) => {
+    if (!displayLevelNames.has(str(row.DisplayName))) {
+      add(SEVERITY.ERROR, 'DisplayControllers', row, 'DisplayName', `Display "${str(row.DisplayName)}" is not listed in DisplayLevels; not imported`);
+    }
+  });
+
+  unused('DisplayLevels').forEach((row) => {
+    if (!controllerNames.has(str(row.DisplayName))) {
+      add(SEVERITY.ERROR, 'DisplayLevels', row, 'DisplayName', `Display "${str(row.DisplayName)}" is not in DisplayControllers; row not imported`);
+    } else if (importedLevels.has(levelKey(row))) {
+      add(SEVERITY.ERROR, 'DisplayLevels', row, 'DisplayName', `Display "${str(row.DisplayName)}" is already on this level; row not imported`);
+    } else {
+      add(SEVERITY.ERROR, 'DisplayLevels', row, 'Level', missingLevel(row));
+    }
+  });
+
+  unused('SensorGroups').forEach((row) => {
+    add(SEVERITY.ERROR, 'SensorGroups', row, 'Level', missingLevel(row));
+  });
+
+  unused('Sensors').forEach((row) => {
+    add(SEVERITY.ERROR, 'Sensors', row, 'SensorGroupID', groupIds.has(str(row.SensorGroupID))
+      ? `Sensor group "${str(row.SensorGroupID)}" was not imported; sensor not imported`
+      : `Sensor group "${str(row.SensorGroupID)}" is not in SensorGroups; sensor not imported`);
+  });
+
+  // Schedules of no known display or group stay in the workbook layout
+  unused('DisplaySchedules').forEach((row) => {
+    const displayName = str(row.DisplayName);
+    const groupName = str(row.DisplayGroupName);
+    if (displayName && controllerNames.has(displayName) && displayLevelNames.has(displayName)) {
+      add(SEVERITY.ERROR, 'DisplaySchedules', row, 'DisplayName', `Display "${displayName}" was not imported; schedule not imported`);
+    } else if (groupNames.has(groupName)) {
+      add(SEVERITY.ERROR, 'DisplaySchedules', row, 'DisplayGroupName', `Display group "${groupName}" was not imported; schedule not imported`);
+    } else {
+      add(SEVERITY.ERROR, 'DisplaySchedules', row, displayName ? 'DisplayName' : 'DisplayGroupName', displayName
+        ? `Display "${displayName}" is not an imported display; schedule kept in the workbook only`
+        : `Display group "${groupName}" is not in DisplayGroups; schedule kept in the workbook only`);
+    }
+  });
+
+  report.diagnostics.sort((a, b) => (
+    WORKBOOK_TABS.indexOf(a.sheet) - WORKBOOK_TABS.indexOf(b.sheet) || (a.row ?? 0) - (b.row ?? 0)
+  ));
+}
+
 // ========================= MAIN PARSER =========================
 
 /**
  * Parse an xlsx ArrayBuffer into the app's garage data structure.
  *
  * @param {ArrayBuffer} buffer - The xlsx file content
- * @returns {{ garages: Array, rawData: Object, sheetNames: string[] }}
+ * @returns {{ garages: Array, rawData: Object, sheetNames: string[], diagnostics: Array }}
  */
 export function parseExcelFile(buffer) {
   // Security: Validate input buffer
@@ -119,11 +457,80 @@ export function parseExcelFile(buffer) {
   const sensorGroupsData = sheetToObjects(workbook, 'SensorGroups');
   const sensorsData = sheetToObjects(workbook, 'Sensors');
 
+  const report = createDiagnostics({
+    Garages: garagesData,
+    GarageLevels: garageLevelsData,
+    DisplayGroups: displayGroupsData,
+    DisplayControllers: displayControllersData,
+    DisplayLevels: displayLevelsData,
+    DisplaySchedules: displaySchedulesData,
+    Cameras: camerasData,
+    FLICameras: fliCamerasData,
+    SensorGroups: sensorGroupsData,
+    Sensors: sensorsData,
+  });
+  WORKBOOK_TABS.filter((tab) => !sheetNames.includes(tab)).forEach((tab) => {
+    report.add(SEVERITY.WARNING, tab, null, '', 'Tab not found in the workbook');
+  });
+
+  // Column order of every tab, and the rows of tabs the app does not model
+  // (DisplayGroups, DisplaySchedules, anything site-specific) for the exporter
+  const sheetLayout = Object.fromEntries(sheetNames.map((name) => [name, sheetColumns(workbook, name)]));
+  const unmodeledRows = Object.fromEntries(
+    sheetNames.filter((name) => !MODELED_TABS.has(name)).map((name) => [name, sheetToObjects(workbook, name)])
+  );
+
+  // Display schedules belong to one display (DisplayName) or to a display group
+  const toScheduleEntry = (scheduleRow, ctx) => {
+    report.use('DisplaySchedules', scheduleRow);
+    const days = parseScheduleDays(scheduleRow.DayOfWeek);
+    if (days == null) {
+      report.add(SEVERITY.WARNING, 'DisplaySchedules', scheduleRow, 'DayOfWeek', `Unrecognized DayOfWeek "${str(scheduleRow.DayOfWeek)}"; entry has no days`);
+    }
+    const [start, end] = ['StartTime', 'EndTime'].map((column) => {
+      const time = parseScheduleTime(scheduleRow[column]);
+      if (time == null) {
+        report.add(SEVERITY.WARNING, 'DisplaySchedules', scheduleRow, column, `Unrecognized time "${str(scheduleRow[column])}"; entry not shown on the timeline`);
+      }
+      return time;
+    });
+    return withRawWorkbook({
+      id: genId(),
+      days: days || [],
+      start,
+      end,
+      state: str(scheduleRow.State),
+    }, { DisplaySchedules: scheduleRow }, ctx);
+  };
+  const importedDisplayNames = new Set(displayLevelsData.map((dl) => str(dl.DisplayName)));
+  const displayGroupNames = new Set(displayGroupsData.map((g) => str(g.DisplayGroupName)));
+  const isDisplaySchedule = (s) => str(s.DisplayName) !== ''
+    && importedDisplayNames.has(str(s.DisplayName))
+    && displayControllersData.some((dc) => str(dc.DisplayName) === str(s.DisplayName));
+  const isGroupSchedule = (s) => !isDisplaySchedule(s) && displayGroupNames.has(str(s.DisplayGroupName));
+
+  // Camera device type from the DetectionType column
+  const toCameraType = (camData) => {
+    const detectionType = str(camData.DetectionType).toUpperCase();
+    if (detectionType === 'LPR') return 'cam-lpr';
+    if (detectionType === 'PEOPLE' || detectionType === 'PEOPLECOUNTING') return 'cam-people';
+    if (detectionType !== 'FLI') {
+      report.add(SEVERITY.WARNING, 'Cameras', camData, 'DetectionType', detectionType
+        ? `Unknown DetectionType "${str(camData.DetectionType)}"; imported as FLI`
+        : 'No DetectionType; imported as FLI');
+    }
+    return 'cam-fli';
+  };
+
+  // Level each server camera was first imported on; levels sharing a server share its cameras
+  const serverCameraLevels = new Map();
+
   // Security: Track total devices to enforce limits
   let totalDeviceCount = 0;
   
   // Build garage map
-  const garages = garagesData.map((row) => {
+  const garages = garagesData.map((row, garageIndex) => {
+    report.use('Garages', row);
     const garageName = str(row.Garage);
     const visibleName = safeStr(row.VisibleGarageName) || safeStr(row.Garage);
     const stage = str(row.Stage);
@@ -134,10 +541,12 @@ export function parseExcelFile(buffer) {
     );
 
     const levels = levelRows.map((lr) => {
+      report.use('GarageLevels', lr);
       const levelName = str(lr.Level);
       const visibleLevelName = safeStr(lr.VisibleLevelName) || safeStr(lr.Level);
       const server = str(lr.Server);
       const maxOccupancy = num(lr.MaximumOccupancy, 100);
+      const levelCtx = { garageName, levelName, servers: [] };
 
       // Collect devices for this garage+level
       const devices = [];
@@ -150,19 +559,14 @@ export function parseExcelFile(buffer) {
         const camName = str(fli.CameraName);
         const camData = camerasData.find((c) => str(c.Name) === camName);
         if (camData) {
-          const detectionType = str(camData.DetectionType).toUpperCase();
-          let deviceType = 'cam-fli'; // default
-          if (detectionType === 'LPR') deviceType = 'cam-lpr';
-          else if (detectionType === 'PEOPLE' || detectionType === 'PEOPLECOUNTING') deviceType = 'cam-people';
-          else if (detectionType === 'FLI') deviceType = 'cam-fli';
-          
-          devices.push({
+          report.use('FLICameras', fli);
+          report.use('Cameras', camData);
+          devices.push(withRawWorkbook({
             id: genId(),
             name: camName,
-            type: deviceType,
+            type: toCameraType(camData),
             ipAddress: str(camData.IPAddress),
             port: str(camData.Port),
-            rtspUrl: str(camData.RTSPURL),
             externalUrl: str(camData.RTSPURL),
             resolution: str(camData.Resolution),
             server: str(camData.Server),
@@ -178,7 +582,7 @@ export function parseExcelFile(buffer) {
             stream1: str(camData.RTSPURL),
             stream2: '',
             hardwareType: 'Bullet',
-          });
+          }, { Cameras: camData, FLICameras: fli }, levelCtx));
         }
       });
 
@@ -193,19 +597,20 @@ export function parseExcelFile(buffer) {
         const camName = str(camData.Name);
         // Avoid duplicates
         if (devices.some((d) => d.name === camName)) return;
-        const detectionType = str(camData.DetectionType).toUpperCase();
-        let deviceType = 'cam-fli'; // default
-        if (detectionType === 'LPR') deviceType = 'cam-lpr';
-        else if (detectionType === 'PEOPLE' || detectionType === 'PEOPLECOUNTING') deviceType = 'cam-people';
-        else if (detectionType === 'FLI') deviceType = 'cam-fli';
-        
-        devices.push({
+        report.use('Cameras', camData);
+        const firstLevel = serverCameraLevels.get(camName);
+        if (firstLevel) {
+          report.add(SEVERITY.WARNING, 'Cameras', camData, 'Server', `Levels ${firstLevel} and ${garageName} / ${levelName} share server "${server}"; camera "${camName}" is imported on both`);
+        } else {
+          serverCameraLevels.set(camName, `${garageName} / ${levelName}`);
+        }
+
+        devices.push(withRawWorkbook({
           id: genId(),
           name: camName,
-          type: deviceType,
+          type: toCameraType(camData),
           ipAddress: str(camData.IPAddress),
           port: str(camData.Port),
-          rtspUrl: str(camData.RTSPURL),
           externalUrl: str(camData.RTSPURL),
           resolution: str(camData.Resolution),
           server: str(camData.Server),
@@ -217,7 +622,7 @@ export function parseExcelFile(buffer) {
           stream1: str(camData.RTSPURL),
           stream2: '',
           hardwareType: 'Bullet',
-        });
+        }, { Cameras: camData }, levelCtx));
       });
 
       // --- Sensor Groups for this level ---
@@ -225,6 +630,7 @@ export function parseExcelFile(buffer) {
         (sg) => str(sg.Garage) === garageName && str(sg.Level) === levelName
       );
       sensorGroupsForLevel.forEach((sg) => {
+        report.use('SensorGroups', sg);
         const groupId = str(sg.GroupID);
         const protocol = str(sg.SensorProtocol);
 
@@ -232,6 +638,7 @@ export function parseExcelFile(buffer) {
         const sensorsInGroup = sensorsData.filter(
           (s) => str(s.SensorGroupID) === groupId
         );
+        sensorsInGroup.forEach((s) => report.use('Sensors', s));
 
         // Map sensor protocol to device type
         const protocolLower = protocol.toLowerCase();
@@ -239,25 +646,30 @@ export function parseExcelFile(buffer) {
         if (protocolLower === 'parksol' || protocolLower === 'parksolution') sensorType = 'sensor-parksol';
         else if (protocolLower === 'proco') sensorType = 'sensor-proco';
         else if (protocolLower === 'ensight') sensorType = 'sensor-ensight';
-        else if (protocolLower === 'nwave') sensorType = 'sensor-nwave';
+        else if (protocolLower !== 'nwave') {
+          report.add(SEVERITY.WARNING, 'SensorGroups', sg, 'SensorProtocol', protocol
+            ? `Unknown SensorProtocol "${protocol}"; imported as NWave`
+            : 'No SensorProtocol; imported as NWave');
+        }
 
-        devices.push({
+        devices.push(withRawWorkbook({
           id: genId(),
           name: `SensorGroup-${groupId}`,
           type: sensorType,
+          groupId,
           sensorProtocol: protocol,
           controllerAddress: str(sg.ControllerAddress),
           controllerKey: str(sg.ControllerKey),
           parentLevel: str(sg.ParentLevel),
           sensorCount: sensorsInGroup.length,
-          sensors: sensorsInGroup.map((s) => ({
+          sensors: sensorsInGroup.map((s) => withRawWorkbook({
             sensorName: str(s.SensorName),
             sensorId: str(s.SensorId),
             parkingType: str(s.ParkingType),
             tempParkingTimeInMinutes: num(s.TempParkingTimeInMinutes),
-          })),
+          }, { Sensors: s }, { groupId })),
           pendingPlacement: true,
-        });
+        }, { SensorGroups: sg }, { ...levelCtx, groupId }));
       });
 
       // --- Display controllers assigned to this level ---
@@ -270,12 +682,14 @@ export function parseExcelFile(buffer) {
           (dc) => str(dc.DisplayName) === displayName
         );
         if (controller && !devices.some((d) => d.name === displayName)) {
+          report.use('DisplayLevels', dl);
+          report.use('DisplayControllers', controller);
           const displayProtocol = str(controller.DisplayProtocol).toUpperCase();
           let signType = 'sign-static'; // default
           if (displayProtocol === 'LED') signType = 'sign-led';
           else if (displayProtocol === 'DESIGNABLE') signType = 'sign-designable';
           
-          devices.push({
+          devices.push(withRawWorkbook({
             id: genId(),
             name: displayName,
             type: signType,
@@ -292,8 +706,11 @@ export function parseExcelFile(buffer) {
             keepLevelCountsSeparate: bool(controller.KeepLevelCountsSeparate),
             positionName: str(dl.PositionName),
             levelDisplayName: str(dl.LevelName),
+            displaySchedules: displaySchedulesData
+              .filter((s) => isDisplaySchedule(s) && str(s.DisplayName) === displayName)
+              .map((s) => toScheduleEntry(s, { displayName })),
             pendingPlacement: true,
-          });
+          }, { DisplayControllers: controller, DisplayLevels: dl }, levelCtx));
         }
       });
 
@@ -303,13 +720,16 @@ export function parseExcelFile(buffer) {
         throw new Error(`Too many devices in file. Maximum allowed is ${MAX_TOTAL_DEVICES}.`);
       }
 
-      return {
+      const spotCounts = getSensorSpotCounts({ devices });
+
+      return withRawWorkbook({
         id: genId(),
         name: visibleLevelName,
         internalName: levelName,
         totalSpots: maxOccupancy,
-        evSpots: 0,
-        handicapSpots: 0,
+        evSpots: spotCounts.ev,
+        handicapSpots: spotCounts.ada,
+        spotCountsFromSensors: spotCounts.total > 0,
         bgImage: null,
         devices,
         // Store all the raw GarageLevel config
@@ -331,10 +751,40 @@ export function parseExcelFile(buffer) {
           portalRendering: str(lr.PortalRendering),
           vehicleRolesAllowed: str(lr.VehicleRolesAllowed),
         },
-      };
+      }, { GarageLevels: lr }, { garageName });
     });
 
-    return {
+    // Display groups: rows for this garage, and rows with a blank Garage that its
+    // signs use (all of them on the first garage, so none are lost on export)
+    const signGroupNames = new Set(levels.flatMap((l) => l.devices)
+      .filter((d) => d.type?.startsWith('sign-'))
+      .map((d) => d.displayGroupName));
+    const displayGroups = displayGroupsData
+      .filter((g) => (str(g.Garage)
+        ? str(g.Garage) === garageName
+        : signGroupNames.has(str(g.DisplayGroupName)) || garageIndex === 0))
+      .map((g) => {
+        const groupName = str(g.DisplayGroupName);
+        return withRawWorkbook({
+          id: genId(),
+          name: groupName,
+          schedules: displaySchedulesData
+            .filter((s) => isGroupSchedule(s) && str(s.DisplayGroupName) === groupName)
+            .map((s) => toScheduleEntry(s, { groupName })),
+        }, { DisplayGroups: g }, {});
+      });
+
+    // Rows of unmodeled tabs go to their garage, rows with a blank Garage to the
+    // first garage; schedules that match no display or group are carried through unchanged
+    const layoutRows = Object.fromEntries(Object.entries(unmodeledRows).map(([tab, rows]) => [
+      tab,
+      rows.filter((r) => !('Garage' in r) || (str(r.Garage) ? str(r.Garage) === garageName : garageIndex === 0)),
+    ]));
+    if (garageIndex === 0) {
+      layoutRows.DisplaySchedules = displaySchedulesData.filter((s) => !isDisplaySchedule(s) && !isGroupSchedule(s));
+    }
+
+    return withRawWorkbook({
       id: genId(),
       name: visibleName,
       internalName: garageName,
@@ -348,7 +798,13 @@ export function parseExcelFile(buffer) {
       quickLinks: [],
       servers: [],
       levels,
-    };
+      displayGroups,
+      workbookLayout: {
+        sheetNames,
+        columns: sheetLayout,
+        rows: layoutRows,
+      },
+    }, { Garages: row }, {});
   });
 
   // Store raw parsed data for reference
@@ -365,17 +821,66 @@ export function parseExcelFile(buffer) {
     sensors: sensorsData,
   };
 
-  return { garages, rawData, sheetNames };
+  reportSkippedRows(report, rawData);
+
+  return { garages, rawData, sheetNames, diagnostics: report.diagnostics };
+}
+
+/**
+ * Tab a per-tab CSV export belongs to, from its file name
+ * ("Site Config - GarageLevels.csv" -> "GarageLevels"). Unknown names keep
+ * their own name so the rows are still carried through.
+ */
+function csvTabName(fileName) {
+  const base = str(fileName).replace(/\.csv$/i, '');
+  const key = base.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const tab = WORKBOOK_TABS
+    .filter((t) => key.endsWith(t.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  // Sheet names are limited to 31 characters and may not contain []:*?/\
+  return tab || base.replace(/[[\]:*?/\\]/g, '').slice(0, 31) || 'Sheet';
+}
+
+/**
+ * Combine per-tab CSV files into one workbook buffer for parseExcelFile.
+ * Cell text is kept as written (no number or date conversion), so IDs with
+ * leading zeros and IP addresses survive.
+ *
+ * @param {Array<{ name: string, text: string }>} csvFiles
+ * @returns {ArrayBuffer}
+ */
+export function csvFilesToWorkbook(csvFiles) {
+  if (!Array.isArray(csvFiles) || csvFiles.length === 0) {
+    throw new Error('No CSV files provided.');
+  }
+
+  const workbook = XLSX.utils.book_new();
+  csvFiles.forEach(({ name, text }) => {
+    const tab = csvTabName(name);
+    if (workbook.SheetNames.includes(tab)) {
+      throw new Error(`More than one CSV file for the "${tab}" tab.`);
+    }
+    let parsed;
+    try {
+      parsed = XLSX.read(text, { type: 'string', raw: true });
+    } catch (err) {
+      throw new Error(`Failed to parse ${name}: ${err.message || 'Unknown error'}`);
+    }
+    XLSX.utils.book_append_sheet(workbook, parsed.Sheets[parsed.SheetNames[0]], tab);
+  });
+
+  return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
 }
 
 /**
  * Get a summary of what was parsed from the Excel file.
  *
- * @param {{ garages: Array, rawData: Object }} parsed
- * @returns {{ totalGarages: number, totalLevels: number, totalDevices: number, tabCounts: Object }}
+ * @param {{ garages: Array, rawData: Object, diagnostics?: Array }} parsed
+ * @returns {{ totalGarages: number, totalLevels: number, totalDevices: number, tabCounts: Object,
+ *   diagnosticCounts: { errors: number, warnings: number } }}
  */
 export function getImportSummary(parsed) {
-  const { garages, rawData } = parsed;
+  const { garages, rawData, diagnostics } = parsed;
   let totalLevels = 0;
   let totalDevices = 0;
 
@@ -396,5 +901,161 @@ export function getImportSummary(parsed) {
     totalLevels,
     totalDevices,
     tabCounts,
+    diagnosticCounts: countProblems(diagnostics),
+  };
+}
+
+// ========================= WORKBOOK EXPORT =========================
+
+/**
+ * Build one row in `columns` order: app values where they changed since import,
+ * the imported row's values everywhere else. `urlColumns` lose their logins
+ * either way.
+ */
+function buildRow(columns, values, raw, urlColumns = []) {
+  return Object.fromEntries(columns.map((col) => {
+    const value = col in values && (!raw || toCellText(values[col]) !== raw.fields[col])
+      ? values[col] ?? ''
+      : raw?.row?.[col] ?? '';
+    return [col, urlColumns.includes(col) && value ? stripCredentials(value) : value];
+  }));
+}
+
+/**
+ * Cameras as they appear in the Cameras tab; each configured stream of a
+ * dual-lens camera is its own row, named like in the config files, with the
+ * stream's imported rows (stream 1 falls back to the camera's own). A dual-lens
+ * camera with no stream configured yet keeps one row under its own name.
+ */
+function getWorkbookCameras(device) {
+  if (device.hardwareType !== 'dual-lens') return [device];
+  const streams = [1, 2].filter((n) => device[`stream${n}`]?.ipAddress);
+  if (streams.length === 0) return [device];
+  return streams.map((n) => {
+    const stream = device[`stream${n}`];
+    return {
+      ...device,
+      name: `${device.name}-S${n}`,
+      type: stream.streamType || device.type,
+      ipAddress: stream.ipAddress,
+      port: stream.port,
+      externalUrl: stream.externalUrl,
+      stream1: null,
+      rawWorkbook: stream.rawWorkbook || (n === 1 ? device.rawWorkbook : null),
+    };
+  });
+}
+
+/**
+ * Rebuild the site workbook from the app's garages. Tabs and columns keep the
+ * layout of the imported workbook; tabs the app does not model are copied through.
+ *
+ * @param {Array} garages
+ * @returns {Object} XLSX workbook
+ */
+export function buildSiteWorkbook(garages) {
+  const safeGarages = (Array.isArray(garages) ? garages : []).filter(Boolean);
+  const layouts = safeGarages.map((g) => g.workbookLayout).filter(Boolean);
+  const sheetNames = [...new Set([...layouts.flatMap((l) => l.sheetNames || []), ...WORKBOOK_TABS])];
+  const columnsFor = (tab) => layouts.find((l) => l.columns?.[tab]?.length)?.columns[tab]
+    || DEFAULT_COLUMNS[tab]
+    || [];
+
+  const rows = Object.fromEntries(sheetNames.map((tab) => [tab, []]));
+  const seen = Object.fromEntries(sheetNames.map((tab) => [tab, new Set()]));
+  // Adds a row once per key; cameras and displays can be listed on several levels
+  const addRow = (tab, entity, ctx, key = null) => {
+    if (key != null) {
+      if (seen[tab].has(key)) return false;
+      seen[tab].add(key);
+    }
+    rows[tab].push(buildRow(columnsFor(tab), WORKBOOK_COLUMNS[tab](entity, ctx), entity.rawWorkbook?.[tab], URL_COLUMNS[tab]));
+    return true;
   };
+
+  safeGarages.forEach((garage) => {
+    const garageName = garage.internalName || garage.name;
+    const garageCtx = { garageName, servers: Array.isArray(garage.servers) ? garage.servers : [] };
+    addRow('Garages', garage, garageCtx);
+
+    (Array.isArray(garage.levels) ? garage.levels : []).forEach((level) => {
+      const levelCtx = { ...garageCtx, levelName: level.internalName || level.name };
+      addRow('GarageLevels', level, levelCtx);
+
+      (Array.isArray(level.devices) ? level.devices : []).forEach((device) => {
+        if (device.type?.startsWith('cam-')) {
+          getWorkbookCameras(device).forEach((camera) => {
+            addRow('Cameras', camera, levelCtx, camera.name);
+            // App-added FLI cameras get a mapping row; imported ones keep theirs
+            const hasFliRow = camera.rawWorkbook?.FLICameras
+              || (!camera.rawWorkbook?.Cameras && camera.type === 'cam-fli');
+            if (hasFliRow) addRow('FLICameras', camera, levelCtx);
+          });
+        } else if (device.type?.startsWith('sign-')) {
+          if (addRow('DisplayControllers', device, levelCtx, device.name)) {
+            (Array.isArray(device.displaySchedules) ? device.displaySchedules : []).forEach((entry) => {
+              addRow('DisplaySchedules', entry, { displayName: device.name });
+            });
+          }
+          addRow('DisplayLevels', device, levelCtx);
+        } else if (device.type?.startsWith('sensor-')) {
+          if (Array.isArray(device.sensors)) {
+            const groupId = device.groupId || str(device.name).replace(/^SensorGroup-/, '');
+            addRow('SensorGroups', device, { ...levelCtx, groupId }, groupId);
+            device.sensors.forEach((sensor) => addRow('Sensors', sensor, { groupId }));
+          } else {
+            // Individually added sensors share one group per level and protocol
+            const protocol = SENSOR_PROTOCOLS[device.type] || 'Sensor';
+            const groupId = device.groupId || `${garageName}-${levelCtx.levelName}-${protocol}`;
+            addRow('SensorGroups', { type: device.type, controllerKey: device.controllerKey }, { ...levelCtx, groupId }, groupId);
+            addRow('Sensors', device, { groupId });
+          }
+        }
+      });
+    });
+
+    (Array.isArray(garage.displayGroups) ? garage.displayGroups : []).forEach((group) => {
+      if (!addRow('DisplayGroups', group, garageCtx, group.name)) return;
+      (Array.isArray(group.schedules) ? group.schedules : []).forEach((entry) => {
+        addRow('DisplaySchedules', entry, { groupName: group.name });
+      });
+    });
+
+    // Unmodeled tabs: rows shared by every garage are written once
+    Object.entries(garage.workbookLayout?.rows || {}).forEach(([tab, tabRows]) => {
+      if (!rows[tab]) return;
+      tabRows.forEach((row) => {
+        const key = JSON.stringify(row);
+        if (seen[tab].has(key)) return;
+        seen[tab].add(key);
+        rows[tab].push(row);
+      });
+    });
+  });
+
+  const workbook = XLSX.utils.book_new();
+  sheetNames.forEach((tab) => {
+    const header = columnsFor(tab).length ? columnsFor(tab) : Object.keys(rows[tab][0] || {});
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows[tab], { header }), tab);
+  });
+  return workbook;
+}
+
+/**
+ * Download the site workbook for the given garages.
+ *
+ * @returns {{ fileName: string, rowCounts: Object }}
+ */
+export function exportSiteWorkbook(garages, { fileName } = {}) {
+  const workbook = buildSiteWorkbook(garages);
+  const baseName = garages?.length === 1 ? garages[0]?.name : 'Site';
+  const name = fileName || `${str(baseName || 'Site').replace(/[\\/:*?"<>|]/g, '').replace(/\s+/g, '_')}_workbook.xlsx`;
+  const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+  downloadFile(data, name, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+  const rowCounts = Object.fromEntries(workbook.SheetNames.map((tab) => [
+    tab,
+    Math.max(0, XLSX.utils.decode_range(workbook.Sheets[tab]['!ref'] || 'A1').e.r),
+  ]));
+  return { fileName: name, rowCounts };
 }
@@ -0,0 +1,408 @@
+/**
+ * LayoutService - Coordinate helpers for the level layout (MapCanvas and PDF export)
+ *
+ * Device positions (`x`, `y`) and cone sizes are stored in drawing space: pixels
+ * of the level's site drawing at its natural size, with (0, 0) at the drawing's
+ * top-left corner. Levels without a drawing use a fixed DEFAULT_DRAWING_SIZE
+ * sheet. The view (zoom/pan) is never stored, so positions stay put when the
+ * window is resized.
+ *
+ * Levels saved before drawing space existed stored positions in stage pixels of
+ * a stage the drawing was stretched to fill. Those levels have no
+ * `coordinateSpace` and are converted when garages are loaded or opened, by
+ * convertGaragesToDrawingSpace().
+ *
+ * A calibrated level carries `drawingScale: { pixelsPerFoot, unit }`, set by
+ * picking two points a known distance apart; `unit` ('ft' | 'm') is only used
+ * for display.
+ *
+ * Devices imported without a position wait in the sidebar (`pendingPlacement`)
+ * until they are dropped on the canvas or auto-arranged (getArrangedPositions).
+ */
+
+// ========================= CONSTANTS =========================
+
+export const DRAWING_COORDINATE_SPACE = 'drawing';
+
+/** Sheet size used when a level has no site drawing */
+export const DEFAULT_DRAWING_SIZE = Object.freeze({ width: 1600, height: 1000 });
+
+/**
+ * Stage size legacy positions are assumed to be saved against. It was never
+ * recorded; the default sheet was sized to match the old stage.
+ */
+const LEGACY_STAGE_SIZE = DEFAULT_DRAWING_SIZE;
+
+export const MIN_ZOOM = 0.05;
+export const MAX_ZOOM = 8;
+
+/** react-dnd item type of pending devices dragged from the sidebar onto MapCanvas */
+export const PENDING_DEVICE_DRAG_TYPE = 'pending-device';
+
+/** Auto-arranged devices: kinds in this order, on a grid from the drawing's top-left corner */
+const ARRANGE_ORDER = Object.freeze(['cam-', 'sign-', 'sensor-', 'server']);
+const ARRANGE_ORIGIN = Object.freeze({ x: 60, y: 60 });
+const ARRANGE_SPACING = 50;
+const ARRANGE_COLUMNS = 10;
+/** The grid tightens down to this spacing to fit small drawings */
+const MIN_ARRANGE_SPACING = 16;
+
+// ========================= HELPERS =========================
+
+const safeArray = (arr) => (Array.isArray(arr) ? arr : []);
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/** Natural size of an image (data URL or URL) */
+const loadImageSize = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(getDrawingSize(image));
+  image.onerror = () => reject(new Error('Site drawing could not be loaded'));
+  image.src = src;
+});
+
+// ========================= PUBLIC API =========================
+
+/**
+ * Size of the drawing space for a loaded background image (or the default sheet).
+ *
+ * @param {HTMLImageElement|null|undefined} image
+ * @returns {{ width: number, height: number }}
+ */
+export function getDrawingSize(image) {
+  const width = image?.naturalWidth || image?.width;
+  const height = image?.naturalHeight || image?.height;
+  if (width > 0 && height > 0) return { width, height };
+  return { ...DEFAULT_DRAWING_SIZE };
+}
+
+/**
+ * Size of a level's drawing space without showing it: loads the site drawing,
+ * or the default sheet when there is none or it cannot be loaded.
+ *
+ * @returns {Promise<{ width: number, height: number }>}
+ */
+export function getLevelDrawingSize(level) {
+  if (!level?.bgImage) return Promise.resolve({ ...DEFAULT_DRAWING_SIZE });
+  return loadImageSize(level.bgImage).catch(() => ({ ...DEFAULT_DRAWING_SIZE }));
+}
+
+/**
+ * Whether a level's device positions still need converting to drawing space.
+ * Levels without a drawing never need it, the default sheet matches the old stage.
+ */
+export function needsDrawingSpaceConversion(level) {
+  return Boolean(level?.bgImage) && level.coordinateSpace !== DRAWING_COORDINATE_SPACE;
+}
+
+/**
+ * Convert a legacy level's device positions from stretched-stage pixels to drawing
+ * pixels.
+ *
+ * @param {Object} level
+ * @param {{ width: number, height: number }} stageSize - Stage the drawing was stretched to
+ * @param {{ width: number, height: number }} drawingSize - Natural drawing size
+ * @returns {Object} Level with `coordinateSpace: 'drawing'`
+ */
+export function convertLevelToDrawingSpace(level, stageSize, drawingSize) {
+  const sx = drawingSize.width / (stageSize.width || drawingSize.width);
+  const sy = drawingSize.height / (stageSize.height || drawingSize.height);
+  const sizeScale = (sx + sy) / 2;
+  const scaleSize = (size) => (typeof size === 'number' ? Math.round(size * sizeScale) : size);
+  const scaleStream = (stream) => (
+    stream && typeof stream === 'object' ? { ...stream, coneSize: scaleSize(stream.coneSize) } : stream
+  );
+
+  return {
+    ...level,
+    coordinateSpace: DRAWING_COORDINATE_SPACE,
+    devices: safeArray(level.devices).map(d => {
+      // Sensors of a sensor group are placed on their own
+      const sensors = Array.isArray(d.sensors)
+        ? {
+          sensors: d.sensors.map(s => (typeof s.x === 'number' && typeof s.y === 'number'
+            ? { ...s, x: Math.round(s.x * sx), y: Math.round(s.y * sy) }
+            : s))
+        }
+        : {};
+      if (d.pendingPlacement || typeof d.x !== 'number' || typeof d.y !== 'number') return { ...d, ...sensors };
+      const next = {
+        ...d,
+        ...sensors,
+        x: Math.round(d.x * sx),
+        y: Math.round(d.y * sy),
+        coneSize: scaleSize(d.coneSize)
+      };
+      if (d.stream1) next.stream1 = scaleStream(d.stream1);
+      if (d.stream2) next.stream2 = scaleStream(d.stream2);
+      return next;
+    })
+  };
+}
+
+/**
+ * Convert every legacy level of the garages to drawing space. Runs where garages
+ * are loaded (restore, open project), so the conversion is never an undoable edit.
+ * Levels whose drawing cannot be loaded are left as they are.
+ *
+ * @param {Array} garages
+ * @returns {Promise<Array>} The same array when nothing needed converting
+ */
+export async function convertGaragesToDrawingSpace(garages) {
+  const list = safeArray(garages);
+  if (!list.some(g => safeArray(g?.levels).some(needsDrawingSpaceConversion))) return garages;
+
+  return Promise.all(list.map(async (garage) => {
+    if (!safeArray(garage?.levels).some(needsDrawingSpaceConversion)) return garage;
+    const levels = await Promise.all(garage.levels.map(async (level) => {
+      if (!needsDrawingSpaceConversion(level)) return level;
+      try {
+        return convertLevelToDrawingSpace(level, LEGACY_STAGE_SIZE, await loadImageSize(level.bgImage));
+      } catch (err) {
+        console.warn(`Could not convert level "${level.name}" to drawing coordinates:`, err);
+        return level;
+      }
+    }));
+    return { ...garage, levels };
+  }));
+}
+
+/**
+ * View transform that fits the whole drawing inside the viewport with a margin.
+ *
+ * @returns {{ scale: number, x: number, y: number }}
+ */
+export function getFitView(viewport, drawingSize, padding = 24) {
+  const availW = Math.max(1, viewport.width - padding * 2);
+  const availH = Math.max(1, viewport.height - padding * 2);
+  const scale = clamp(Math.min(availW / drawingSize.width, availH / drawingSize.height), MIN_ZOOM, MAX_ZOOM);
+  return {
+    scale,
+    x: (viewport.width - drawingSize.width * scale) / 2,
+    y: (viewport.height - drawingSize.height * scale) / 2
+  };
+}
+
+/**
+ * Zoom a view to `nextScale`, keeping the drawing point under `anchor`
+ * (a viewport position, e.g. the mouse cursor) fixed on screen.
+ *
+ * @returns {{ scale: number, x: number, y: number }}
+ */
+export function zoomViewAt(view, nextScale, anchor) {
+  const scale = clamp(nextScale, MIN_ZOOM, MAX_ZOOM);
+  const pointX = (anchor.x - view.x) / view.scale;
+  const pointY = (anchor.y - view.y) / view.scale;
+  return {
+    scale,
+    x: anchor.x - pointX * scale,
+    y: anchor.y - pointY * scale
+  };
+}
+
+// ========================= SCALE =========================
+
+export const FEET_PER_METER = 3.28084;
+
+export const DISTANCE_UNITS = Object.freeze([
+  { id: 'ft', name: 'Feet', feet: 1 },
+  { id: 'm', name: 'Meters', feet: FEET_PER_METER }
+]);
+
+const unitToFeet = (unit) => DISTANCE_UNITS.find(u => u.id === unit)?.feet || 1;
+
+/**
+ * Build a level scale from two drawing-space points a known distance apart.
+ *
+ * @param {{x: number, y: number}} p1
+ * @param {{x: number, y: number}} p2
+ * @param {number} distance - Real distance between the points, in `unit`
+ * @param {'ft'|'m'} unit - Also used as the level's display unit
+ * @returns {{ pixelsPerFoot: number, unit: string }}
+ */
+export function calibrateScale(p1, p2, distance, unit = 'ft') {
+  const pixels = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+  const feet = Number(distance) * unitToFeet(unit);
+  if (!(pixels > 0)) throw new Error('Pick two different points to calibrate.');
+  if (!(feet > 0)) throw new Error('Enter a distance greater than zero.');
+  return { pixelsPerFoot: pixels / feet, unit };
+}
+
+/**
+ * Drawing pixels per foot for a calibrated level, or null when uncalibrated.
+ */
+export function getPixelsPerFoot(level) {
+  const ppf = Number(level?.drawingScale?.pixelsPerFoot);
+  return ppf > 0 ? ppf : null;
+}
+
+/**
+ * Drawing pixels per display unit (foot or meter) for a calibrated level.
+ */
+export function getPixelsPerUnit(level) {
+  const ppf = getPixelsPerFoot(level);
+  return ppf ? ppf * unitToFeet(level.drawingScale.unit) : null;
+}
+
+export function getDisplayUnit(level) {
+  return level?.drawingScale?.unit === 'm' ? 'm' : 'ft';
+}
+
+export function pixelsToFeet(pixels, level) {
+  const ppf = getPixelsPerFoot(level);
+  return ppf ? pixels / ppf : null;
+}
+
+export function feetToPixels(feet, level) {
+  const ppf = getPixelsPerFoot(level);
+  return ppf ? feet * ppf : null;
+}
+
+/**
+ * Format a drawing-space length in the level's display unit ("42 ft", "12.5 m").
+ * Falls back to pixels on uncalibrated levels.
+ */
+export function formatDrawingDistance(pixels, level) {
+  const ppu = getPixelsPerUnit(level);
+  if (!ppu) return `${Math.round(pixels)} px`;
+  const value = pixels / ppu;
+  return `${value >= 100 ? Math.round(value) : Number(value.toFixed(1))} ${getDisplayUnit(level)}`;
+}
+
+/**
+ * Largest 1/2/5 x 10^n value not above `max`.
+ */
+export function niceStep(max) {
+  if (!(max > 0)) return 0;
+  const exponent = Math.floor(Math.log10(max));
+  const base = 10 ** exponent;
+  const fraction = max / base;
+  const nice = fraction >= 5 ? 5 : fraction >= 2 ? 2 : 1;
+  return nice * base;
+}
+
+/**
+ * Grid spacing in drawing pixels. Calibrated levels use a round number of real
+ * units that is at least `minPixels` apart; uncalibrated levels use `minPixels`.
+ */
+export function getGridSpacing(level, minPixels) {
+  const ppu = getPixelsPerUnit(level);
+  if (!ppu) return minPixels;
+  const minUnits = minPixels / ppu;
+  const base = 10 ** Math.floor(Math.log10(minUnits));
+  const step = [1, 2, 5, 10].map(n => n * base).find(v => v >= minUnits);
+  return step * ppu;
+}
+
+/**
+ * Scale bar that spans at most `maxLength` output units (screen px or PDF pt)
+ * at `outputPerPixel` output units per drawing pixel.
+ *
+ * @returns {{ length: number, label: string } | null} length in output units
+ */
+export function getScaleBar(level, outputPerPixel, maxLength) {
+  const ppu = getPixelsPerUnit(level);
+  if (!ppu || !(outputPerPixel > 0)) return null;
+  const units = niceStep(maxLength / (ppu * outputPerPixel));
+  if (!units) return null;
+  return { length: units * ppu * outputPerPixel, label: `${units} ${getDisplayUnit(level)}` };
+}
+
+/**
+ * Slider settings for a camera cone size. Uncalibrated levels edit the stored
+ * drawing-pixel radius directly; calibrated levels edit the coverage range in
+ * the level's display unit and convert back to pixels on change.
+ *
+ * @param {number} coneSize - Cone radius in drawing pixels
+ * @returns {{ min: number, max: number, value: number, label: string, toConeSize: (value: number) => number }}
+ */
+export function getConeSizeControl(coneSize, level) {
+  const ppu = getPixelsPerUnit(level);
+  if (!ppu) {
+    return { min: 20, max: 120, value: coneSize, label: `${coneSize}px`, toConeSize: (value) => value };
+  }
+  const unit = getDisplayUnit(level);
+  const max = unit === 'm' ? 100 : 300;
+  const value = Math.round(coneSize / ppu);
+  return {
+    min: 1,
+    max: Math.max(max, value),
+    value,
+    label: `${value} ${unit}`,
+    toConeSize: (units) => Math.round(units * ppu)
+  };
+}
+
+// ========================= PLACEMENT =========================
+
+const getArrangeRank = (type) => {
+  const index = ARRANGE_ORDER.findIndex(prefix => String(type || '').startsWith(prefix));
+  return index === -1 ? ARRANGE_ORDER.length : index;
+};
+
+/**
+ * Tidy grid positions for devices waiting to be placed. Devices are grouped by
+ * type (cameras, signs, sensors, servers, then anything else); each type starts
+ * a new row and wraps after ARRANGE_COLUMNS or at the drawing's right edge. The
+ * grid tightens (down to MIN_ARRANGE_SPACING) so the rows fit the drawing's
+ * height. Slots next to devices or group sensors already on the drawing are
+ * skipped.
+ *
+ * @param {Array} devices - Devices to arrange
+ * @param {Array} placed - Devices already on the drawing
+ * @param {{ width: number, height: number }} [drawingSize] - From getLevelDrawingSize
+ * @returns {Object<string, {x: number, y: number}>} Positions by device id
+ */
+export function getArrangedPositions(devices, placed = [], drawingSize = DEFAULT_DRAWING_SIZE) {
+  // Sensors of a group are placed on their own, even while the group is pending
+  const taken = [
+    ...safeArray(placed),
+    ...[...safeArray(placed), ...safeArray(devices)].flatMap(d => safeArray(d.sensors))
+  ].filter(d => typeof d.x === 'number' && typeof d.y === 'number');
+
+  const groups = new Map();
+  [...safeArray(devices)]
+    .sort((a, b) => getArrangeRank(a.type) - getArrangeRank(b.type) || String(a.type || '').localeCompare(String(b.type || '')))
+    .forEach(device => {
+      const type = device.type || '';
+      if (!groups.has(type)) groups.set(type, []);
+      groups.get(type).push(device);
+    });
+
+  // Columns that fit the width at a spacing (the origin margin shrinks with it)
+  const columnsAt = (spacing) => {
+    const margin = (ARRANGE_ORIGIN.x * spacing) / ARRANGE_SPACING;
+    return clamp(Math.floor((drawingSize.width - 2 * margin) / spacing) + 1, 1, ARRANGE_COLUMNS);
+  };
+  const rowsAt = (spacing) => [...groups.values()].reduce((rows, group) => rows + Math.ceil(group.length / columnsAt(spacing)), 0);
+  let spacing = ARRANGE_SPACING;
+  while (spacing > MIN_ARRANGE_SPACING
+    && (ARRANGE_ORIGIN.y * 2 * spacing) / ARRANGE_SPACING + (rowsAt(spacing) - 1) * spacing > drawingSize.height) {
+    spacing = Math.max(MIN_ARRANGE_SPACING, spacing * 0.8);
+  }
+  const columns = columnsAt(spacing);
+  const origin = { x: (ARRANGE_ORIGIN.x * spacing) / ARRANGE_SPACING, y: (ARRANGE_ORIGIN.y * spacing) / ARRANGE_SPACING };
+  const isFree = (slot) => !taken.some(d => (
+    Math.abs(d.x - slot.x) < spacing / 2 && Math.abs(d.y - slot.y) < spacing / 2
+  ));
+
+  const positions = {};
+  let row = 0;
+  groups.forEach(group => {
+    let col = 0;
+    group.forEach(device => {
+      let slot;
+      do {
+        if (col === columns) {
+          col = 0;
+          row++;
+        }
+        slot = { x: Math.round(origin.x + col * spacing), y: Math.round(origin.y + row * spacing) };
+        col++;
+      } while (!isFree(slot));
+      positions[device.id] = slot;
+    });
+    row++;
+  });
+  return positions;
+}
@@ -0,0 +1,96 @@
+/**
+ * LensService - Camera lenses and fields of view
+ *
+ * Every camera, or every stream of a dual-lens camera, has a horizontal field of
+ * view `fov` in degrees (the angle of its cone) and optionally the catalog `lens`
+ * it was picked from. Streams fall back to the camera's values like `coneSize`.
+ *
+ * Picking a lens fills the field of view and, on calibrated levels, the cone
+ * size from the lens' effective range. Editing the field of view by hand makes
+ * the lens custom.
+ */
+
+import { getPixelsPerFoot } from './LayoutService';
+
+// ========================= CONSTANTS =========================
+
+/** Field of view of cameras without one (the original fixed cone angle) */
+export const DEFAULT_FOV = 60;
+
+export const FOV_LIMITS = Object.freeze({ min: 1, max: 180 });
+
+/**
+ * Typical lenses. Dual-lens modules set both streams of a dual-lens camera;
+ * `rangeFeet` is the distance a plate or vehicle can still be read at.
+ */
+export const LENS_CATALOG = Object.freeze([
+  { id: '2.8mm', label: '2.8 mm', fov: 103, rangeFeet: 30 },
+  { id: '4mm', label: '4 mm', fov: 84, rangeFeet: 45 },
+  { id: '6mm', label: '6 mm', fov: 54, rangeFeet: 70 },
+  { id: '8mm', label: '8 mm', fov: 40, rangeFeet: 90 },
+  { id: '12mm', label: '12 mm', fov: 27, rangeFeet: 130 },
+  { id: 'dual-2.8mm', label: 'Dual-lens module 2 × 2.8 mm', fov: 100, rangeFeet: 30, dualLens: true },
+  { id: 'dual-4mm', label: 'Dual-lens module 2 × 4 mm', fov: 80, rangeFeet: 45, dualLens: true }
+]);
+
+const STREAM_KEYS = Object.freeze(['stream1', 'stream2']);
+
+// ========================= HELPERS =========================
+
+const isDualLensCamera = (device) => device?.hardwareType === 'dual-lens';
+
+const clampFov = (fov) => Math.min(FOV_LIMITS.max, Math.max(FOV_LIMITS.min, fov));
+
+// ========================= PUBLIC API =========================
+
+/** Catalog entry by id, or null for custom / unknown lenses */
+export function getLens(lensId) {
+  return LENS_CATALOG.find(lens => lens.id === lensId) || null;
+}
+
+/** Catalog entries that can be picked for a camera */
+export function getLensOptions(device) {
+  return LENS_CATALOG.filter(lens => !lens.dualLens || isDualLensCamera(device));
+}
+
+/**
+ * Field of view of a camera's cone in degrees.
+ *
+ * @param {Object} device
+ * @param {string} [streamKey] - 'stream1' / 'stream2' on dual-lens cameras
+ */
+export function getConeFov(device, streamKey = null) {
+  const stream = isDualLensCamera(device) && streamKey ? device[streamKey] : null;
+  const fov = Number(stream?.fov ?? device?.fov);
+  return fov > 0 ? clampFov(fov) : DEFAULT_FOV;
+}
+
+/**
+ * Device updates that apply `settings` to one stream of a dual-lens camera,
+ * to both streams when `streamKey` is null, or to a single-lens camera.
+ */
+export function withLensSettings(device, streamKey, settings) {
+  if (!isDualLensCamera(device)) return settings;
+  const keys = streamKey ? [streamKey] : STREAM_KEYS;
+  return Object.fromEntries(keys.map(key => [key, { ...device[key], ...settings }]));
+}
+
+/**
+ * Device updates for picking a catalog lens (blank id = custom). Dual-lens
+ * modules set both streams; range only applies on calibrated levels.
+ */
+export function getLensUpdates(device, lensId, streamKey, level) {
+  const lens = getLens(lensId);
+  if (!lens) return withLensSettings(device, streamKey, { lens: '' });
+
+  const settings = { lens: lens.id, fov: lens.fov };
+  const pixelsPerFoot = getPixelsPerFoot(level);
+  if (pixelsPerFoot) settings.coneSize = Math.round(lens.rangeFeet * pixelsPerFoot);
+  return withLensSettings(device, lens.dualLens ? null : streamKey, settings);
+}
+
+/** Field of view typed into an input, clamped; null when not a positive number */
+export function parseFov(value) {
+  const fov = Math.round(parseFloat(value));
+  return fov > 0 ? clampFov(fov) : null;
+}
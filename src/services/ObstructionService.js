@@ -0,0 +1,146 @@
+/**
+ * ObstructionService - Walls, columns and other obstructions on a level
+ *
+ * Obstructions are drawn on the level in drawing space and block camera line
+ * of sight: cones on MapCanvas, in the PDF export and in the coverage grid are
+ * clipped to what the camera can actually see.
+ *
+ *   level.obstructions = [{ id, name, kind: 'wall' | 'column' | 'obstruction', points: [x1, y1, x2, y2, ...] }]
+ *
+ * Walls are open polylines; columns and other obstructions (ramps, stairs,
+ * shafts) are closed outlines.
+ */
+
+// ========================= CONSTANTS =========================
+
+export const OBSTRUCTION_KINDS = Object.freeze({
+  WALL: 'wall',
+  COLUMN: 'column',
+  OBSTRUCTION: 'obstruction'
+});
+
+/** Rays cast per degree of cone; extra rays go past every obstruction corner */
+const RAYS_PER_DEGREE = 1;
+
+/** Offset of the corner rays either side of a corner, in radians */
+const CORNER_EPSILON = 0.0005;
+
+/**
+ * Distance in drawing pixels within which a camera counts as mounted on an
+ * obstruction edge; hits closer than this are the edge the camera sits on.
+ */
+const MOUNT_EPSILON = 0.5;
+
+// ========================= HELPERS =========================
+
+const safeArray = (arr) => (Array.isArray(arr) ? arr : []);
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/** Minimum number of points of an obstruction of this kind */
+const minPoints = (kind) => (kind === OBSTRUCTION_KINDS.WALL ? 2 : 3);
+
+/**
+ * Distance along the ray (ox, oy) + t * (dx, dy) to segment [x1, y1, x2, y2],
+ * or Infinity when they do not cross.
+ */
+const raySegmentDistance = (ox, oy, dx, dy, [x1, y1, x2, y2]) => {
+  const sx = x2 - x1;
+  const sy = y2 - y1;
+  const denominator = dx * sy - dy * sx;
+  if (Math.abs(denominator) < 1e-9) return Infinity;
+  const t = ((x1 - ox) * sy - (y1 - oy) * sx) / denominator;
+  const u = ((x1 - ox) * dy - (y1 - oy) * dx) / denominator;
+  return t > MOUNT_EPSILON && u >= 0 && u <= 1 ? t : Infinity;
+};
+
+/** Which side of segment [x1, y1, x2, y2] direction (dx, dy) points to: -1, 0 or 1 */
+const sideOf = ([x1, y1, x2, y2], dx, dy) => {
+  const cross = (x2 - x1) * dy - (y2 - y1) * dx;
+  return Math.abs(cross) < 1e-9 ? 0 : Math.sign(cross);
+};
+
+/** Whether segment [x1, y1, x2, y2] comes within `radius` of (x, y) */
+const segmentNear = ([x1, y1, x2, y2], x, y, radius) => {
+  const sx = x2 - x1;
+  const sy = y2 - y1;
+  const lengthSq = sx * sx + sy * sy;
+  const u = lengthSq ? Math.max(0, Math.min(1, ((x - x1) * sx + (y - y1) * sy) / lengthSq)) : 0;
+  return Math.hypot(x1 + sx * u - x, y1 + sy * u - y) <= radius;
+};
+
+// ========================= PUBLIC API =========================
+
+/** Whether an obstruction has enough points to be drawn */
+export function isObstructionComplete(obstruction) {
+  return safeArray(obstruction?.points).length >= minPoints(obstruction?.kind) * 2;
+}
+
+/**
+ * Line segments [x1, y1, x2, y2] of a level's obstructions; closed outlines
+ * include their closing edge.
+ */
+export function getObstructionSegments(level) {
+  return safeArray(level?.obstructions)
+    .filter(isObstructionComplete)
+    .flatMap(obstruction => {
+      const p = obstruction.points;
+      const segments = [];
+      for (let i = 0; i + 3 < p.length; i += 2) segments.push([p[i], p[i + 1], p[i + 2], p[i + 3]]);
+      if (obstruction.kind !== OBSTRUCTION_KINDS.WALL) {
+        segments.push([p[p.length - 2], p[p.length - 1], p[0], p[1]]);
+      }
+      return segments;
+    });
+}
+
+/**
+ * Outline of the part of a cone the camera can see past the obstructions,
+ * relative to the camera: [0, 0, x1, y1, x2, y2, ...] along the far edge.
+ *
+ * @param {{ x: number, y: number, rotation: number, radius: number, fov: number }} cone -
+ *   `rotation` is the center line and `fov` the cone angle, in degrees
+ * @param {Array} segments - From getObstructionSegments
+ * @returns {number[]}
+ */
+export function getVisibleConePoints(cone, segments) {
+  const { x, y, radius, fov: angle } = cone;
+  const start = toRadians((cone.rotation || 0) - angle / 2);
+  const end = toRadians((cone.rotation || 0) + angle / 2);
+  const nearby = safeArray(segments).filter(segment => segmentNear(segment, x, y, radius));
+  // A camera mounted on an edge (walls are often drawn through cameras) looks
+  // out to the side its cone faces; only rays into the other side are blocked
+  const center = toRadians(cone.rotation || 0);
+  const mounts = nearby
+    .filter(segment => segmentNear(segment, x, y, MOUNT_EPSILON))
+    .map(segment => ({ segment, facing: sideOf(segment, Math.cos(center), Math.sin(center)) }))
+    .filter(({ facing }) => facing !== 0);
+
+  const steps = Math.max(1, Math.ceil(angle * RAYS_PER_DEGREE));
+  const angles = Array.from({ length: steps + 1 }, (_, i) => start + ((end - start) * i) / steps);
+  // Rays just either side of each corner keep the shadow edges sharp
+  nearby.forEach(([x1, y1, x2, y2]) => {
+    [[x1, y1], [x2, y2]].forEach(([px, py]) => {
+      let a = Math.atan2(py - y, px - x);
+      while (a < start) a += Math.PI * 2;
+      while (a > end) a -= Math.PI * 2;
+      if (a < start) return;
+      [a - CORNER_EPSILON, a + CORNER_EPSILON].forEach(ray => {
+        if (ray > start && ray < end) angles.push(ray);
+      });
+    });
+  });
+  angles.sort((a, b) => a - b);
+
+  const points = [0, 0];
+  angles.forEach(a => {
+    const dx = Math.cos(a);
+    const dy = Math.sin(a);
+    const blocked = mounts.some(({ segment, facing }) => sideOf(segment, dx, dy) === -facing);
+    const distance = blocked
+      ? 0
+      : nearby.reduce((nearest, segment) => Math.min(nearest, raySegmentDistance(x, y, dx, dy, segment)), radius);
+    points.push(dx * distance, dy * distance);
+  });
+  return points;
+}
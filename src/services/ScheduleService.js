@@ -0,0 +1,151 @@
+/**
+ * ScheduleService - Weekly display schedules for signs
+ *
+ * A schedule entry is { id, days, start, end, state }:
+ *   days  - weekday numbers, 0 = Sunday ... 6 = Saturday
+ *   start - minutes after midnight; end <= start runs past midnight
+ *           into the next day, end === start covers the whole day
+ *   state - what the sign shows while the entry is active (OPEN, FULL, CLSD, ...)
+ *
+ * Entries come from the DisplaySchedules tab of the site workbook, either for
+ * one display (sign.displaySchedules) or for a display group
+ * (garage.displayGroups[].schedules) shared by every sign in the group.
+ */
+
+// ========================= CONSTANTS =========================
+
+export const DAY_NAMES = Object.freeze(['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']);
+export const DAY_SHORT_NAMES = Object.freeze(DAY_NAMES.map(name => name.slice(0, 3)));
+
+export const SCHEDULE_STATES = Object.freeze(['OPEN', 'FULL', 'CLSD']);
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const WEEKDAYS = Object.freeze([1, 2, 3, 4, 5]);
+const WEEKEND = Object.freeze([0, 6]);
+const EVERY_DAY = Object.freeze([0, 1, 2, 3, 4, 5, 6]);
+
+const DAY_ALIASES = Object.freeze({
+  daily: EVERY_DAY,
+  everyday: EVERY_DAY,
+  all: EVERY_DAY,
+  weekdays: WEEKDAYS,
+  weekday: WEEKDAYS,
+  weekends: WEEKEND,
+  weekend: WEEKEND
+});
+
+// ========================= HELPERS =========================
+
+const sameDays = (a, b) => a.length === b.length && a.every((day, i) => day === b[i]);
+
+// "Mon", "monday", "Tu" -> weekday number; at least two letters so S/T are not guessed
+const dayIndex = (token) => {
+  const key = token.trim().toLowerCase();
+  if (key.length < 2) return -1;
+  return DAY_NAMES.findIndex(name => name.toLowerCase().startsWith(key));
+};
+
+// ========================= PUBLIC API =========================
+
+/**
+ * Parse a DayOfWeek cell: "Monday", "Mon,Wed", "Mon-Fri", "Weekdays", "Daily".
+ *
+ * @returns {number[]|null} Sorted weekday numbers, or null if unrecognized
+ */
+export function parseScheduleDays(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  const alias = DAY_ALIASES[text.toLowerCase().replace(/[\s-]/g, '')];
+  if (alias) return [...alias];
+
+  const days = new Set();
+  for (const part of text.replace(/\s*-\s*/g, '-').split(/[,;/]|\s+/).filter(Boolean)) {
+    const range = part.split('-');
+    if (range.length === 2) {
+      const from = dayIndex(range[0]);
+      const to = dayIndex(range[1]);
+      if (from < 0 || to < 0) return null;
+      for (let day = from; day !== (to + 1) % 7; day = (day + 1) % 7) days.add(day);
+      days.add(to);
+    } else {
+      const day = dayIndex(part);
+      if (day < 0) return null;
+      days.add(day);
+    }
+  }
+  return [...days].sort((a, b) => a - b);
+}
+
+/**
+ * Format weekday numbers for the DayOfWeek column.
+ */
+export function formatScheduleDays(days) {
+  const sorted = [...new Set(Array.isArray(days) ? days : [])].sort((a, b) => a - b);
+  if (sorted.length === 0) return '';
+  if (sameDays(sorted, EVERY_DAY)) return 'Daily';
+  if (sameDays(sorted, WEEKDAYS)) return 'Weekdays';
+  if (sameDays(sorted, WEEKEND)) return 'Weekends';
+  if (sorted.length === 1) return DAY_NAMES[sorted[0]];
+  return sorted.map(day => DAY_SHORT_NAMES[day]).join(',');
+}
+
+/**
+ * Parse a time cell: "08:00", "8:30 PM", "2030", or an Excel time fraction (0.5 = noon).
+ *
+ * @returns {number|null} Minutes after midnight
+ */
+export function parseScheduleTime(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    // Excel stores times as a fraction of a day (dates add whole days)
+    if (value >= 0 && value < 1) return Math.round((value % 1) * MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    if (value >= 0 && value <= 2400 && Number.isInteger(value) && value % 100 < 60) {
+      return (Math.floor(value / 100) * 60 + (value % 100)) % MINUTES_PER_DAY;
+    }
+    return null;
+  }
+
+  const text = String(value ?? '').trim().toLowerCase();
+  const match = text.match(/^(\d{1,2}):?(\d{2})?(?::\d{2})?\s*(am|pm)?$/);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (match[3] === 'pm' && hours < 12) hours += 12;
+  if (match[3] === 'am' && hours === 12) hours = 0;
+  if (hours > 24 || minutes > 59) return null;
+  return (hours * 60 + minutes) % MINUTES_PER_DAY;
+}
+
+/**
+ * Format minutes after midnight as "HH:MM".
+ */
+export function formatScheduleTime(minutes) {
+  if (minutes == null || !Number.isFinite(minutes)) return '';
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Split entries into per-day blocks for a weekly timeline. Entries running
+ * past midnight continue at the start of the next day.
+ *
+ * @returns {Array<Array<{ start: number, end: number, entry: Object }>>} 7 lists, Sunday first
+ */
+export function getWeeklyBlocks(entries) {
+  const week = DAY_NAMES.map(() => []);
+  (Array.isArray(entries) ? entries : []).forEach(entry => {
+    if (entry?.start == null || entry?.end == null) return;
+    (entry.days || []).forEach(day => {
+      if (entry.end > entry.start) {
+        week[day].push({ start: entry.start, end: entry.end, entry });
+      } else if (entry.end === entry.start) {
+        week[day].push({ start: 0, end: MINUTES_PER_DAY, entry });
+      } else {
+        week[day].push({ start: entry.start, end: MINUTES_PER_DAY, entry });
+        if (entry.end > 0) week[(day + 1) % 7].push({ start: 0, end: entry.end, entry });
+      }
+    });
+  });
+  return week;
+}
@@ -0,0 +1,260 @@
+/**
+ * SensorService - Space sensors inside a sensor group
+ *
+ * Sensor groups imported from the workbook are one device (the controller) with
+ * a `sensors` array: { sensorName, sensorId, parkingType, tempParkingTimeInMinutes }.
+ * Each sensor can be placed on the level drawing on its own; a placed sensor
+ * carries `x`, `y` in drawing space like a device. `parkingType` keeps the
+ * workbook's text (EV, ADA, Handicap, ...) and is normalized when read.
+ *
+ * Levels with `spotCountsFromSensors` take their `evSpots` / `handicapSpots`
+ * from the sensors' parking types (withSensorSpotCounts). Levels imported from
+ * the workbook with sensor groups start with it on; everywhere else the counts
+ * entered by hand are kept until it is switched on in the level settings.
+ *
+ * Rows of parking spots are generated along an aisle edge (SPOT ROWS): one
+ * sensor device per stall, numbered and with sequential sensor IDs and serials.
+ */
+
+import { getPixelsPerFoot } from './LayoutService';
+
+// ========================= CONSTANTS =========================
+
+export const PARKING_KINDS = Object.freeze({
+  NORMAL: 'normal',
+  EV: 'ev',
+  ADA: 'ada'
+});
+
+/** Spacing of auto-placed sensors, in drawing pixels */
+const SENSOR_SPACING = 30;
+const SENSORS_PER_ROW = 10;
+
+/** Where sensors go when their controller is not on the drawing yet */
+const DEFAULT_SENSOR_ORIGIN = Object.freeze({ x: 60, y: 60 });
+
+/** Stall size used to lay out spot rows (feet; drawing pixels on uncalibrated levels) */
+export const STALL_SIZE = Object.freeze({ widthFeet: 9, lengthFeet: 18, widthPixels: 24, lengthPixels: 48 });
+
+export const BAY_ANGLES = Object.freeze([90, 60, 45]);
+
+/** A row holds at most this many times the stalls of standard width that fit */
+const MAX_SPOT_ROW_FACTOR = 3;
+
+// ========================= HELPERS =========================
+
+const safeArray = (arr) => (Array.isArray(arr) ? arr : []);
+
+const isSensorType = (type) => type?.startsWith('sensor-');
+
+// ========================= PUBLIC API =========================
+
+/**
+ * Normalize a parking type ('EV', 'Electric', 'ADA', 'Handicap', 'regular', ...).
+ *
+ * @returns {'normal'|'ev'|'ada'}
+ */
+export function getParkingKind(parkingType) {
+  const text = String(parkingType ?? '').trim().toLowerCase();
+  if (/^ev$|electric|charg/.test(text)) return PARKING_KINDS.EV;
+  if (/^ada$|handicap|accessib|disab/.test(text)) return PARKING_KINDS.ADA;
+  return PARKING_KINDS.NORMAL;
+}
+
+/** Whether a device is a sensor group (controller with member sensors) */
+export function isSensorGroup(device) {
+  return isSensorType(device?.type) && Array.isArray(device.sensors);
+}
+
+/** Whether a group sensor has been placed on the drawing */
+export function isSensorPlaced(sensor) {
+  return typeof sensor?.x === 'number' && typeof sensor?.y === 'number';
+}
+
+/** Label shown for a group sensor */
+export function getSensorLabel(sensor, index) {
+  return String(sensor?.sensorName || sensor?.sensorId || `Sensor ${index + 1}`);
+}
+
+/**
+ * Spot counts of every sensor on a level: individually added sensor devices and
+ * the members of sensor groups.
+ *
+ * @returns {{ total: number, ev: number, ada: number }}
+ */
+export function getSensorSpotCounts(level) {
+  const counts = { total: 0, ev: 0, ada: 0 };
+  safeArray(level?.devices).filter(d => isSensorType(d.type)).forEach(device => {
+    const spots = isSensorGroup(device) ? device.sensors : [device];
+    spots.forEach(spot => {
+      counts.total++;
+      const kind = getParkingKind(spot.parkingType);
+      if (kind !== PARKING_KINDS.NORMAL) counts[kind]++;
+    });
+  });
+  return counts;
+}
+
+/**
+ * Level with `evSpots` / `handicapSpots` rolled up from its sensors. Returned
+ * unchanged when the level keeps hand-entered counts, has no sensors or the
+ * counts already match.
+ */
+export function withSensorSpotCounts(level) {
+  if (!level?.spotCountsFromSensors) return level;
+  const counts = getSensorSpotCounts(level);
+  if (counts.total === 0) return level;
+  if (level.evSpots === counts.ev && level.handicapSpots === counts.ada) return level;
+  return { ...level, evSpots: counts.ev, handicapSpots: counts.ada };
+}
+
+/**
+ * Place a group's unplaced sensors in rows below its controller (or near the
+ * drawing's top-left corner while the controller is not placed). Placed sensors
+ * stay put and their spots are skipped.
+ *
+ * @param {Object} device - Sensor group
+ * @param {number[]|null} indexes - Sensors to place; all unplaced ones when null
+ * @returns {Array} Updated sensors array
+ */
+export function placeGroupSensors(device, indexes = null) {
+  const start = device.pendingPlacement || typeof device.x !== 'number'
+    ? DEFAULT_SENSOR_ORIGIN
+    : { x: device.x, y: device.y + SENSOR_SPACING * 1.5 };
+  const taken = new Set(safeArray(device.sensors)
+    .filter(isSensorPlaced)
+    .map(s => `${s.x},${s.y}`));
+
+  let slot = 0;
+  const nextPosition = () => {
+    for (;;) {
+      const position = {
+        x: Math.round(start.x + (slot % SENSORS_PER_ROW) * SENSOR_SPACING),
+        y: Math.round(start.y + Math.floor(slot / SENSORS_PER_ROW) * SENSOR_SPACING)
+      };
+      slot++;
+      if (!taken.has(`${position.x},${position.y}`)) return position;
+    }
+  };
+
+  return safeArray(device.sensors).map((sensor, i) => {
+    if (isSensorPlaced(sensor) || (indexes && !indexes.includes(i))) return sensor;
+    return { ...sensor, ...nextPosition() };
+  });
+}
+
+/**
+ * Take a group sensor off the drawing.
+ */
+export function unplaceSensor(sensor) {
+  const { x: _x, y: _y, ...rest } = sensor;
+  return rest;
+}
+
+// ========================= SPOT ROWS =========================
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const getStallSize = (level) => {
+  const ppf = getPixelsPerFoot(level);
+  return ppf
+    ? { width: STALL_SIZE.widthFeet * ppf, length: STALL_SIZE.lengthFeet * ppf }
+    : { width: STALL_SIZE.widthPixels, length: STALL_SIZE.lengthPixels };
+};
+
+/**
+ * Advance the last number in an ID by `offset`, keeping its zero padding:
+ * ("NW-0099", 2) -> "NW-0101". IDs without a number get "-N" appended.
+ */
+export function incrementSequence(value, offset) {
+  const text = String(value ?? '').trim();
+  if (!text) return '';
+  const match = text.match(/^(.*?)(\d+)(\D*)$/);
+  if (!match) return offset === 0 ? text : `${text}-${offset + 1}`;
+  const [, prefix, digits, suffix] = match;
+  return `${prefix}${String(Number(digits) + offset).padStart(digits.length, '0')}${suffix}`;
+}
+
+/**
+ * How many stalls of the standard width fit along the aisle edge p1 -> p2.
+ */
+export function getSuggestedSpotCount(p1, p2, angle, level) {
+  const length = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+  const pitch = getStallSize(level).width / Math.sin(toRadians(angle));
+  return Math.max(1, Math.floor(length / pitch));
+}
+
+/**
+ * Number of stalls of a row: the count typed in, capped at MAX_SPOT_ROW_FACTOR
+ * times the suggested count, or the suggested count when none is typed.
+ */
+export function getSpotRowCount(count, p1, p2, angle, level) {
+  const suggested = getSuggestedSpotCount(p1, p2, angle, level);
+  const requested = Math.floor(Number(count));
+  return requested > 0 ? Math.min(requested, suggested * MAX_SPOT_ROW_FACTOR) : suggested;
+}
+
+/**
+ * Stalls of a row along the aisle edge p1 -> p2, on the left of the direction
+ * of travel, at `angle` degrees to the aisle (90 = perpendicular).
+ *
+ * @returns {{ spots: Array<{x: number, y: number, rotation: number}>, dividers: number[][] }}
+ *   Spot centers (with stall direction in degrees) and the stall lines to preview
+ */
+export function getSpotRowLayout(p1, p2, count, angle, level) {
+  const n = Math.max(1, Math.floor(count) || 1);
+  const lineAngle = Math.atan2(p2.y - p1.y, p2.x - p1.x);
+  const stallAngle = lineAngle - toRadians(angle);
+  const { length } = getStallSize(level);
+  const depth = { x: Math.cos(stallAngle) * length, y: Math.sin(stallAngle) * length };
+  const along = (t) => ({ x: p1.x + (p2.x - p1.x) * t, y: p1.y + (p2.y - p1.y) * t });
+
+  const dividers = Array.from({ length: n + 1 }, (_, k) => {
+    const base = along(k / n);
+    return [base.x, base.y, base.x + depth.x, base.y + depth.y];
+  });
+  const spots = Array.from({ length: n }, (_, i) => {
+    const base = along((i + 0.5) / n);
+    return {
+      x: Math.round(base.x + depth.x / 2),
+      y: Math.round(base.y + depth.y / 2),
+      rotation: Math.round((stallAngle * 180) / Math.PI)
+    };
+  });
+  return { spots, dividers };
+}
+
+/**
+ * Sensor devices for a generated row of spots.
+ *
+ * @param {Array} spots - From getSpotRowLayout
+ * @param {Object} options
+ * @param {string} options.type - Sensor device type (sensor-nwave, ...)
+ * @param {string} options.levelName - Prefixes the names; spot numbers restart on every level
+ * @param {number} options.firstSpotNumber
+ * @param {string} options.firstSensorId - Incremented per spot; blank leaves IDs empty
+ * @param {string} options.firstSerialAddress - Incremented per spot
+ * @param {string} options.parkingType - 'normal' | 'ev' | 'ada'
+ * @param {number} [options.firstId] - Device id of the first spot (default: now)
+ */
+export function createSpotRowDevices(spots, { type, levelName, firstSpotNumber, firstSensorId, firstSerialAddress, parkingType, firstId = Date.now() }) {
+  const prefix = levelName ? `${levelName}-` : '';
+  return spots.map((spot, i) => {
+    const spotNumber = String(Number(firstSpotNumber || 1) + i);
+    return {
+      id: firstId + i,
+      name: `${prefix}SPOT-${spotNumber}`,
+      type,
+      sensorGroup: type,
+      spotNumber,
+      sensorId: incrementSequence(firstSensorId, i),
+      serialAddress: incrementSequence(firstSerialAddress, i),
+      parkingType: parkingType || PARKING_KINDS.NORMAL,
+      tempParkingTimeMinutes: '',
+      controllerKey: '',
+      x: spot.x,
+      y: spot.y,
+      rotation: spot.rotation
+    };
+  });
+}
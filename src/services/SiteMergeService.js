@@ -0,0 +1,474 @@
+/**
+ * SiteMergeService - Merge a re-imported site workbook into the garages already
+ * in the app instead of replacing them.
+ *
+ * Garages and levels are matched by `internalName`, devices by name within the
+ * matched garage. Matched entities keep everything the app owns (ids, positions,
+ * drawings, contacts, servers, credentials, ...) and only take workbook values
+ * when their workbook rows changed since the last import; devices only take the
+ * columns that changed, so app edits of other columns stay. Unmatched imports are
+ * added (devices as pending placement); entities that came from a workbook but
+ * are no longer in it are kept and flagged with `removedFromWorkbook`.
+ *
+ * mergeImportedGarages() returns the merged garages together with a diff:
+ *   { kind: 'added' | 'changed' | 'moved' | 'removed', entity, path, changes: [{ field, from, to }] }
+ */
+
+import { withSensorSpotCounts } from './SensorService';
+
+// ========================= CONSTANTS =========================
+
+export const MERGE_KINDS = Object.freeze({
+  ADDED: 'added',
+  CHANGED: 'changed',
+  MOVED: 'moved',
+  REMOVED: 'removed'
+});
+
+/** Garage and level attributes the workbook owns */
+const GARAGE_FIELDS = Object.freeze(['name', 'stage', 'address', 'city', 'state', 'zip']);
+const LEVEL_FIELDS = Object.freeze(['name', 'totalSpots', 'config']);
+
+/** Device fields the parser reads from each workbook column, by tab */
+const DEVICE_COLUMN_FIELDS = Object.freeze({
+  Cameras: {
+    VisibleCameraName: ['visibleName'],
+    DetectionType: ['type', 'detectionType'],
+    IPAddress: ['ipAddress'],
+    Port: ['port'],
+    RTSPURL: ['externalUrl'],
+    Resolution: ['resolution'],
+    Server: ['server'],
+    Status: ['status']
+  },
+  FLICameras: {
+    BackOfCarIs: ['backOfCarIs'],
+    IsEntryExitCamera: ['isEntryExitCamera'],
+    DependentCameraName: ['dependentCameraName']
+  },
+  DisplayControllers: {
+    VisibleDisplayName: ['visibleName'],
+    DisplayControllerName: ['controllerName'],
+    DisplayProtocol: ['type', 'displayProtocol'],
+    IPAddress: ['ipAddress'],
+    Port: ['port'],
+    SerialAddress: ['serialAddress'],
+    DisplayMap: ['displayMap'],
+    DisplayGroupName: ['displayGroupName'],
+    Server: ['server'],
+    InsertHardwareType: ['hardwareType'],
+    KeepLevelCountsSeparate: ['keepLevelCountsSeparate']
+  },
+  DisplayLevels: {
+    PositionName: ['positionName'],
+    LevelName: ['levelDisplayName']
+  },
+  SensorGroups: {
+    SensorProtocol: ['type', 'sensorProtocol'],
+    ControllerAddress: ['controllerAddress'],
+    ControllerKey: ['controllerKey'],
+    ParentLevel: ['parentLevel']
+  }
+});
+
+/** Stream fields of a dual-lens camera, read from its per-stream Cameras rows */
+const STREAM_COLUMN_FIELDS = Object.freeze({
+  Cameras: {
+    DetectionType: ['streamType'],
+    IPAddress: ['ipAddress'],
+    Port: ['port'],
+    RTSPURL: ['externalUrl']
+  }
+});
+
+/** Lists of child rows (group sensors, display schedules); items get new ids on every import */
+const CHILD_LIST_FIELDS = Object.freeze(['sensors', 'displaySchedules']);
+
+/** Child items the app adds state to (sensor positions), matched to re-imported items by key */
+const CHILD_ITEM_KEYS = Object.freeze({
+  sensors: (sensor) => String(sensor?.sensorId || sensor?.sensorName || '').trim().toLowerCase()
+});
+
+// ========================= HELPERS =========================
+
+const safeArray = (arr) => (Array.isArray(arr) ? arr : []);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const keyOf = (entity) => String(entity?.internalName || entity?.name || '').trim().toLowerCase();
+
+const deviceKey = (device) => String(device?.name || '').trim().toLowerCase();
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Whether an entity's workbook rows are unchanged since it was imported.
+ * Entities without rows (added in the app) always count as changed.
+ */
+const sameRows = (existing, imported) => {
+  const before = existing?.rawWorkbook;
+  const after = imported?.rawWorkbook;
+  if (!before || !after) return false;
+  const tabs = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...tabs].every(tab => sameValue(before[tab]?.row, after[tab]?.row));
+};
+
+const sameListRows = (before, after) => (
+  safeArray(before).length === safeArray(after).length
+  && safeArray(before).every((item, i) => sameRows(item, safeArray(after)[i]))
+);
+
+/**
+ * Child lists whose workbook rows changed, reported as row counts.
+ */
+const diffChildLists = (existing, imported, fields) => fields
+  .filter(field => field in imported && !sameListRows(existing?.[field], imported[field]))
+  .map(field => ({ field, from: safeArray(existing?.[field]).length, to: safeArray(imported[field]).length }));
+
+/**
+ * Field-level differences; plain objects (level config) are compared per key.
+ */
+const diffFields = (existing, imported, fields) => fields.flatMap(field => {
+  const from = existing?.[field];
+  const to = imported?.[field];
+  if (sameValue(from, to)) return [];
+  if (isPlainObject(from) && isPlainObject(to)) {
+    return Object.keys({ ...from, ...to })
+      .filter(key => !sameValue(from[key], to[key]))
+      .map(key => ({ field: `${field}.${key}`, from: from[key], to: to[key] }));
+  }
+  return [{ field, from, to }];
+});
+
+/**
+ * Re-imported child items keep app state (positions) of the items they replace.
+ * Other fields pass through unchanged.
+ */
+const mergeChildItems = (field, before, after) => {
+  const keyFn = CHILD_ITEM_KEYS[field];
+  if (!keyFn || !Array.isArray(after)) return after;
+  const previous = new Map(safeArray(before).map(item => [keyFn(item), item]));
+  return after.map(item => {
+    const match = keyFn(item) && previous.get(keyFn(item));
+    return match ? { ...match, ...item } : item;
+  });
+};
+
+/**
+ * Fields whose workbook columns changed since the last import. Columns are
+ * compared on the import snapshots (`rawWorkbook[tab].fields`), like the
+ * workbook export does; rows with no earlier snapshot take every column.
+ *
+ * @param {Object|null} beforeRows - `rawWorkbook` of the existing entity
+ * @param {Object|null} afterRows - `rawWorkbook` of the import
+ * @param {Object} columnFields - DEVICE_COLUMN_FIELDS or STREAM_COLUMN_FIELDS
+ */
+const changedColumnFields = (beforeRows, afterRows, columnFields) => {
+  const before = beforeRows || {};
+  const fields = Object.entries(afterRows || {}).flatMap(([tab, { fields: after }]) => (
+    Object.entries(columnFields[tab] || {})
+      .filter(([column]) => !before[tab] || before[tab].fields?.[column] !== after?.[column])
+      .flatMap(([, deviceFields]) => deviceFields)
+  ));
+  return [...new Set(fields)];
+};
+
+/**
+ * Dual-lens cameras are listed once per stream ("<name>-S1", "<name>-S2").
+ * Each matched stream keeps its rows and takes the columns that changed.
+ * Stream 1 of a camera imported as a single row starts from that row.
+ *
+ * @param {Object} device
+ * @param {Array<{ n: number, entry: { device: Object } }>} streamRows
+ * @returns {{ device: Object, changes: Array }}
+ */
+const mergeStreamRows = (device, streamRows) => {
+  const next = { ...device };
+  const changes = streamRows.flatMap(({ n, entry }) => {
+    const key = `stream${n}`;
+    const stream = device[key] || {};
+    const row = entry.device;
+    const imported = { streamType: row.type, ipAddress: row.ipAddress, port: row.port, externalUrl: row.externalUrl };
+    const before = stream.rawWorkbook || (n === 1 ? device.rawWorkbook : null);
+    const streamChanges = diffFields(stream, imported, changedColumnFields(before, row.rawWorkbook, STREAM_COLUMN_FIELDS));
+    next[key] = {
+      ...stream,
+      ...Object.fromEntries(streamChanges.map(c => [c.field, c.to])),
+      rawWorkbook: row.rawWorkbook
+    };
+    return streamChanges.map(c => ({ ...c, field: `${key}.${c.field}` }));
+  });
+  return { device: next, changes };
+};
+
+const withoutRemovedFlag = (entity) => {
+  if (!entity.removedFromWorkbook) return entity;
+  const { removedFromWorkbook: _removed, ...rest } = entity;
+  return rest;
+};
+
+/**
+ * Ids for added entities, above every id already in use.
+ * (Parsed workbooks number their entities from 1 on every import.)
+ */
+const createIdAllocator = (garages) => {
+  let next = 1;
+  const bump = (id) => {
+    if (typeof id === 'number' && id >= next) next = id + 1;
+  };
+  safeArray(garages).forEach(g => {
+    bump(g?.id);
+    safeArray(g?.levels).forEach(l => {
+      bump(l?.id);
+      safeArray(l?.devices).forEach(d => bump(d?.id));
+    });
+  });
+  return () => next++;
+};
+
+const withNewIds = (level, nextId) => ({
+  ...level,
+  id: nextId(),
+  devices: safeArray(level.devices).map(d => ({ ...d, id: nextId() }))
+});
+
+// ========================= PUBLIC API =========================
+
+/**
+ * Merge freshly parsed garages into the existing ones.
+ *
+ * @param {Array} existingGarages - Garages currently in the app
+ * @param {Array} importedGarages - `garages` from parseExcelFile
+ * @returns {{ garages: Array, diff: Array<Object> }}
+ */
+export function mergeImportedGarages(existingGarages, importedGarages) {
+  const nextId = createIdAllocator(existingGarages);
+  const diff = [];
+  const record = (kind, entity, path, changes = []) => diff.push({ kind, entity, path, changes });
+
+  const importedByKey = new Map(safeArray(importedGarages).map(g => [keyOf(g), g]));
+  const matchedGarageKeys = new Set();
+
+  const garages = safeArray(existingGarages).map(garage => {
+    const imported = importedByKey.get(keyOf(garage));
+    if (!imported) {
+      if (garage.rawWorkbook && !garage.removedFromWorkbook) {
+        record(MERGE_KINDS.REMOVED, 'garage', garage.name);
+        return { ...garage, removedFromWorkbook: true };
+      }
+      return garage;
+    }
+    matchedGarageKeys.add(keyOf(garage));
+    return mergeGarage(garage, imported, nextId, record);
+  });
+
+  safeArray(importedGarages).forEach(imported => {
+    if (matchedGarageKeys.has(keyOf(imported))) return;
+    const levels = safeArray(imported.levels).map(l => withNewIds(l, nextId));
+    garages.push({ ...imported, id: nextId(), levels });
+    record(MERGE_KINDS.ADDED, 'garage', imported.name, [
+      { field: 'levels', from: null, to: levels.length },
+      { field: 'devices', from: null, to: levels.reduce((sum, l) => sum + l.devices.length, 0) }
+    ]);
+  });
+
+  return { garages, diff };
+}
+
+function mergeGarage(garage, imported, nextId, record) {
+  const garageChanges = sameRows(garage, imported) ? [] : diffFields(garage, imported, GARAGE_FIELDS);
+  const displayGroups = mergeDisplayGroups(garage, imported);
+  if (displayGroups.changed) {
+    garageChanges.push({ field: 'displayGroups', from: safeArray(garage.displayGroups).length, to: displayGroups.list.length });
+  }
+  if (garageChanges.length > 0) record(MERGE_KINDS.CHANGED, 'garage', garage.name, garageChanges);
+
+  // Devices are matched across the whole garage so a device moved to another
+  // level in the workbook keeps its id and settings. A name can be listed on
+  // several levels (shared server cameras), so the same level is tried first.
+  const importedDevices = new Map();
+  safeArray(imported.levels).forEach(level => {
+    safeArray(level.devices).forEach(device => {
+      const key = deviceKey(device);
+      importedDevices.set(key, [...(importedDevices.get(key) || []), { device, level }]);
+    });
+  });
+  const claimed = new Set();
+  const matches = new Map(); // existing device -> { device, level } from the import
+  const streamMatches = new Map(); // existing dual-lens camera -> [{ n, entry }] of its stream rows
+  const claim = (key, level, sameLevelOnly) => {
+    const entry = (importedDevices.get(key) || []).find(e => (
+      !claimed.has(e) && (!sameLevelOnly || keyOf(e.level) === keyOf(level))
+    ));
+    if (entry) claimed.add(entry);
+    return entry;
+  };
+  [true, false].forEach(sameLevelOnly => {
+    safeArray(garage.levels).forEach(level => {
+      safeArray(level.devices).forEach(device => {
+        if (!matches.has(device)) {
+          const match = claim(deviceKey(device), level, sameLevelOnly);
+          if (match) matches.set(device, match);
+        }
+        if (device.hardwareType !== 'dual-lens') return;
+        [1, 2].forEach(n => {
+          const rows = streamMatches.get(device) || [];
+          if (rows.some(r => r.n === n)) return;
+          const entry = claim(`${deviceKey(device)}-s${n}`, level, sameLevelOnly);
+          if (entry) streamMatches.set(device, [...rows, { n, entry }]);
+        });
+      });
+    });
+  });
+  const unclaimed = (importedLevel) => safeArray(importedLevel.devices).filter(device => (
+    !(importedDevices.get(deviceKey(device)) || []).some(entry => entry.device === device && claimed.has(entry))
+  ));
+  const importedLevels = new Map(safeArray(imported.levels).map(l => [keyOf(l), l]));
+  const movedIn = new Map(); // imported level key -> devices moved there
+
+  const levels = safeArray(garage.levels).map(level => {
+    const importedLevel = importedLevels.get(keyOf(level));
+    const levelPath = `${garage.name} / ${level.name}`;
+    let merged = level;
+
+    if (!importedLevel) {
+      if (level.rawWorkbook && !level.removedFromWorkbook) {
+        record(MERGE_KINDS.REMOVED, 'level', levelPath);
+        merged = { ...level, removedFromWorkbook: true };
+      }
+    } else {
+      const changes = sameRows(level, importedLevel) ? [] : diffFields(level, importedLevel, LEVEL_FIELDS);
+      if (changes.length > 0) record(MERGE_KINDS.CHANGED, 'level', levelPath, changes);
+      merged = withoutRemovedFlag({
+        ...level,
+        ...Object.fromEntries(changes.length > 0 ? LEVEL_FIELDS.map(f => [f, importedLevel[f]]) : []),
+        internalName: importedLevel.internalName,
+        rawWorkbook: importedLevel.rawWorkbook
+      });
+    }
+
+    const devices = [];
+    safeArray(level.devices).forEach(device => {
+      const match = matches.get(device);
+      const streams = streamMatches.has(device) ? mergeStreamRows(device, streamMatches.get(device)) : null;
+      const devicePath = `${levelPath} / ${device.name}`;
+      if (!match && !streams) {
+        if (device.rawWorkbook && !device.removedFromWorkbook) {
+          record(MERGE_KINDS.REMOVED, 'device', devicePath);
+          devices.push({ ...device, removedFromWorkbook: true });
+        } else {
+          devices.push(device);
+        }
+        return;
+      }
+      if (!match) {
+        // Listed by its stream rows only; the camera stays where it is
+        if (streams.changes.length > 0) record(MERGE_KINDS.CHANGED, 'device', devicePath, streams.changes);
+        devices.push(withoutRemovedFlag(streams.device));
+        return;
+      }
+
+      const fieldChanges = [
+        ...diffFields(device, match.device, changedColumnFields(device.rawWorkbook, match.device.rawWorkbook, DEVICE_COLUMN_FIELDS)),
+        ...diffChildLists(device, match.device, CHILD_LIST_FIELDS)
+      ];
+      const changes = [...fieldChanges, ...(streams?.changes || [])];
+      const updated = withoutRemovedFlag({
+        ...(streams?.device || device),
+        ...Object.fromEntries(fieldChanges.map(c => [c.field, mergeChildItems(c.field, device[c.field], match.device[c.field])])),
+        ...(fieldChanges.some(c => c.field === 'sensors') && { sensorCount: match.device.sensorCount }),
+        rawWorkbook: match.device.rawWorkbook || device.rawWorkbook
+      });
+
+      if (importedLevel && keyOf(match.level) === keyOf(importedLevel)) {
+        if (changes.length > 0) record(MERGE_KINDS.CHANGED, 'device', devicePath, changes);
+        devices.push(updated);
+      } else {
+        // Listed on another level now: the old position means nothing there
+        record(MERGE_KINDS.MOVED, 'device', devicePath, [
+          { field: 'level', from: level.name, to: match.level.name },
+          ...changes
+        ]);
+        const target = keyOf(match.level);
+        movedIn.set(target, [...(movedIn.get(target) || []), { ...updated, pendingPlacement: true }]);
+      }
+    });
+
+    return { ...merged, devices };
+  });
+
+  // New devices on existing levels, and devices moved from other levels
+  const levelsWithAdditions = levels.map(level => {
+    const importedLevel = importedLevels.get(keyOf(level));
+    if (!importedLevel) return level;
+    const added = unclaimed(importedLevel).map(d => {
+      record(MERGE_KINDS.ADDED, 'device', `${garage.name} / ${level.name} / ${d.name}`);
+      return { ...d, id: nextId() };
+    });
+    const moved = movedIn.get(keyOf(level)) || [];
+    movedIn.delete(keyOf(level));
+    return added.length || moved.length ? { ...level, devices: [...level.devices, ...moved, ...added] } : level;
+  });
+
+  // New levels (with their new devices and any devices moved onto them)
+  const existingLevelKeys = new Set(safeArray(garage.levels).map(keyOf));
+  safeArray(imported.levels).forEach(importedLevel => {
+    if (existingLevelKeys.has(keyOf(importedLevel))) return;
+    const added = unclaimed(importedLevel).map(d => ({ ...d, id: nextId() }));
+    const moved = movedIn.get(keyOf(importedLevel)) || [];
+    levelsWithAdditions.push({ ...importedLevel, id: nextId(), devices: [...moved, ...added] });
+    record(MERGE_KINDS.ADDED, 'level', `${garage.name} / ${importedLevel.name}`, [
+      { field: 'devices', from: null, to: moved.length + added.length }
+    ]);
+  });
+
+  return withoutRemovedFlag({
+    ...garage,
+    ...Object.fromEntries(garageChanges.length > 0 ? GARAGE_FIELDS.map(f => [f, imported[f]]) : []),
+    displayGroups: displayGroups.list,
+    internalName: imported.internalName,
+    rawWorkbook: imported.rawWorkbook,
+    workbookLayout: imported.workbookLayout,
+    levels: levelsWithAdditions.map(withSensorSpotCounts)
+  });
+}
+
+/**
+ * Display groups are matched by name. A group keeps its app-edited schedules
+ * unless its workbook rows (group row or schedule rows) changed. Groups no
+ * longer in the workbook are flagged like other removed entities.
+ */
+function mergeDisplayGroups(garage, imported) {
+  const existing = safeArray(garage.displayGroups);
+  const byKey = new Map(existing.map(g => [keyOf(g), g]));
+  let changed = false;
+  const list = safeArray(imported.displayGroups).map(group => {
+    const current = byKey.get(keyOf(group));
+    byKey.delete(keyOf(group));
+    if (current && sameRows(current, group) && sameListRows(current.schedules, group.schedules)) {
+      return { ...current, rawWorkbook: group.rawWorkbook };
+    }
+    changed = true;
+    return current ? { ...current, ...group, id: current.id } : group;
+  });
+  byKey.forEach(group => {
+    if (group.rawWorkbook && !group.removedFromWorkbook) {
+      changed = true;
+      list.push({ ...group, removedFromWorkbook: true });
+    } else {
+      list.push(group);
+    }
+  });
+  return { list, changed };
+}
+
+/**
+ * Count diff entries by kind.
+ * @returns {{ added: number, changed: number, moved: number, removed: number }}
+ */
+export function summarizeMergeDiff(diff) {
+  return safeArray(diff).reduce((counts, entry) => {
+    counts[entry.kind] = (counts[entry.kind] || 0) + 1;
+    return counts;
+  }, { added: 0, changed: 0, moved: 0, removed: 0 });
+}
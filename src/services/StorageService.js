@@ -0,0 +1,110 @@
+/**
+ * StorageService - Persists the garage portfolio in the browser so work
+ * survives page reloads.
+ *
+ * Uses IndexedDB rather than localStorage: level background images are kept
+ * as data URLs and a single site drawing can exceed the ~5MB localStorage cap.
+ *
+ * Store layout:
+ *   DB "garage-layout-editor" → object store "portfolio" → key "garages"
+ */
+
+// ========================= CONSTANTS =========================
+
+const DB_NAME = 'garage-layout-editor';
+const DB_VERSION = 1;
+const STORE_NAME = 'portfolio';
+const GARAGES_KEY = 'garages';
+
+let dbPromise = null;
+
+// ========================= HELPERS =========================
+
+/**
+ * Open (and lazily create) the portfolio database.
+ * The connection is cached for the lifetime of the page.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser.'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error('Failed to open local storage.'));
+    request.onblocked = () => reject(new Error('Local storage is blocked by another open tab.'));
+  });
+
+  // Allow a later call to retry if opening failed
+  dbPromise.catch(() => { dbPromise = null; });
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the portfolio store and resolve with its result.
+ *
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} action
+ */
+async function runRequest(mode, action) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = action(tx.objectStore(STORE_NAME));
+    let result;
+    request.onsuccess = () => { result = request.result; };
+    tx.oncomplete = () => resolve(result);
+    // Quota errors surface on the transaction, not the request
+    tx.onabort = () => reject(tx.error || request.error || new Error('Local storage transaction aborted.'));
+    tx.onerror = () => reject(tx.error || request.error);
+  });
+}
+
+// ========================= PUBLIC API =========================
+
+/**
+ * Check whether an error was caused by the browser storage quota.
+ *
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+export function isQuotaExceededError(err) {
+  if (!err) return false;
+  return err.name === 'QuotaExceededError' ||
+    err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    err.code === 22;
+}
+
+/**
+ * Load the saved garage portfolio.
+ *
+ * @returns {Promise<Array|null>} saved garages, or null if nothing was saved yet
+ */
+export async function loadGarages() {
+  const saved = await runRequest('readonly', (store) => store.get(GARAGES_KEY));
+  return Array.isArray(saved) ? saved : null;
+}
+
+/**
+ * Save the full garage portfolio, replacing any previous copy.
+ *
+ * @param {Array} garages
+ * @returns {Promise<void>}
+ */
+export async function saveGarages(garages) {
+  if (!Array.isArray(garages)) return;
+  await runRequest('readwrite', (store) => store.put(garages, GARAGES_KEY));
+}
@@ -0,0 +1,210 @@
+/**
+ * ValidationService - Site-wide checks run before config export
+ *
+ * validateGarage() returns a flat list of problems:
+ *   { id, severity: 'error' | 'warning', code, message, levelId, levelName, deviceId, deviceName }
+ *
+ * Errors produce broken or colliding config files and block export; warnings
+ * are exported as-is but probably need attention.
+ */
+
+import { sanitizeFileName } from './ConfigService';
+
+// ========================= CONSTANTS =========================
+
+export const SEVERITY = Object.freeze({
+  ERROR: 'error',
+  WARNING: 'warning'
+});
+
+const IPV4_PATTERN = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+const MAC_PATTERN = /^([0-9a-f]{2}([:-]?)){5}[0-9a-f]{2}$/i;
+
+// ========================= HELPERS =========================
+
+const safeArray = (arr) => (Array.isArray(arr) ? arr : []);
+
+const str = (val) => (val == null ? '' : String(val).trim());
+
+const isCameraType = (type) => type?.startsWith('cam-');
+const isSignType = (type) => type?.startsWith('sign-');
+const isSensorType = (type) => type?.startsWith('sensor-');
+
+const normalizeMac = (mac) => str(mac).replace(/[:-]/g, '').toLowerCase();
+
+const nameKey = (name) => (str(name) ? sanitizeFileName(name).toLowerCase() : '');
+
+/**
+ * Network endpoints a device writes to the configs, one per configured stream
+ * for dual-lens cameras. `label` names the stream in messages.
+ */
+const getEndpoints = (device) => {
+  if (isCameraType(device.type) && device.hardwareType === 'dual-lens') {
+    return [1, 2]
+      .map(n => ({ ip: str(device[`stream${n}`]?.ipAddress), label: `stream ${n}` }))
+      .filter(e => e.ip);
+  }
+  const ip = str(device.stream1?.ipAddress || device.ipAddress);
+  return ip ? [{ ip, label: '' }] : [];
+};
+
+/**
+ * Names a device occupies in the exported configs (and FLI file names).
+ * Compared as file names: FLI files are named after them.
+ */
+const getConfigNames = (device) => {
+  const name = str(device.name);
+  if (isCameraType(device.type) && device.hardwareType === 'dual-lens') {
+    return [name, `${name}-S1`, `${name}-S2`];
+  }
+  return [name];
+};
+
+// ========================= PUBLIC API =========================
+
+/**
+ * Validate every device on every level of a garage.
+ *
+ * @param {Object} garage
+ * @returns {Array<Object>} Problems, errors first
+ */
+export function validateGarage(garage) {
+  const problems = [];
+  const servers = safeArray(garage?.servers);
+  const entries = safeArray(garage?.levels).flatMap(level => (
+    safeArray(level.devices).map(device => ({ device, level }))
+  ));
+
+  const add = (severity, code, { device, level }, message) => {
+    problems.push({
+      id: `${code}-${level.id}-${device.id}-${problems.length}`,
+      severity,
+      code,
+      message,
+      levelId: level.id,
+      levelName: level.name,
+      deviceId: device.id,
+      deviceName: device.name
+    });
+  };
+
+  // Values shared across devices, collected first so both sides get flagged
+  const nameOwners = new Map();
+  const ipOwners = new Map();
+  const macOwners = new Map();
+  const own = (map, key, entry) => {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(entry);
+  };
+
+  entries.forEach(entry => {
+    const { device } = entry;
+    getConfigNames(device).forEach(name => own(nameOwners, nameKey(name), entry));
+    // Both lenses of a dual-lens camera may share one IP, so dedupe per device
+    new Set(getEndpoints(device).map(e => e.ip)).forEach(ip => own(ipOwners, ip, entry));
+    if (isCameraType(device.type) || isSignType(device.type)) {
+      own(macOwners, normalizeMac(device.macAddress), entry);
+    }
+  });
+
+  const others = (map, key, entry) => [...(map.get(key) || [])].filter(e => e !== entry);
+  const describe = (list) => list.map(e => `${e.device.name} (${e.level.name})`).join(', ');
+
+  entries.forEach(entry => {
+    const { device } = entry;
+    const name = str(device.name);
+
+    // Names
+    if (!name) {
+      add(SEVERITY.ERROR, 'missing-name', entry, 'Device has no name');
+    } else {
+      const clashes = new Set(getConfigNames(device).flatMap(n => others(nameOwners, nameKey(n), entry)));
+      if (clashes.size > 0) {
+        add(SEVERITY.ERROR, 'duplicate-name', entry, `Name "${name}" collides with ${describe([...clashes])}; config entries and FLI files would overwrite each other`);
+      }
+    }
+
+    // Addresses
+    getEndpoints(device).forEach(({ ip, label }) => {
+      const where = label ? ` on ${label}` : '';
+      if (!IPV4_PATTERN.test(ip)) {
+        add(SEVERITY.ERROR, 'invalid-ip', entry, `"${ip}"${where} is not a valid IPv4 address`);
+      }
+    });
+    new Set(getEndpoints(device).map(e => e.ip)).forEach(ip => {
+      const clashes = others(ipOwners, ip, entry);
+      if (clashes.length > 0) {
+        add(SEVERITY.ERROR, 'duplicate-ip', entry, `IP ${ip} is also used by ${describe(clashes)}`);
+      }
+    });
+
+    const mac = str(device.macAddress);
+    if (mac && (isCameraType(device.type) || isSignType(device.type))) {
+      if (!MAC_PATTERN.test(mac)) {
+        add(SEVERITY.ERROR, 'invalid-mac', entry, `"${mac}" is not a valid MAC address`);
+      } else {
+        const clashes = others(macOwners, normalizeMac(mac), entry);
+        if (clashes.length > 0) {
+          add(SEVERITY.ERROR, 'duplicate-mac', entry, `MAC ${mac} is also used by ${describe(clashes)}`);
+        }
+      }
+    }
+
+    // Cameras
+    if (isCameraType(device.type)) {
+      if (device.hardwareType === 'dual-lens') {
+        if (!str(device.stream1?.ipAddress)) {
+          add(SEVERITY.ERROR, 'missing-stream', entry, 'Dual-lens camera has no IP for stream 1; it will be left out of the configs');
+        }
+        if (!str(device.stream2?.ipAddress)) {
+          add(SEVERITY.ERROR, 'missing-stream', entry, 'Dual-lens camera has no IP for stream 2; it will be left out of the configs');
+        }
+      } else if (getEndpoints(device).length === 0) {
+        add(SEVERITY.ERROR, 'missing-ip', entry, 'Camera has no IP address');
+      }
+
+      if (!device.serverId) {
+        add(SEVERITY.WARNING, 'missing-server', entry, 'Camera is not assigned to a server');
+      } else if (!servers.some(s => String(s.id) === String(device.serverId))) {
+        add(SEVERITY.WARNING, 'unknown-server', entry, 'Camera is assigned to a server that no longer exists');
+      }
+    }
+
+    // Sensors (a sensor group's members each need an ID; the controller has none)
+    if (isSensorType(device.type)) {
+      if (Array.isArray(device.sensors)) {
+        const missing = device.sensors.filter(s => !str(s.sensorId)).length;
+        if (missing > 0) {
+          add(SEVERITY.WARNING, 'missing-sensor-id', entry, `${missing} sensor(s) in the group have no Sensor ID`);
+        }
+      } else if (!str(device.sensorId)) {
+        add(SEVERITY.WARNING, 'missing-sensor-id', entry, 'Space monitor has no Sensor ID');
+      }
+    }
+
+    // Placement
+    if (device.pendingPlacement) {
+      add(SEVERITY.WARNING, 'pending-placement', entry, 'Device has not been placed on the map');
+    }
+
+    // Workbook merge
+    if (device.removedFromWorkbook) {
+      add(SEVERITY.WARNING, 'removed-from-workbook', entry, 'Device is no longer in the site workbook; delete it or add it back to the sheet');
+    }
+  });
+
+  return problems.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === SEVERITY.ERROR ? -1 : 1));
+}
+
+/**
+ * Count errors and warnings in a problem list.
+ * @returns {{ errors: number, warnings: number }}
+ */
+export function countProblems(problems) {
+  return safeArray(problems).reduce((counts, p) => {
+    if (p.severity === SEVERITY.ERROR) counts.errors++;
+    else counts.warnings++;
+    return counts;
+  }, { errors: 0, warnings: 0 });
+}